@@ -0,0 +1,16 @@
+exports.up = (pgm) => {
+  pgm.addColumns('users', {
+    roles: {
+      type: 'TEXT[]',
+      notNull: true,
+      default: pgm.func("'{listener}'"),
+    },
+  });
+
+  pgm.addConstraint('users', 'check_users.roles', "CHECK(roles <@ ARRAY['listener', 'curator', 'admin']::TEXT[])");
+};
+
+exports.down = (pgm) => {
+  pgm.dropConstraint('users', 'check_users.roles');
+  pgm.dropColumns('users', 'roles');
+};
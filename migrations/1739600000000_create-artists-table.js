@@ -0,0 +1,28 @@
+exports.up = (pgm) => {
+  pgm.createTable('artists', {
+    id: {
+      type: 'VARCHAR(50)',
+      primaryKey: true,
+    },
+    name: {
+      type: 'VARCHAR(255)',
+      notNull: true,
+    },
+    created_at: {
+      type: 'timestamp',
+      notNull: false,
+      default: pgm.func('current_timestamp'),
+    },
+    updated_at: {
+      type: 'timestamp',
+      notNull: false,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+
+  pgm.createIndex('artists', 'LOWER(name)', { name: 'unique_artists_lower_name', unique: true });
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('artists');
+};
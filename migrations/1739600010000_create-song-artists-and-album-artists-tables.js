@@ -0,0 +1,56 @@
+exports.up = (pgm) => {
+  pgm.createTable('song_artists', {
+    id: {
+      type: 'VARCHAR(50)',
+      primaryKey: true,
+    },
+    song_id: {
+      type: 'VARCHAR(50)',
+      notNull: true,
+    },
+    artist_id: {
+      type: 'VARCHAR(50)',
+      notNull: true,
+    },
+    role: {
+      type: 'VARCHAR(20)',
+      notNull: true,
+    },
+  });
+
+  pgm.addConstraint('song_artists', 'unique_song_id_artist_id_and_role', 'UNIQUE(song_id, artist_id, role)');
+  pgm.addConstraint('song_artists', 'check_song_artists.role', "CHECK(role IN ('primary', 'featured', 'composer'))");
+
+  pgm.addConstraint('song_artists', 'fk_song_artists.song_id_songs.id', 'FOREIGN KEY(song_id) REFERENCES songs(id) ON DELETE CASCADE');
+  pgm.addConstraint('song_artists', 'fk_song_artists.artist_id_artists.id', 'FOREIGN KEY(artist_id) REFERENCES artists(id) ON DELETE CASCADE');
+
+  pgm.createTable('album_artists', {
+    id: {
+      type: 'VARCHAR(50)',
+      primaryKey: true,
+    },
+    album_id: {
+      type: 'VARCHAR(50)',
+      notNull: true,
+    },
+    artist_id: {
+      type: 'VARCHAR(50)',
+      notNull: true,
+    },
+    role: {
+      type: 'VARCHAR(20)',
+      notNull: true,
+    },
+  });
+
+  pgm.addConstraint('album_artists', 'unique_album_id_artist_id_and_role', 'UNIQUE(album_id, artist_id, role)');
+  pgm.addConstraint('album_artists', 'check_album_artists.role', "CHECK(role IN ('primary', 'featured', 'composer'))");
+
+  pgm.addConstraint('album_artists', 'fk_album_artists.album_id_albums.id', 'FOREIGN KEY(album_id) REFERENCES albums(id) ON DELETE CASCADE');
+  pgm.addConstraint('album_artists', 'fk_album_artists.artist_id_artists.id', 'FOREIGN KEY(artist_id) REFERENCES artists(id) ON DELETE CASCADE');
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('album_artists');
+  pgm.dropTable('song_artists');
+};
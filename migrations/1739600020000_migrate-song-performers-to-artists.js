@@ -0,0 +1,23 @@
+exports.up = (pgm) => {
+  pgm.sql(`INSERT INTO artists (id, name)
+    SELECT 'artist-' || SUBSTRING(MD5(LOWER(TRIM(performer))) FOR 16), MIN(TRIM(performer))
+    FROM songs
+    WHERE TRIM(performer) <> ''
+    GROUP BY LOWER(TRIM(performer))
+    ON CONFLICT DO NOTHING`);
+
+  pgm.sql(`INSERT INTO song_artists (id, song_id, artist_id, role)
+    SELECT 'song-artist-' || SUBSTRING(MD5(songs.id) FOR 16), songs.id, artists.id, 'primary'
+    FROM songs
+    JOIN artists ON LOWER(artists.name) = LOWER(TRIM(songs.performer))
+    ON CONFLICT DO NOTHING`);
+};
+
+exports.down = (pgm) => {
+  pgm.sql("DELETE FROM song_artists WHERE id = 'song-artist-' || SUBSTRING(MD5(song_id) FOR 16)");
+  // Only artists this migration created, and that nothing has been linked to since.
+  pgm.sql(`DELETE FROM artists
+    WHERE id = 'artist-' || SUBSTRING(MD5(LOWER(name)) FOR 16)
+    AND NOT EXISTS (SELECT 1 FROM song_artists WHERE song_artists.artist_id = artists.id)
+    AND NOT EXISTS (SELECT 1 FROM album_artists WHERE album_artists.artist_id = artists.id)`);
+};
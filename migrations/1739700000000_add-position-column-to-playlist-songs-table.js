@@ -0,0 +1,24 @@
+exports.up = (pgm) => {
+  pgm.addColumns('playlist_songs', {
+    position: {
+      type: 'INT',
+      notNull: false,
+    },
+  });
+
+  pgm.sql(`UPDATE playlist_songs SET position = ordered.position
+    FROM (
+      SELECT id, ROW_NUMBER() OVER (PARTITION BY playlist_id ORDER BY id) AS position
+      FROM playlist_songs
+    ) AS ordered
+    WHERE playlist_songs.id = ordered.id`);
+
+  pgm.alterColumn('playlist_songs', 'position', { notNull: true });
+
+  pgm.addConstraint('playlist_songs', 'unique_playlist_id_and_position', 'UNIQUE(playlist_id, position) DEFERRABLE INITIALLY DEFERRED');
+};
+
+exports.down = (pgm) => {
+  pgm.dropConstraint('playlist_songs', 'unique_playlist_id_and_position');
+  pgm.dropColumns('playlist_songs', 'position');
+};
@@ -0,0 +1,16 @@
+exports.up = (pgm) => {
+  pgm.addColumns('songs', {
+    audio: {
+      type: 'TEXT',
+      notNull: false,
+    },
+    audio_type: {
+      type: 'VARCHAR(50)',
+      notNull: false,
+    },
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('songs', ['audio', 'audio_type']);
+};
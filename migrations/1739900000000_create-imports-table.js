@@ -0,0 +1,48 @@
+exports.up = (pgm) => {
+  pgm.createTable('imports', {
+    id: {
+      type: 'VARCHAR(50)',
+      primaryKey: true,
+    },
+    user_id: {
+      type: 'VARCHAR(50)',
+      notNull: true,
+    },
+    filename: {
+      type: 'TEXT',
+      notNull: false,
+    },
+    format: {
+      type: 'VARCHAR(10)',
+      notNull: true,
+    },
+    dry_run: {
+      type: 'BOOLEAN',
+      notNull: true,
+      default: false,
+    },
+    status: {
+      type: 'VARCHAR(20)',
+      notNull: true,
+    },
+    summary: {
+      type: 'JSONB',
+      notNull: true,
+    },
+    rows: {
+      type: 'JSONB',
+      notNull: true,
+    },
+    created_at: {
+      type: 'timestamp',
+      notNull: false,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+
+  pgm.addConstraint('imports', 'fk_imports.user_id_users.id', 'FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE');
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('imports');
+};
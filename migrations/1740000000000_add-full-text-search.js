@@ -0,0 +1,44 @@
+exports.up = (pgm) => {
+  pgm.createExtension('pg_trgm', { ifNotExists: true });
+
+  pgm.addColumns('songs', {
+    lyrics: {
+      type: 'TEXT',
+      notNull: false,
+    },
+  });
+
+  pgm.sql(`ALTER TABLE songs ADD COLUMN search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', COALESCE(title, '')), 'A')
+    || setweight(to_tsvector('simple', COALESCE(performer, '')), 'B')
+    || setweight(to_tsvector('simple', COALESCE(lyrics, '')), 'C')
+  ) STORED`);
+
+  pgm.sql(`ALTER TABLE albums ADD COLUMN search_vector TSVECTOR GENERATED ALWAYS AS (
+    to_tsvector('simple', COALESCE(name, ''))
+  ) STORED`);
+
+  pgm.sql(`ALTER TABLE artists ADD COLUMN search_vector TSVECTOR GENERATED ALWAYS AS (
+    to_tsvector('simple', COALESCE(name, ''))
+  ) STORED`);
+
+  pgm.createIndex('songs', 'search_vector', { name: 'idx_songs_search_vector', method: 'gin' });
+  pgm.createIndex('albums', 'search_vector', { name: 'idx_albums_search_vector', method: 'gin' });
+  pgm.createIndex('artists', 'search_vector', { name: 'idx_artists_search_vector', method: 'gin' });
+
+  pgm.sql('CREATE INDEX idx_songs_title_trgm ON songs USING GIN (title gin_trgm_ops)');
+  pgm.sql('CREATE INDEX idx_songs_performer_trgm ON songs USING GIN (performer gin_trgm_ops)');
+  pgm.sql('CREATE INDEX idx_albums_name_trgm ON albums USING GIN (name gin_trgm_ops)');
+  pgm.sql('CREATE INDEX idx_artists_name_trgm ON artists USING GIN (name gin_trgm_ops)');
+};
+
+exports.down = (pgm) => {
+  pgm.dropIndex('artists', [], { name: 'idx_artists_name_trgm' });
+  pgm.dropIndex('albums', [], { name: 'idx_albums_name_trgm' });
+  pgm.dropIndex('songs', [], { name: 'idx_songs_performer_trgm' });
+  pgm.dropIndex('songs', [], { name: 'idx_songs_title_trgm' });
+
+  pgm.dropColumns('artists', 'search_vector');
+  pgm.dropColumns('albums', 'search_vector');
+  pgm.dropColumns('songs', ['search_vector', 'lyrics']);
+};
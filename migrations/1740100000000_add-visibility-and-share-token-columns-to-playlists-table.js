@@ -0,0 +1,21 @@
+exports.up = (pgm) => {
+  pgm.addColumns('playlists', {
+    visibility: {
+      type: 'VARCHAR(10)',
+      notNull: true,
+      default: 'private',
+    },
+    share_token: {
+      type: 'VARCHAR(64)',
+      notNull: false,
+      unique: true,
+    },
+  });
+
+  pgm.addConstraint('playlists', 'check_playlists.visibility', "CHECK(visibility IN ('private', 'unlisted', 'public'))");
+};
+
+exports.down = (pgm) => {
+  pgm.dropConstraint('playlists', 'check_playlists.visibility');
+  pgm.dropColumns('playlists', ['visibility', 'share_token']);
+};
@@ -0,0 +1,20 @@
+exports.up = (pgm) => {
+  pgm.addColumns('collaborations', {
+    role: {
+      type: 'VARCHAR(10)',
+      notNull: true,
+      default: 'editor',
+    },
+  });
+
+  pgm.sql(`UPDATE collaborations SET role = 'admin'
+    FROM playlists
+    WHERE playlists.id = collaborations.playlist_id AND playlists.owner = collaborations.user_id`);
+
+  pgm.addConstraint('collaborations', 'check_collaborations.role', "CHECK(role IN ('viewer', 'editor', 'admin'))");
+};
+
+exports.down = (pgm) => {
+  pgm.dropConstraint('collaborations', 'check_collaborations.role');
+  pgm.dropColumns('collaborations', 'role');
+};
@@ -0,0 +1,58 @@
+exports.up = (pgm) => {
+  pgm.createTable('invitations', {
+    id: {
+      type: 'VARCHAR(50)',
+      primaryKey: true,
+    },
+    playlist_id: {
+      type: 'VARCHAR(50)',
+      notNull: true,
+    },
+    user_id: {
+      type: 'VARCHAR(50)',
+      notNull: true,
+    },
+    inviter_id: {
+      type: 'VARCHAR(50)',
+      notNull: true,
+    },
+    role: {
+      type: 'VARCHAR(10)',
+      notNull: true,
+    },
+    status: {
+      type: 'VARCHAR(10)',
+      notNull: true,
+      default: 'pending',
+    },
+    created_at: {
+      type: 'TIMESTAMP',
+      notNull: true,
+    },
+    expires_at: {
+      type: 'TIMESTAMP',
+      notNull: true,
+    },
+    responded_at: {
+      type: 'TIMESTAMP',
+      notNull: false,
+    },
+  });
+
+  pgm.addConstraint('invitations', 'check_invitations.role', "CHECK(role IN ('viewer', 'editor', 'admin'))");
+  pgm.addConstraint('invitations', 'check_invitations.status', "CHECK(status IN ('pending', 'accepted', 'declined', 'expired'))");
+
+  pgm.createIndex('invitations', ['playlist_id', 'user_id'], {
+    name: 'unique_pending_invitations_playlist_id_and_user_id',
+    unique: true,
+    where: "status = 'pending'",
+  });
+
+  pgm.addConstraint('invitations', 'fk_invitations.playlist_id_playlists.id', 'FOREIGN KEY(playlist_id) REFERENCES playlists(id) ON DELETE CASCADE');
+  pgm.addConstraint('invitations', 'fk_invitations.user_id_users.id', 'FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE');
+  pgm.addConstraint('invitations', 'fk_invitations.inviter_id_users.id', 'FOREIGN KEY(inviter_id) REFERENCES users(id) ON DELETE CASCADE');
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('invitations');
+};
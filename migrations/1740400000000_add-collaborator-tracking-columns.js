@@ -0,0 +1,27 @@
+exports.up = (pgm) => {
+  pgm.addColumns('collaborations', {
+    created_at: {
+      type: 'TIMESTAMP',
+      notNull: false,
+    },
+  });
+
+  pgm.alterColumn('playlist_song_activities', 'song_id', { notNull: false });
+
+  pgm.addColumns('playlist_song_activities', {
+    target_user_id: {
+      type: 'VARCHAR(50)',
+      notNull: false,
+    },
+  });
+
+  pgm.addConstraint('playlist_song_activities', 'fk_playlist_song_activities.target_user_id_users.id', 'FOREIGN KEY(target_user_id) REFERENCES users(id) ON DELETE SET NULL');
+};
+
+exports.down = (pgm) => {
+  pgm.dropConstraint('playlist_song_activities', 'fk_playlist_song_activities.target_user_id_users.id');
+  pgm.dropColumns('playlist_song_activities', 'target_user_id');
+  pgm.sql('DELETE FROM playlist_song_activities WHERE song_id IS NULL');
+  pgm.alterColumn('playlist_song_activities', 'song_id', { notNull: true });
+  pgm.dropColumns('collaborations', 'created_at');
+};
@@ -0,0 +1,15 @@
+exports.up = (pgm) => {
+  pgm.addColumns('playlists', {
+    pending_owner: {
+      type: 'VARCHAR(50)',
+      notNull: false,
+    },
+  });
+
+  pgm.addConstraint('playlists', 'fk_playlists.pending_owner_users.id', 'FOREIGN KEY(pending_owner) REFERENCES users(id) ON DELETE SET NULL');
+};
+
+exports.down = (pgm) => {
+  pgm.dropConstraint('playlists', 'fk_playlists.pending_owner_users.id');
+  pgm.dropColumns('playlists', 'pending_owner');
+};
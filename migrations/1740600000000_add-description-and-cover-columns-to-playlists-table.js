@@ -0,0 +1,16 @@
+exports.up = (pgm) => {
+  pgm.addColumns('playlists', {
+    description: {
+      type: 'TEXT',
+      notNull: false,
+    },
+    cover: {
+      type: 'TEXT',
+      notNull: false,
+    },
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('playlists', ['description', 'cover']);
+};
@@ -0,0 +1,28 @@
+exports.up = (pgm) => {
+  pgm.addColumns('playlists', {
+    type: {
+      type: 'VARCHAR(10)',
+      notNull: true,
+      default: 'regular',
+    },
+    rules: {
+      type: 'JSONB',
+      notNull: false,
+    },
+  });
+
+  pgm.addConstraint('playlists', 'check_playlists.type', "CHECK(type IN ('regular', 'smart'))");
+
+  pgm.addColumns('user_album_likes', {
+    created_at: {
+      type: 'TIMESTAMP',
+      notNull: false,
+    },
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('user_album_likes', 'created_at');
+  pgm.dropConstraint('playlists', 'check_playlists.type');
+  pgm.dropColumns('playlists', ['type', 'rules']);
+};
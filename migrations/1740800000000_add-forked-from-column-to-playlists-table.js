@@ -0,0 +1,17 @@
+exports.up = (pgm) => {
+  pgm.addColumns('playlists', {
+    forked_from: {
+      type: 'VARCHAR(50)',
+      notNull: false,
+    },
+  });
+
+  pgm.addConstraint('playlists', 'fk_playlists.forked_from_playlists.id', 'FOREIGN KEY(forked_from) REFERENCES playlists(id) ON DELETE SET NULL');
+  pgm.createIndex('playlists', 'forked_from');
+};
+
+exports.down = (pgm) => {
+  pgm.dropIndex('playlists', 'forked_from');
+  pgm.dropConstraint('playlists', 'fk_playlists.forked_from_playlists.id');
+  pgm.dropColumns('playlists', 'forked_from');
+};
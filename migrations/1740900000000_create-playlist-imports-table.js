@@ -0,0 +1,45 @@
+exports.up = (pgm) => {
+  pgm.createTable('playlist_imports', {
+    id: {
+      type: 'VARCHAR(50)',
+      primaryKey: true,
+    },
+    playlist_id: {
+      type: 'VARCHAR(50)',
+      notNull: true,
+    },
+    user_id: {
+      type: 'VARCHAR(50)',
+      notNull: true,
+    },
+    filename: {
+      type: 'TEXT',
+      notNull: false,
+    },
+    format: {
+      type: 'VARCHAR(10)',
+      notNull: true,
+    },
+    summary: {
+      type: 'JSONB',
+      notNull: true,
+    },
+    entries: {
+      type: 'JSONB',
+      notNull: true,
+    },
+    created_at: {
+      type: 'timestamp',
+      notNull: false,
+      default: pgm.func('current_timestamp'),
+    },
+  });
+
+  pgm.addConstraint('playlist_imports', 'fk_playlist_imports.playlist_id_playlists.id', 'FOREIGN KEY(playlist_id) REFERENCES playlists(id) ON DELETE CASCADE');
+  pgm.addConstraint('playlist_imports', 'fk_playlist_imports.user_id_users.id', 'FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE');
+  pgm.createIndex('playlist_imports', 'playlist_id');
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('playlist_imports');
+};
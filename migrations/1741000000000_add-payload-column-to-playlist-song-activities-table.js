@@ -0,0 +1,16 @@
+exports.up = (pgm) => {
+  pgm.addColumns('playlist_song_activities', {
+    payload: {
+      type: 'JSONB',
+      notNull: true,
+      default: pgm.func("'{}'::JSONB"),
+    },
+  });
+
+  pgm.createIndex('playlist_song_activities', ['playlist_id', 'time', 'id']);
+};
+
+exports.down = (pgm) => {
+  pgm.dropIndex('playlist_song_activities', ['playlist_id', 'time', 'id']);
+  pgm.dropColumns('playlist_song_activities', 'payload');
+};
@@ -0,0 +1,9 @@
+exports.up = (pgm) => {
+  pgm.sql('ALTER TABLE playlist_song_activities ADD COLUMN seq BIGINT GENERATED ALWAYS AS IDENTITY');
+  pgm.createIndex('playlist_song_activities', ['playlist_id', 'seq']);
+};
+
+exports.down = (pgm) => {
+  pgm.dropIndex('playlist_song_activities', ['playlist_id', 'seq']);
+  pgm.dropColumns('playlist_song_activities', 'seq');
+};
@@ -0,0 +1,46 @@
+exports.up = (pgm) => {
+  pgm.addColumns('playlist_songs', {
+    added_by: {
+      type: 'VARCHAR(50)',
+      notNull: false,
+    },
+    added_at: {
+      type: 'TIMESTAMP',
+      notNull: false,
+    },
+    note: {
+      type: 'TEXT',
+      notNull: false,
+    },
+  });
+
+  pgm.addConstraint('playlist_songs', 'fk_playlist_songs.added_by_users.id', 'FOREIGN KEY(added_by) REFERENCES users(id) ON DELETE SET NULL');
+
+  pgm.addColumns('playlists', {
+    allow_duplicates: {
+      type: 'BOOLEAN',
+      notNull: true,
+      default: true,
+    },
+  });
+
+  pgm.sql(`UPDATE playlist_songs SET added_by = activity.user_id, added_at = activity.time
+  FROM (
+    SELECT DISTINCT ON (playlist_song_activities.playlist_id, playlist_song_activities.song_id)
+      playlist_song_activities.playlist_id, playlist_song_activities.song_id,
+      users.id AS user_id, playlist_song_activities.time
+    FROM playlist_song_activities
+    LEFT JOIN users ON users.id = playlist_song_activities.user_id
+    WHERE playlist_song_activities.action = 'add'
+    ORDER BY playlist_song_activities.playlist_id, playlist_song_activities.song_id,
+      playlist_song_activities.time DESC
+  ) AS activity
+  WHERE activity.playlist_id = playlist_songs.playlist_id
+  AND activity.song_id = playlist_songs.song_id`);
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('playlists', 'allow_duplicates');
+  pgm.dropConstraint('playlist_songs', 'fk_playlist_songs.added_by_users.id');
+  pgm.dropColumns('playlist_songs', ['added_by', 'added_at', 'note']);
+};
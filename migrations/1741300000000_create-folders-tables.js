@@ -0,0 +1,66 @@
+exports.up = (pgm) => {
+  pgm.createTable('folders', {
+    id: {
+      type: 'VARCHAR(50)',
+      primaryKey: true,
+    },
+    user_id: {
+      type: 'VARCHAR(50)',
+      notNull: true,
+    },
+    parent_id: {
+      type: 'VARCHAR(50)',
+      notNull: false,
+    },
+    name: {
+      type: 'TEXT',
+      notNull: true,
+    },
+    position: {
+      type: 'INTEGER',
+      notNull: true,
+    },
+    created_at: {
+      type: 'TIMESTAMP',
+      notNull: true,
+    },
+  });
+
+  pgm.addConstraint('folders', 'fk_folders.user_id_users.id', 'FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE');
+  pgm.addConstraint('folders', 'fk_folders.parent_id_folders.id', 'FOREIGN KEY(parent_id) REFERENCES folders(id) ON DELETE CASCADE');
+  pgm.createIndex('folders', ['user_id', 'parent_id', 'position']);
+
+  pgm.createTable('playlist_folders', {
+    id: {
+      type: 'VARCHAR(50)',
+      primaryKey: true,
+    },
+    playlist_id: {
+      type: 'VARCHAR(50)',
+      notNull: true,
+    },
+    user_id: {
+      type: 'VARCHAR(50)',
+      notNull: true,
+    },
+    folder_id: {
+      type: 'VARCHAR(50)',
+      notNull: false,
+    },
+    position: {
+      type: 'INTEGER',
+      notNull: true,
+    },
+  });
+
+  pgm.addConstraint('playlist_folders', 'unique_playlist_folders_playlist_id_and_user_id', 'UNIQUE(playlist_id, user_id)');
+  pgm.addConstraint('playlist_folders', 'fk_playlist_folders.playlist_id_playlists.id', 'FOREIGN KEY(playlist_id) REFERENCES playlists(id) ON DELETE CASCADE');
+  pgm.addConstraint('playlist_folders', 'fk_playlist_folders.user_id_users.id', 'FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE');
+  pgm.addConstraint('playlist_folders', 'fk_playlist_folders.folder_id_folders.id', 'FOREIGN KEY(folder_id) REFERENCES folders(id) ON DELETE CASCADE');
+  pgm.createIndex('playlist_folders', ['user_id', 'folder_id', 'position']);
+};
+
+exports.down = (pgm) => {
+  pgm.dropTable('playlist_folders');
+  pgm.dropTable('folders');
+};
@@ -0,0 +1,16 @@
+exports.up = (pgm) => {
+  pgm.addColumns('users', {
+    bio: {
+      type: 'TEXT',
+      notNull: false,
+    },
+    avatar: {
+      type: 'TEXT',
+      notNull: false,
+    },
+  });
+};
+
+exports.down = (pgm) => {
+  pgm.dropColumns('users', ['bio', 'avatar']);
+};
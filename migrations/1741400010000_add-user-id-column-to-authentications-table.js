@@ -0,0 +1,29 @@
+exports.up = (pgm) => {
+  pgm.addColumns('authentications', {
+    user_id: {
+      type: 'VARCHAR(50)',
+      notNull: false,
+    },
+  });
+
+  // Refresh tokens are JWTs whose payload holds the user ID, so existing tokens can be
+  // attributed by decoding their base64url payload segment.
+  pgm.sql(`UPDATE authentications SET user_id = users.id
+  FROM users
+  WHERE users.id = convert_from(decode(rpad(
+    translate(split_part(authentications.token, '.', 2), '-_', '+/'),
+    ((length(split_part(authentications.token, '.', 2)) + 3) / 4) * 4,
+    '='
+  ), 'base64'), 'UTF8')::JSONB ->> 'id'`);
+
+  pgm.sql('DELETE FROM authentications WHERE user_id IS NULL');
+
+  pgm.alterColumn('authentications', 'user_id', { notNull: true });
+  pgm.addConstraint('authentications', 'fk_authentications.user_id_users.id', 'FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE');
+  pgm.createIndex('authentications', 'user_id');
+};
+
+exports.down = (pgm) => {
+  pgm.dropConstraint('authentications', 'fk_authentications.user_id_users.id');
+  pgm.dropColumns('authentications', 'user_id');
+};
@@ -0,0 +1,65 @@
+exports.up = (pgm) => {
+  pgm.createTable('sessions', {
+    id: {
+      type: 'VARCHAR(50)',
+      primaryKey: true,
+    },
+    user_id: {
+      type: 'VARCHAR(50)',
+      notNull: true,
+    },
+    user_agent: {
+      type: 'TEXT',
+      notNull: false,
+    },
+    ip: {
+      type: 'TEXT',
+      notNull: false,
+    },
+    created_at: {
+      type: 'TIMESTAMP',
+      notNull: true,
+    },
+    last_used_at: {
+      type: 'TIMESTAMP',
+      notNull: true,
+    },
+  });
+
+  pgm.addConstraint('sessions', 'fk_sessions.user_id_users.id', 'FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE');
+  pgm.createIndex('sessions', 'user_id');
+
+  pgm.addColumns('authentications', {
+    session_id: {
+      type: 'VARCHAR(50)',
+      notNull: false,
+    },
+    used_at: {
+      type: 'TIMESTAMP',
+      notNull: false,
+    },
+  });
+
+  // Tokens issued in the same second for the same user are identical strings.
+  pgm.sql(`DELETE FROM authentications AS duplicate USING authentications
+  WHERE duplicate.token = authentications.token AND duplicate.ctid > authentications.ctid`);
+
+  // Every existing refresh token becomes a session of its own.
+  pgm.sql(`INSERT INTO sessions (id, user_id, created_at, last_used_at)
+  SELECT 'session-' || substr(md5(token), 1, 16), user_id,
+    NOW() AT TIME ZONE 'UTC', NOW() AT TIME ZONE 'UTC'
+  FROM authentications`);
+  pgm.sql("UPDATE authentications SET session_id = 'session-' || substr(md5(token), 1, 16)");
+
+  pgm.alterColumn('authentications', 'session_id', { notNull: true });
+  pgm.addConstraint('authentications', 'unique_authentications_token', 'UNIQUE(token)');
+  pgm.addConstraint('authentications', 'fk_authentications.session_id_sessions.id', 'FOREIGN KEY(session_id) REFERENCES sessions(id) ON DELETE CASCADE');
+};
+
+exports.down = (pgm) => {
+  pgm.dropConstraint('authentications', 'fk_authentications.session_id_sessions.id');
+  pgm.dropConstraint('authentications', 'unique_authentications_token');
+  pgm.sql('DELETE FROM authentications WHERE used_at IS NOT NULL');
+  pgm.dropColumns('authentications', ['session_id', 'used_at']);
+  pgm.dropTable('sessions');
+};
@@ -61,19 +61,29 @@ class AlbumsHandler {
   }
 
   /**
-   * Handles GET request to retrieve all albums.
+   * Handles GET request to retrieve a page of albums.
    *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.query - Query parameters
+   * @param {number} [request.query.limit] - Maximum number of albums per page
+   * @param {string} [request.query.cursor] - Cursor returned by the previous page
+   * @param {string} [request.query.sort] - Sort expression, e.g. "year,-name"
+   *
+   * @throws {ValidationError} When the query parameters fail validation
    * @returns {Object} Response object with:
    *                   - status: 'success'
    *                   - data: Object containing array of albums
+   *                   - meta: Object containing nextCursor and total
    */
-  async getAlbumsHandler() {
-    const albums = await this._albumsService.getAlbums();
+  async getAlbumsHandler(request) {
+    const { limit, cursor, sort } = this._validator.validateAlbumsQuery(request.query);
+    const { albums, meta } = await this._albumsService.getAlbums({ limit, cursor, sort });
     return {
       status: 'success',
       data: {
         albums,
       },
+      meta,
     };
   }
 
@@ -1,4 +1,5 @@
 const path = require('path');
+const { ROLES, requireRoles } = require('../../utils/auth');
 
 /**
  * Defines all album-related routes for the API.
@@ -11,6 +12,9 @@ const albumRoutes = (handler) => [
     method: 'POST',
     path: '/albums',
     handler: handler.postAlbumHandler,
+    options: {
+      auth: requireRoles(ROLES.CURATOR, ROLES.ADMIN),
+    },
   },
   {
     method: 'GET',
@@ -26,17 +30,24 @@ const albumRoutes = (handler) => [
     method: 'PUT',
     path: '/albums/{id}',
     handler: handler.putAlbumByIdHandler,
+    options: {
+      auth: requireRoles(ROLES.CURATOR, ROLES.ADMIN),
+    },
   },
   {
     method: 'DELETE',
     path: '/albums/{id}',
     handler: handler.deleteAlbumByIdHandler,
+    options: {
+      auth: requireRoles(ROLES.CURATOR, ROLES.ADMIN),
+    },
   },
   {
     method: 'POST',
     path: '/albums/{id}/covers',
     handler: handler.postAlbumCoverHandler,
     options: {
+      auth: requireRoles(ROLES.CURATOR, ROLES.ADMIN),
       payload: {
         allow: 'multipart/form-data',
         multipart: true,
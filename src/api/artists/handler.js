@@ -0,0 +1,262 @@
+const autoBind = require('auto-bind');
+
+/**
+ * Handler class to manage HTTP requests related to artists.
+ * Uses auto-bind to maintain proper 'this' context in methods.
+ */
+class ArtistsHandler {
+  /**
+   * Initializes a new instance of ArtistsHandler.
+   *
+   * @param {Object} service - The artist service instance for handling business logic
+   * @param {Object} validator - The validator instance for request payload validation
+   */
+  constructor(service, validator) {
+    this._service = service;
+    this._validator = validator;
+
+    autoBind(this);
+  }
+
+  /**
+   * Handles POST request to create a new artist.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.payload - Request payload containing artist data
+   * @param {string} request.payload.name - The name of the artist
+   * @param {Object} h - The Hapi response toolkit
+   *
+   * @throws {ValidationError} When the request payload fails validation
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   *                   - data: Object containing the new artistId
+   *                   - HTTP status code 201
+   */
+  async postArtistHandler(request, h) {
+    this._validator.validateArtistPayload(request.payload);
+    const { name } = request.payload;
+
+    const artistId = await this._service.addArtist({ name });
+
+    const response = h.response({
+      status: 'success',
+      message: 'Artis berhasil ditambahkan',
+      data: {
+        artistId,
+      },
+    });
+    response.code(201);
+    return response;
+  }
+
+  /**
+   * Handles GET request to retrieve a page of artists.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.query - Query parameters
+   * @param {string} [request.query.name] - Optional name filter
+   * @param {number} [request.query.limit] - Maximum number of artists per page
+   * @param {string} [request.query.cursor] - Cursor returned by the previous page
+   * @param {string} [request.query.sort] - Sort expression, e.g. "-name"
+   *
+   * @throws {ValidationError} When the query parameters fail validation
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - data: Object containing array of artists
+   *                   - meta: Object containing nextCursor and total
+   */
+  async getArtistsHandler(request) {
+    const query = this._validator.validateArtistsQuery(request.query);
+    const { artists, meta } = await this._service.getArtists(query);
+    return {
+      status: 'success',
+      data: {
+        artists,
+      },
+      meta,
+    };
+  }
+
+  /**
+   * Handles GET request to retrieve a specific artist by ID,
+   * including the artist's albums and songs.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.id - The ID of the artist to retrieve
+   *
+   * @throws {NotFoundError} When the specified artist is not found
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - data: Object containing the requested artist
+   */
+  async getArtistByIdHandler(request) {
+    const { id } = request.params;
+    const artist = await this._service.getArtistById(id);
+    return {
+      status: 'success',
+      data: {
+        artist,
+      },
+    };
+  }
+
+  /**
+   * Handles PUT request to update an existing artist.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.id - The ID of the artist to update
+   * @param {Object} request.payload - The updated artist data
+   * @param {string} request.payload.name - The new name of the artist
+   *
+   * @throws {ValidationError} When the request payload fails validation
+   * @throws {NotFoundError} When the specified artist is not found
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   */
+  async putArtistByIdHandler(request) {
+    this._validator.validateArtistPayload(request.payload);
+    const { id } = request.params;
+
+    await this._service.editArtistById(id, request.payload);
+
+    return {
+      status: 'success',
+      message: 'Artis berhasil diperbarui',
+    };
+  }
+
+  /**
+   * Handles DELETE request to remove an artist.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.id - The ID of the artist to delete
+   *
+   * @throws {NotFoundError} When the specified artist is not found
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   */
+  async deleteArtistByIdHandler(request) {
+    const { id } = request.params;
+    await this._service.deleteArtistById(id);
+    return {
+      status: 'success',
+      message: 'Artis berhasil dihapus',
+    };
+  }
+
+  /**
+   * Handles POST request to link a song to an artist.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.id - The ID of the artist
+   * @param {Object} request.payload - Request payload containing link data
+   * @param {string} request.payload.songId - The ID of the song
+   * @param {string} [request.payload.role] - primary (default), featured, or composer
+   * @param {Object} h - The Hapi response toolkit
+   *
+   * @throws {ValidationError} When the request payload fails validation
+   * @throws {NotFoundError} When the artist or the song is not found
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   *                   - HTTP status code 201
+   */
+  async postArtistSongHandler(request, h) {
+    const { songId, role } = this._validator.validateArtistSongPayload(request.payload);
+    const { id } = request.params;
+
+    await this._service.addSongToArtist(id, { songId, role });
+
+    const response = h.response({
+      status: 'success',
+      message: 'Lagu berhasil dihubungkan dengan artis',
+    });
+    response.code(201);
+    return response;
+  }
+
+  /**
+   * Handles DELETE request to unlink a song from an artist.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.id - The ID of the artist
+   * @param {string} request.params.songId - The ID of the song
+   *
+   * @throws {NotFoundError} When the artist is not linked to the song
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   */
+  async deleteArtistSongHandler(request) {
+    const { id, songId } = request.params;
+    await this._service.deleteSongFromArtist(id, songId);
+    return {
+      status: 'success',
+      message: 'Lagu berhasil dilepas dari artis',
+    };
+  }
+
+  /**
+   * Handles POST request to link an album to an artist.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.id - The ID of the artist
+   * @param {Object} request.payload - Request payload containing link data
+   * @param {string} request.payload.albumId - The ID of the album
+   * @param {string} [request.payload.role] - primary (default), featured, or composer
+   * @param {Object} h - The Hapi response toolkit
+   *
+   * @throws {ValidationError} When the request payload fails validation
+   * @throws {NotFoundError} When the artist or the album is not found
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   *                   - HTTP status code 201
+   */
+  async postArtistAlbumHandler(request, h) {
+    const { albumId, role } = this._validator.validateArtistAlbumPayload(request.payload);
+    const { id } = request.params;
+
+    await this._service.addAlbumToArtist(id, { albumId, role });
+
+    const response = h.response({
+      status: 'success',
+      message: 'Album berhasil dihubungkan dengan artis',
+    });
+    response.code(201);
+    return response;
+  }
+
+  /**
+   * Handles DELETE request to unlink an album from an artist.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.id - The ID of the artist
+   * @param {string} request.params.albumId - The ID of the album
+   *
+   * @throws {NotFoundError} When the artist is not linked to the album
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   */
+  async deleteArtistAlbumHandler(request) {
+    const { id, albumId } = request.params;
+    await this._service.deleteAlbumFromArtist(id, albumId);
+    return {
+      status: 'success',
+      message: 'Album berhasil dilepas dari artis',
+    };
+  }
+}
+
+module.exports = ArtistsHandler;
@@ -0,0 +1,11 @@
+const ArtistsHandler = require('./handler');
+const artistRoutes = require('./routes');
+
+module.exports = {
+  name: 'artists',
+  version: '1.0.0',
+  register: async (server, { service, validator }) => {
+    const artistsHandler = new ArtistsHandler(service, validator);
+    server.route(artistRoutes(artistsHandler));
+  },
+};
@@ -0,0 +1,78 @@
+const { ROLES, requireRoles } = require('../../utils/auth');
+
+/**
+ * Defines all artist-related routes for the API.
+ *
+ * @param {Object} handler - An instance of ArtistsHandler containing all the route handlers
+ * @returns {Array<Object>} Array of route configuration objects
+ */
+const artistRoutes = (handler) => [
+  {
+    method: 'POST',
+    path: '/artists',
+    handler: handler.postArtistHandler,
+    options: {
+      auth: requireRoles(ROLES.CURATOR, ROLES.ADMIN),
+    },
+  },
+  {
+    method: 'GET',
+    path: '/artists',
+    handler: handler.getArtistsHandler,
+  },
+  {
+    method: 'GET',
+    path: '/artists/{id}',
+    handler: handler.getArtistByIdHandler,
+  },
+  {
+    method: 'PUT',
+    path: '/artists/{id}',
+    handler: handler.putArtistByIdHandler,
+    options: {
+      auth: requireRoles(ROLES.CURATOR, ROLES.ADMIN),
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/artists/{id}',
+    handler: handler.deleteArtistByIdHandler,
+    options: {
+      auth: requireRoles(ROLES.CURATOR, ROLES.ADMIN),
+    },
+  },
+  {
+    method: 'POST',
+    path: '/artists/{id}/songs',
+    handler: handler.postArtistSongHandler,
+    options: {
+      auth: requireRoles(ROLES.CURATOR, ROLES.ADMIN),
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/artists/{id}/songs/{songId}',
+    handler: handler.deleteArtistSongHandler,
+    options: {
+      auth: requireRoles(ROLES.CURATOR, ROLES.ADMIN),
+    },
+  },
+  {
+    method: 'POST',
+    path: '/artists/{id}/albums',
+    handler: handler.postArtistAlbumHandler,
+    options: {
+      auth: requireRoles(ROLES.CURATOR, ROLES.ADMIN),
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/artists/{id}/albums/{albumId}',
+    handler: handler.deleteArtistAlbumHandler,
+    options: {
+      auth: requireRoles(ROLES.CURATOR, ROLES.ADMIN),
+    },
+  },
+];
+
+module.exports = artistRoutes;
@@ -25,6 +25,7 @@ class AuthenticationsHandler {
 
   /**
    * Handles POST request to authenticate a user and generate access and refresh tokens.
+   * Every login opens a session that records the client's User-Agent and IP address.
    *
    * @param {Object} request - The Hapi request object
    * @param {Object} request.payload - Request payload containing user credentials
@@ -45,11 +46,16 @@ class AuthenticationsHandler {
 
     const { username, password } = request.payload;
     const id = await this._usersService.verifyUserCredential(username, password);
+    const roles = await this._usersService.getUserRoles(id);
 
-    const accessToken = this._tokenManager.generateAccessToken({ id });
     const refreshToken = this._tokenManager.generateRefreshToken({ id });
-
-    await this._authenticationsService.addRefreshToken(refreshToken);
+    const sessionId = await this._authenticationsService.addSession({
+      userId: id,
+      token: refreshToken,
+      userAgent: request.headers['user-agent'],
+      ip: request.info.remoteAddress,
+    });
+    const accessToken = this._tokenManager.generateAccessToken({ id, roles, sessionId });
 
     return h.response({
       status: 'success',
@@ -63,6 +69,8 @@ class AuthenticationsHandler {
 
   /**
    * Handles PUT request to refresh an access token using a valid refresh token.
+   * The refresh token is rotated: a new one is issued and the one presented stops
+   * working. Presenting a rotated token again revokes its whole session.
    *
    * @param {Object} request - The Hapi request object
    * @param {Object} request.payload - Request payload containing the refresh token
@@ -70,39 +78,46 @@ class AuthenticationsHandler {
    *                                                a new access token
    *
    * @throws {ValidationError} When the request payload fails validation
-   * @throws {AuthenticationError} When the refresh token is invalid
+   * @throws {InvariantError} When the refresh token is invalid or was already used
    * @returns {Object} Response object with:
    *                   - status: 'success'
    *                   - message: Success message
-   *                   - data: Object containing the new accessToken
+   *                   - data: Object containing the new accessToken and refreshToken
    */
   async putAuthenticationHandler(request) {
     this._validator.validatePutAuthenticationPayload(request.payload);
 
     const { refreshToken } = request.payload;
-    await this._authenticationsService.verifyRefreshToken(refreshToken);
-
     const { id } = this._tokenManager.verifyRefreshToken(refreshToken);
-    const accessToken = this._tokenManager.generateAccessToken({ id });
+
+    const newRefreshToken = this._tokenManager.generateRefreshToken({ id });
+    const { sessionId } = await this._authenticationsService.rotateRefreshToken(
+      refreshToken,
+      newRefreshToken,
+    );
+
+    const roles = await this._usersService.getUserRoles(id);
+    const accessToken = this._tokenManager.generateAccessToken({ id, roles, sessionId });
 
     return {
       status: 'success',
       message: 'Access Token berhasil diperbarui',
       data: {
         accessToken,
+        refreshToken: newRefreshToken,
       },
     };
   }
 
   /**
-   * Handles DELETE request to invalidate a refresh token.
+   * Handles DELETE request to invalidate a refresh token, which ends its session.
    *
    * @param {Object} request - The Hapi request object
    * @param {Object} request.payload - Request payload containing the refresh token to delete
    * @param {string} request.payload.refreshToken - The refresh token to invalidate
    *
    * @throws {ValidationError} When the request payload fails validation
-   * @throws {AuthenticationError} When the refresh token is invalid
+   * @throws {InvariantError} When the refresh token is invalid
    * @returns {Object} Response object with:
    *                   - status: 'success'
    *                   - message: Success message
@@ -111,14 +126,69 @@ class AuthenticationsHandler {
     this._validator.validateDeleteAuthenticationPayload(request.payload);
 
     const { refreshToken } = request.payload;
-    await this._authenticationsService.verifyRefreshToken(refreshToken);
-    await this._authenticationsService.deleteRefreshToken(refreshToken);
+    const { sessionId, userId } = await this._authenticationsService.verifyRefreshToken(
+      refreshToken,
+    );
+    await this._authenticationsService.deleteSession(sessionId, userId);
 
     return {
       status: 'success',
       message: 'Refresh token berhasil dihapus',
     };
   }
+
+  /**
+   * Handles GET request to retrieve the open sessions of the authenticated user.
+   * The session of the access token used for the request is flagged as current.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   *
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - data: Object containing an array of sessions
+   */
+  async getMySessionsHandler(request) {
+    const { id: credentialId, sessionId } = request.auth.credentials;
+
+    const sessions = await this._authenticationsService.getSessionsByUser(credentialId);
+
+    return {
+      status: 'success',
+      data: {
+        sessions: sessions.map((session) => ({
+          ...session,
+          current: session.id === sessionId,
+        })),
+      },
+    };
+  }
+
+  /**
+   * Handles DELETE request to revoke a session of the authenticated user. Its refresh
+   * token stops working; access tokens already issued stay valid until they expire.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.id - The ID of the session
+   *
+   * @throws {NotFoundError} When the user has no session with the given ID
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   */
+  async deleteMySessionHandler(request) {
+    const { id: credentialId } = request.auth.credentials;
+    const { id } = request.params;
+
+    await this._authenticationsService.deleteSession(id, credentialId);
+
+    return {
+      status: 'success',
+      message: 'Sesi berhasil dicabut',
+    };
+  }
 }
 
 module.exports = AuthenticationsHandler;
@@ -20,6 +20,22 @@ const authenticationRoutes = (handler) => [
     path: '/authentications',
     handler: handler.deleteAuthenticationHandler,
   },
+  {
+    method: 'GET',
+    path: '/me/sessions',
+    handler: handler.getMySessionsHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/me/sessions/{id}',
+    handler: handler.deleteMySessionHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
 ];
 
 module.exports = authenticationRoutes;
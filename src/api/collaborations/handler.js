@@ -1,4 +1,5 @@
 const autoBind = require('auto-bind');
+const { COLLABORATOR_ROLES } = require('../../utils/auth');
 
 /**
  * Handler class to manage HTTP requests related to collaborations.
@@ -10,14 +11,24 @@ class CollaborationsHandler {
    *
    * @param {Object} dependencies - Dependencies required by the handler
    * @param {Object} dependencies.collaborationsService - The service handling collaboration logic
+   * @param {Object} dependencies.invitationsService - The service handling invitation logic
    * @param {Object} dependencies.playlistsService - The service handling playlist logic
+   * @param {Object} dependencies.playlistSongActivitiesService - The service recording
+   *                                                              playlist activities
    * @param {Object} dependencies.validator - The validator instance for request payload validation
    */
   constructor({
-    collaborationsService, playlistsService, cacheService, validator,
+    collaborationsService,
+    invitationsService,
+    playlistsService,
+    playlistSongActivitiesService,
+    cacheService,
+    validator,
   }) {
     this._collaborationsService = collaborationsService;
+    this._invitationsService = invitationsService;
     this._playlistsService = playlistsService;
+    this._playlistSongActivitiesService = playlistSongActivitiesService;
     this._cacheService = cacheService;
     this._validator = validator;
 
@@ -25,7 +36,8 @@ class CollaborationsHandler {
   }
 
   /**
-   * Handles POST request to add a new collaboration.
+   * Handles POST request to invite a user to collaborate on a playlist.
+   * The collaboration is only created once the invitee accepts the invitation.
    *
    * @param {Object} request - The Hapi request object
    * @param {Object} request.auth - Authentication object
@@ -33,41 +45,96 @@ class CollaborationsHandler {
    * @param {string} request.auth.credentials.id - ID of the authenticated user
    * @param {Object} request.payload - Request payload containing collaboration data
    * @param {string} request.payload.playlistId - The ID of the playlist to be collaborated on
-   * @param {string} request.payload.userId - The ID of the user being added as a collaborator
+   * @param {string} request.payload.userId - The ID of the user being invited
+   * @param {string} [request.payload.role='editor'] - The role granted on acceptance:
+   *                                                   'viewer', 'editor', or 'admin'
    * @param {Object} h - The Hapi response toolkit
    *
    * @throws {ValidationError} When the request payload fails validation
-   * @throws {AuthorizationError} When the user is not the playlist owner
+   * @throws {AuthorizationError} When the user is not a playlist admin
+   * @throws {InvariantError} When the user already collaborates or has a pending invitation
    * @returns {Object} Response object with:
    *                   - status: 'success'
    *                   - message: Success message
-   *                   - data: Object containing the new collaborationId
+   *                   - data: Object containing the new invitationId
    *                   - HTTP status code 201
    */
   async postCollaborationHandler(request, h) {
     this._validator.validateCollaborationPayload(request.payload);
 
     const { id: credentialId } = request.auth.credentials;
-    const { playlistId, userId } = request.payload;
+    const { playlistId, userId, role = COLLABORATOR_ROLES.EDITOR } = request.payload;
 
-    await this._playlistsService.verifyPlaylistOwner(playlistId, credentialId);
-    const collaborationId = await this._collaborationsService.addCollaboration({
+    await this._playlistsService.verifyPlaylistAccess(
+      playlistId,
+      credentialId,
+      COLLABORATOR_ROLES.ADMIN,
+    );
+    const invitationId = await this._invitationsService.addInvitation({
       playlistId,
       userId,
+      inviterId: credentialId,
+      role,
     });
 
-    await this._cacheService.delete(`playlists:${credentialId}`);
-    await this._cacheService.delete(`playlists:${userId}`);
-
     return h.response({
       status: 'success',
-      message: 'Kolaborasi berhasil ditambahkan',
+      message: 'Undangan kolaborasi berhasil dikirim',
       data: {
-        collaborationId,
+        invitationId,
       },
     }).code(201);
   }
 
+  /**
+   * Handles PUT request to change the role of a collaborator.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object
+   * @param {Object} request.auth.credentials - Credentials of the authenticated user
+   * @param {string} request.auth.credentials.id - ID of the authenticated user
+   * @param {Object} request.payload - Request payload containing collaboration data
+   * @param {string} request.payload.playlistId - The ID of the playlist
+   * @param {string} request.payload.userId - The ID of the collaborator
+   * @param {string} request.payload.role - The new role: 'viewer', 'editor', or 'admin'
+   *
+   * @throws {ValidationError} When the request payload fails validation
+   * @throws {AuthorizationError} When the user is not a playlist admin
+   * @throws {InvariantError} When the collaborator is the playlist owner
+   * @throws {NotFoundError} When the specified collaboration does not exist
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   */
+  async putCollaborationHandler(request) {
+    this._validator.validateCollaborationRolePayload(request.payload);
+
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId, userId, role } = request.payload;
+
+    await this._playlistsService.verifyPlaylistAccess(
+      playlistId,
+      credentialId,
+      COLLABORATOR_ROLES.ADMIN,
+    );
+    await this._playlistsService.verifyNotPlaylistOwner(playlistId, userId);
+    await this._collaborationsService.editCollaborationRole({ playlistId, userId, role });
+    await this._playlistSongActivitiesService.addCollaboratorActivity({
+      playlistId,
+      targetUserId: userId,
+      userId: credentialId,
+      action: 'collaborator_role',
+      details: { role },
+    });
+
+    await this._cacheService.delete(`activities:${playlistId}`);
+
+    return {
+      status: 'success',
+      message: 'Peran kolaborator berhasil diperbarui',
+    };
+  }
+
   /**
    * Handles DELETE request to remove a collaboration.
    *
@@ -82,7 +149,8 @@ class CollaborationsHandler {
    *                                          collaboration
    *
    * @throws {ValidationError} When the request payload fails validation
-   * @throws {AuthorizationError} When the user is not the playlist owner
+   * @throws {AuthorizationError} When the user is not a playlist admin
+   * @throws {InvariantError} When the collaborator is the playlist owner
    * @throws {NotFoundError} When the specified collaboration does not exist
    * @returns {Object} Response object with:
    *                   - status: 'success'
@@ -94,17 +162,93 @@ class CollaborationsHandler {
     const { id: credentialId } = request.auth.credentials;
     const { playlistId, userId } = request.payload;
 
-    await this._playlistsService.verifyPlaylistOwner(playlistId, credentialId);
+    await this._playlistsService.verifyPlaylistAccess(
+      playlistId,
+      credentialId,
+      COLLABORATOR_ROLES.ADMIN,
+    );
+    await this._playlistsService.verifyNotPlaylistOwner(playlistId, userId);
     await this._collaborationsService.deleteCollaboration({ playlistId, userId });
+    await this._playlistSongActivitiesService.addCollaboratorActivity({
+      playlistId,
+      targetUserId: userId,
+      userId: credentialId,
+      action: 'collaborator_remove',
+    });
 
     await this._cacheService.delete(`playlists:${credentialId}`);
     await this._cacheService.delete(`playlists:${userId}`);
+    await this._cacheService.delete(`activities:${playlistId}`);
 
     return {
       status: 'success',
       message: 'Kolaborasi berhasil dihapus',
     };
   }
+
+  /**
+   * Handles GET request to list the collaborators of a playlist, including its owner.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   *
+   * @throws {AuthorizationError} When the user has no access to the playlist
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - data: Object containing an array of collaborators
+   */
+  async getCollaboratorsHandler(request) {
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+
+    await this._playlistsService.verifyPlaylistAccess(playlistId, credentialId);
+    const collaborators = await this._collaborationsService.getCollaborators(playlistId);
+
+    return {
+      status: 'success',
+      data: {
+        collaborators,
+      },
+    };
+  }
+
+  /**
+   * Handles DELETE request for the authenticated user to leave a playlist they
+   * collaborate on. The owner cannot leave their own playlist.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   *
+   * @throws {InvariantError} When the user is the owner or not a collaborator
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   */
+  async deleteOwnCollaborationHandler(request) {
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+
+    await this._playlistsService.verifyNotPlaylistOwner(playlistId, credentialId);
+    await this._collaborationsService.deleteCollaboration({ playlistId, userId: credentialId });
+    await this._playlistSongActivitiesService.addCollaboratorActivity({
+      playlistId,
+      targetUserId: credentialId,
+      userId: credentialId,
+      action: 'collaborator_leave',
+    });
+
+    await this._cacheService.delete(`playlists:${credentialId}`);
+    await this._cacheService.delete(`activities:${playlistId}`);
+
+    return {
+      status: 'success',
+      message: 'Berhasil keluar dari playlist',
+    };
+  }
 }
 
 module.exports = CollaborationsHandler;
@@ -6,13 +6,17 @@ module.exports = {
   version: '1.0.0',
   register: async (server, {
     collaborationsService,
+    invitationsService,
     playlistsService,
+    playlistSongActivitiesService,
     cacheService,
     validator,
   }) => {
     const collaborationsHandler = new CollaborationsHandler({
       collaborationsService,
+      invitationsService,
       playlistsService,
+      playlistSongActivitiesService,
       cacheService,
       validator,
     });
@@ -13,6 +13,14 @@ const collaborationsRoutes = (handler) => [
       auth: 'openmusic-app_jwt',
     },
   },
+  {
+    method: 'PUT',
+    path: '/collaborations',
+    handler: handler.putCollaborationHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
   {
     method: 'DELETE',
     path: '/collaborations',
@@ -21,6 +29,22 @@ const collaborationsRoutes = (handler) => [
       auth: 'openmusic-app_jwt',
     },
   },
+  {
+    method: 'GET',
+    path: '/playlists/{playlistId}/collaborators',
+    handler: handler.getCollaboratorsHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/playlists/{playlistId}/collaborators/me',
+    handler: handler.deleteOwnCollaborationHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
 ];
 
 module.exports = collaborationsRoutes;
@@ -0,0 +1,189 @@
+const autoBind = require('auto-bind');
+
+/**
+ * Handler class to manage HTTP requests related to playlist folders.
+ * Uses auto-bind to maintain proper 'this' context in methods.
+ */
+class FoldersHandler {
+  /**
+   * Initializes a new instance of FoldersHandler.
+   *
+   * @param {Object} dependencies - Dependencies required by the handler
+   * @param {Object} dependencies.foldersService - The service handling folder logic
+   * @param {Object} dependencies.playlistsService - The service handling playlist logic
+   * @param {Object} dependencies.validator - The validator instance for request payload validation
+   */
+  constructor({ foldersService, playlistsService, validator }) {
+    this._foldersService = foldersService;
+    this._playlistsService = playlistsService;
+    this._validator = validator;
+
+    autoBind(this);
+  }
+
+  /**
+   * Handles POST request to create a folder in the library of the authenticated user.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.payload - Request payload containing folder data
+   * @param {string} request.payload.name - The name of the folder
+   * @param {string|null} [request.payload.parentId] - The ID of the parent folder
+   * @param {Object} h - The Hapi response toolkit
+   *
+   * @throws {ValidationError} When the request payload fails validation
+   * @throws {NotFoundError} When the parent folder does not belong to the user
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   *                   - data: Object containing the new folderId
+   *                   - HTTP status code 201
+   */
+  async postFolderHandler(request, h) {
+    this._validator.validateFolderPayload(request.payload);
+
+    const { id: credentialId } = request.auth.credentials;
+    const { name, parentId } = request.payload;
+
+    const folderId = await this._foldersService.addFolder({
+      name,
+      parentId,
+      userId: credentialId,
+    });
+
+    const response = h.response({
+      status: 'success',
+      message: 'Folder berhasil ditambahkan',
+      data: {
+        folderId,
+      },
+    });
+    response.code(201);
+    return response;
+  }
+
+  /**
+   * Handles GET request to retrieve the folders of the authenticated user.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   *
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - data: Object containing an array of folders
+   */
+  async getFoldersHandler(request) {
+    const { id: credentialId } = request.auth.credentials;
+
+    const folders = await this._foldersService.getFolders(credentialId);
+
+    return {
+      status: 'success',
+      data: {
+        folders,
+      },
+    };
+  }
+
+  /**
+   * Handles PUT request to rename, move, or reorder a folder.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.folderId - The ID of the folder
+   * @param {Object} request.payload - Request payload containing the changes
+   * @param {string} [request.payload.name] - The new name of the folder
+   * @param {string|null} [request.payload.parentId] - The new parent folder, null for the
+   *                                                   top level
+   * @param {number} [request.payload.position] - The new 1-based position within the parent
+   *
+   * @throws {ValidationError} When the request payload fails validation
+   * @throws {NotFoundError} When the folder or the new parent does not belong to the user
+   * @throws {InvariantError} When the folder would be moved into itself or a subfolder
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   */
+  async putFolderHandler(request) {
+    this._validator.validateFolderUpdatePayload(request.payload);
+
+    const { id: credentialId } = request.auth.credentials;
+    const { folderId } = request.params;
+
+    await this._foldersService.editFolderById(folderId, credentialId, request.payload);
+
+    return {
+      status: 'success',
+      message: 'Folder berhasil diperbarui',
+    };
+  }
+
+  /**
+   * Handles DELETE request to delete a folder with its subfolders. The playlists filed
+   * in them return to the top level of the library.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.folderId - The ID of the folder
+   *
+   * @throws {NotFoundError} When the folder does not belong to the user
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   */
+  async deleteFolderHandler(request) {
+    const { id: credentialId } = request.auth.credentials;
+    const { folderId } = request.params;
+
+    await this._foldersService.deleteFolderById(folderId, credentialId);
+
+    return {
+      status: 'success',
+      message: 'Folder berhasil dihapus',
+    };
+  }
+
+  /**
+   * Handles PUT request to file a playlist in a folder of the authenticated user's
+   * library, or at its top level. Any collaborator can file a playlist; the placement
+   * only affects their own library.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   * @param {Object} request.payload - Request payload containing the placement
+   * @param {string|null} request.payload.folderId - The ID of the folder, null for the
+   *                                                 top level
+   * @param {number} [request.payload.position] - The 1-based position within the folder
+   *
+   * @throws {ValidationError} When the request payload fails validation
+   * @throws {AuthorizationError} When the user cannot access the playlist
+   * @throws {NotFoundError} When the playlist or the folder does not exist
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   */
+  async putPlaylistFolderHandler(request) {
+    this._validator.validatePlaylistFolderPayload(request.payload);
+
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+    const { folderId, position } = request.payload;
+
+    await this._playlistsService.verifyPlaylistAccess(playlistId, credentialId);
+    await this._foldersService.movePlaylistToFolder(playlistId, credentialId, {
+      folderId,
+      position,
+    });
+
+    return {
+      status: 'success',
+      message: 'Playlist berhasil dipindahkan',
+    };
+  }
+}
+
+module.exports = FoldersHandler;
@@ -0,0 +1,15 @@
+const FoldersHandler = require('./handler');
+const foldersRoutes = require('./routes');
+
+module.exports = {
+  name: 'folders',
+  version: '1.0.0',
+  register: async (server, { foldersService, playlistsService, validator }) => {
+    const foldersHandler = new FoldersHandler({
+      foldersService,
+      playlistsService,
+      validator,
+    });
+    server.route(foldersRoutes(foldersHandler));
+  },
+};
@@ -0,0 +1,50 @@
+/**
+ * Defines all the routes for the folders endpoint
+ *
+ * @param {Object} handler - An instance of FoldersHandler containing all the route handlers
+ * @returns {Array<Object>} Array of route configuration objects
+ */
+const foldersRoutes = (handler) => [
+  {
+    method: 'POST',
+    path: '/folders',
+    handler: handler.postFolderHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'GET',
+    path: '/folders',
+    handler: handler.getFoldersHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'PUT',
+    path: '/folders/{folderId}',
+    handler: handler.putFolderHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/folders/{folderId}',
+    handler: handler.deleteFolderHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'PUT',
+    path: '/playlists/{playlistId}/folder',
+    handler: handler.putPlaylistFolderHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+];
+
+module.exports = foldersRoutes;
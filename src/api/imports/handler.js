@@ -0,0 +1,157 @@
+const autoBind = require('auto-bind');
+const InvariantError = require('../../exceptions/InvariantError');
+const { parseCatalogFile } = require('../../utils/catalogFile');
+
+/**
+ * Reads an uploaded multipart file stream into memory.
+ *
+ * @param {Object} file - The multipart file stream
+ * @returns {Promise<Buffer>} The file content
+ */
+const readFile = (file) => new Promise((resolve, reject) => {
+  const chunks = [];
+  file.on('data', (chunk) => chunks.push(chunk));
+  file.on('error', (error) => reject(error));
+  file.on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+/**
+ * Detects the format of an uploaded catalog file from its extension or content type.
+ *
+ * @param {Object} meta - The multipart file metadata
+ * @returns {string|null} Either 'csv', 'json', or null when unknown
+ */
+const detectFormat = ({ filename = '', headers = {} }) => {
+  const contentType = headers['content-type'] || '';
+
+  if (/\.csv$/i.test(filename) || contentType.includes('csv')) {
+    return 'csv';
+  }
+
+  if (/\.json$/i.test(filename) || contentType.includes('json')) {
+    return 'json';
+  }
+
+  return null;
+};
+
+/**
+ * Handler class to manage HTTP requests related to bulk catalog imports.
+ * Uses auto-bind to maintain proper 'this' context in methods.
+ */
+class ImportsHandler {
+  /**
+   * Initializes a new instance of ImportsHandler.
+   *
+   * @param {Object} service - The imports service instance for handling business logic
+   * @param {Object} validator - The validator instance for request and row validation
+   */
+  constructor(service, validator) {
+    this._service = service;
+    this._validator = validator;
+
+    autoBind(this);
+  }
+
+  /**
+   * Handles POST request to import albums and songs from a CSV or JSON file.
+   * Every row is validated against the album or song payload schema and the
+   * report, including per-row errors, is stored so it can be fetched later.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.query - Query parameters
+   * @param {string} [request.query.format] - 'csv' or 'json', detected from the file
+   *                                          when omitted
+   * @param {boolean} [request.query.dryRun] - Validate and report without saving
+   * @param {Object} request.payload - The multipart form data payload
+   * @param {Object} request.payload.file - The catalog file
+   * @param {Object} h - The Hapi response toolkit
+   *
+   * @throws {ValidationError} When the query, the file, or its format is invalid
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   *                   - data: Object containing the import report
+   *                   - HTTP status code 201
+   */
+  async postImportHandler(request, h) {
+    const query = this._validator.validateImportQuery(request.query);
+    const { file } = request.payload || {};
+
+    if (!file || !file.hapi) {
+      throw new InvariantError('Berkas impor wajib diunggah');
+    }
+
+    const format = query.format || detectFormat(file.hapi);
+
+    if (!format) {
+      throw new InvariantError('Format berkas tidak dikenali. Gunakan CSV atau JSON');
+    }
+
+    const content = await readFile(file);
+    const rows = (await parseCatalogFile(content, format)).map(({ line, type, data }) => {
+      try {
+        if (type === 'album') {
+          return { line, type, data: this._validator.validateAlbumRow(data) };
+        }
+
+        if (type === 'song') {
+          return { line, type, data: this._validator.validateSongRow(data) };
+        }
+
+        throw new InvariantError('"type" harus berisi album atau song');
+      } catch (error) {
+        return { line, type, error: error.message };
+      }
+    });
+
+    if (!rows.length) {
+      throw new InvariantError('Berkas impor tidak berisi data');
+    }
+
+    const { id: credentialId } = request.auth.credentials;
+    const report = await this._service.importCatalog({
+      userId: credentialId,
+      filename: file.hapi.filename,
+      format,
+      dryRun: query.dryRun,
+      rows,
+    });
+
+    const response = h.response({
+      status: 'success',
+      message: 'Impor berhasil diproses',
+      data: {
+        import: report,
+      },
+    });
+    response.code(201);
+    return response;
+  }
+
+  /**
+   * Handles GET request to retrieve a stored import report.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.id - The ID of the import
+   *
+   * @throws {NotFoundError} When the specified import is not found
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - data: Object containing the import report
+   */
+  async getImportByIdHandler(request) {
+    const { id } = request.params;
+    const report = await this._service.getImportById(id);
+    return {
+      status: 'success',
+      data: {
+        import: report,
+      },
+    };
+  }
+}
+
+module.exports = ImportsHandler;
@@ -0,0 +1,11 @@
+const ImportsHandler = require('./handler');
+const importRoutes = require('./routes');
+
+module.exports = {
+  name: 'imports',
+  version: '1.0.0',
+  register: async (server, { service, validator }) => {
+    const importsHandler = new ImportsHandler(service, validator);
+    server.route(importRoutes(importsHandler));
+  },
+};
@@ -0,0 +1,34 @@
+const { ROLES, requireRoles } = require('../../utils/auth');
+
+/**
+ * Defines all import-related routes for the API.
+ *
+ * @param {Object} handler - An instance of ImportsHandler containing all the route handlers
+ * @returns {Array<Object>} Array of route configuration objects
+ */
+const importRoutes = (handler) => [
+  {
+    method: 'POST',
+    path: '/imports',
+    handler: handler.postImportHandler,
+    options: {
+      auth: requireRoles(ROLES.ADMIN),
+      payload: {
+        allow: 'multipart/form-data',
+        multipart: true,
+        output: 'stream',
+        maxBytes: 10485760,
+      },
+    },
+  },
+  {
+    method: 'GET',
+    path: '/imports/{id}',
+    handler: handler.getImportByIdHandler,
+    options: {
+      auth: requireRoles(ROLES.ADMIN),
+    },
+  },
+];
+
+module.exports = importRoutes;
@@ -0,0 +1,179 @@
+const autoBind = require('auto-bind');
+const { COLLABORATOR_ROLES } = require('../../utils/auth');
+
+/**
+ * Handler class to manage HTTP requests related to collaboration invitations.
+ * Uses auto-bind to maintain proper 'this' context in methods.
+ */
+class InvitationsHandler {
+  /**
+   * Initializes a new instance of InvitationsHandler.
+   *
+   * @param {Object} dependencies - Dependencies required by the handler
+   * @param {Object} dependencies.invitationsService - The service handling invitation logic
+   * @param {Object} dependencies.playlistsService - The service handling playlist logic
+   * @param {Object} dependencies.cacheService - The service handling cache operations
+   */
+  constructor({ invitationsService, playlistsService, cacheService }) {
+    this._invitationsService = invitationsService;
+    this._playlistsService = playlistsService;
+    this._cacheService = cacheService;
+
+    autoBind(this);
+  }
+
+  /**
+   * Handles GET request to retrieve the pending invitations of the authenticated user.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   *
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - data: Object containing an array of invitations
+   */
+  async getMyInvitationsHandler(request) {
+    const { id: credentialId } = request.auth.credentials;
+
+    const invitations = await this._invitationsService.getInvitationsByUser(credentialId);
+
+    return {
+      status: 'success',
+      data: {
+        invitations,
+      },
+    };
+  }
+
+  /**
+   * Handles POST request to accept an invitation, which adds the authenticated user
+   * as a collaborator of the playlist.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.invitationId - The ID of the invitation
+   *
+   * @throws {NotFoundError} When the invitation does not exist or belongs to another user
+   * @throws {InvariantError} When the invitation is no longer pending or has expired
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   *                   - data: Object containing the playlistId
+   */
+  async postAcceptInvitationHandler(request) {
+    const { id: credentialId } = request.auth.credentials;
+    const { invitationId } = request.params;
+
+    const playlistId = await this._invitationsService.respondToInvitation(
+      invitationId,
+      credentialId,
+      true,
+    );
+
+    await this._cacheService.delete(`playlists:${credentialId}`);
+    await this._cacheService.delete(`activities:${playlistId}`);
+
+    return {
+      status: 'success',
+      message: 'Undangan berhasil diterima',
+      data: {
+        playlistId,
+      },
+    };
+  }
+
+  /**
+   * Handles POST request to decline an invitation.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.invitationId - The ID of the invitation
+   *
+   * @throws {NotFoundError} When the invitation does not exist or belongs to another user
+   * @throws {InvariantError} When the invitation is no longer pending or has expired
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   */
+  async postDeclineInvitationHandler(request) {
+    const { id: credentialId } = request.auth.credentials;
+    const { invitationId } = request.params;
+
+    await this._invitationsService.respondToInvitation(invitationId, credentialId, false);
+
+    return {
+      status: 'success',
+      message: 'Undangan berhasil ditolak',
+    };
+  }
+
+  /**
+   * Handles GET request to retrieve the pending invitations of a playlist.
+   * Restricted to playlist admins.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   *
+   * @throws {AuthorizationError} When the user is not a playlist admin
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - data: Object containing an array of invitations
+   */
+  async getPlaylistInvitationsHandler(request) {
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+
+    await this._playlistsService.verifyPlaylistAccess(
+      playlistId,
+      credentialId,
+      COLLABORATOR_ROLES.ADMIN,
+    );
+    const invitations = await this._invitationsService.getInvitationsByPlaylist(playlistId);
+
+    return {
+      status: 'success',
+      data: {
+        invitations,
+      },
+    };
+  }
+
+  /**
+   * Handles DELETE request to cancel a pending invitation of a playlist.
+   * Restricted to playlist admins.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   * @param {string} request.params.invitationId - The ID of the invitation
+   *
+   * @throws {AuthorizationError} When the user is not a playlist admin
+   * @throws {NotFoundError} When no pending invitation is found for the playlist
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   */
+  async deletePlaylistInvitationHandler(request) {
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId, invitationId } = request.params;
+
+    await this._playlistsService.verifyPlaylistAccess(
+      playlistId,
+      credentialId,
+      COLLABORATOR_ROLES.ADMIN,
+    );
+    await this._invitationsService.deleteInvitation(invitationId, playlistId);
+
+    return {
+      status: 'success',
+      message: 'Undangan berhasil dibatalkan',
+    };
+  }
+}
+
+module.exports = InvitationsHandler;
@@ -0,0 +1,15 @@
+const InvitationsHandler = require('./handler');
+const invitationsRoutes = require('./routes');
+
+module.exports = {
+  name: 'invitations',
+  version: '1.0.0',
+  register: async (server, { invitationsService, playlistsService, cacheService }) => {
+    const invitationsHandler = new InvitationsHandler({
+      invitationsService,
+      playlistsService,
+      cacheService,
+    });
+    server.route(invitationsRoutes(invitationsHandler));
+  },
+};
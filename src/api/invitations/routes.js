@@ -0,0 +1,50 @@
+/**
+ * Defines all the routes for the invitations endpoint
+ *
+ * @param {Object} handler - An instance of InvitationsHandler containing all the route handlers
+ * @returns {Array<Object>} Array of route configuration objects
+ */
+const invitationsRoutes = (handler) => [
+  {
+    method: 'GET',
+    path: '/me/invitations',
+    handler: handler.getMyInvitationsHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'POST',
+    path: '/me/invitations/{invitationId}/accept',
+    handler: handler.postAcceptInvitationHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'POST',
+    path: '/me/invitations/{invitationId}/decline',
+    handler: handler.postDeclineInvitationHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'GET',
+    path: '/playlists/{playlistId}/invitations',
+    handler: handler.getPlaylistInvitationsHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/playlists/{playlistId}/invitations/{invitationId}',
+    handler: handler.deletePlaylistInvitationHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+];
+
+module.exports = invitationsRoutes;
@@ -1,4 +1,47 @@
+const path = require('path');
+const { Readable } = require('stream');
 const autoBind = require('auto-bind');
+const AuthorizationError = require('../../exceptions/AuthorizationError');
+const InvariantError = require('../../exceptions/InvariantError');
+const config = require('../../utils/config');
+const { COLLABORATOR_ROLES } = require('../../utils/auth');
+const { DEFAULT_LIMIT } = require('../../utils/pagination');
+const {
+  PLAYLIST_FORMATS,
+  formatPlaylist,
+  detectPlaylistFormat,
+  parsePlaylistFile,
+} = require('../../utils/playlistFormats');
+
+const SONGS_CACHE_TTL = 60 * 30;
+
+// The songs a smart playlist's rules match change with the catalog and album likes,
+// and no playlist write clears them, so they are only cached briefly.
+const SMART_SONGS_CACHE_TTL = 60;
+
+/**
+ * Builds the anonymous share URL of an unlisted playlist.
+ *
+ * @param {string} playlistId - The ID of the playlist
+ * @param {string|null} shareToken - The share token of the playlist
+ * @returns {string|null} The share URL, or null when the playlist has no share token
+ */
+const buildShareUrl = (playlistId, shareToken) => (shareToken
+  ? `${config.server.publicUrl}/public/playlists/${playlistId}?token=${shareToken}`
+  : null);
+
+/**
+ * Reads an uploaded multipart file stream into memory.
+ *
+ * @param {Object} file - The multipart file stream
+ * @returns {Promise<Buffer>} The file content
+ */
+const readFile = (file) => new Promise((resolve, reject) => {
+  const chunks = [];
+  file.on('data', (chunk) => chunks.push(chunk));
+  file.on('error', (error) => reject(error));
+  file.on('end', () => resolve(Buffer.concat(chunks)));
+});
 
 /**
  * Handler class to manage HTTP requests related to playlists.
@@ -14,24 +57,60 @@ class PlaylistsHandler {
    * @param {Object} dependencies.playlistSongsService - The service for handling playlist songs
    * @param {Object} dependencies.playlistSongActivitiesService - The service for managing
    *                                                              playlist activities
+   * @param {Object} dependencies.playlistImportsService - The service for importing playlist files
+   * @param {Object} dependencies.foldersService - The service for arranging playlists into folders
+   * @param {Object} dependencies.storageService - The service for storing playlist covers
    * @param {Object} dependencies.validator - The validator instance for request payload validation
    */
   constructor({
     playlistsService,
     playlistSongsService,
     playlistSongActivitiesService,
+    playlistImportsService,
+    foldersService,
+    storageService,
     cacheService,
     validator,
   }) {
     this._playlistsService = playlistsService;
     this._playlistSongsService = playlistSongsService;
     this._playlistSongActivitiesService = playlistSongActivitiesService;
+    this._playlistImportsService = playlistImportsService;
+    this._foldersService = foldersService;
+    this._storageService = storageService;
     this._cacheService = cacheService;
     this._validator = validator;
 
     autoBind(this);
   }
 
+  /**
+   * Clears the cached playlist list of the owner and every collaborator of a playlist,
+   * since the playlist appears in all of their libraries.
+   *
+   * @param {string} playlistId - The ID of the playlist
+   * @returns {Promise<void>}
+   */
+  async _clearPlaylistsCache(playlistId) {
+    const userIds = await this._playlistsService.getPlaylistMemberIds(playlistId);
+    await Promise.all(userIds.map((userId) => this._cacheService.delete(`playlists:${userId}`)));
+  }
+
+  /**
+   * Caches the songs of a playlist, for a shorter time when they come from smart
+   * playlist rules.
+   *
+   * @param {Object} playlist - The playlist containing id, type, and songs
+   * @returns {Promise<void>}
+   */
+  async _cachePlaylistSongs(playlist) {
+    await this._cacheService.set(
+      `songs:${playlist.id}`,
+      JSON.stringify(playlist.songs),
+      playlist.type === 'smart' ? SMART_SONGS_CACHE_TTL : SONGS_CACHE_TTL,
+    );
+  }
+
   /**
    * Handles POST request to create a new playlist.
    *
@@ -39,6 +118,11 @@ class PlaylistsHandler {
    * @param {Object} request.auth - Authentication object containing credentials
    * @param {Object} request.payload - Request payload containing playlist data
    * @param {string} request.payload.name - The name of the playlist
+   * @param {string} [request.payload.description] - The description of the playlist
+   * @param {Object} [request.payload.rules] - Smart playlist rules; when given, the songs
+   *                                           of the playlist are selected by the rules
+   * @param {boolean} [request.payload.allowDuplicates] - Whether a song can be added more
+   *                                                      than once, defaults to true
    * @param {Object} h - The Hapi response toolkit
    *
    * @throws {ValidationError} When the request payload fails validation
@@ -49,13 +133,17 @@ class PlaylistsHandler {
    *                   - HTTP status code 201
    */
   async postPlaylistHandler(request, h) {
-    this._validator.validatePlaylistPayload(request.payload);
+    const {
+      name, description, rules, allowDuplicates,
+    } = this._validator.validatePlaylistPayload(request.payload);
 
     const { id: credentialId } = request.auth.credentials;
-    const { name } = request.payload;
 
     const playlistId = await this._playlistsService.addPlaylist({
       name,
+      description,
+      rules,
+      allowDuplicates,
       owner: credentialId,
     });
 
@@ -72,243 +160,1296 @@ class PlaylistsHandler {
 
   /**
    * Handles GET request to retrieve all playlists owned by the authenticated user.
+   * With the tree view, the playlists are arranged into the user's folders.
    *
    * @param {Object} request - The Hapi request object
    * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.query - Query parameters
+   * @param {string} [request.query.view] - Either 'list' (default) or 'tree'
    *
+   * @throws {ValidationError} When the query parameters fail validation
    * @returns {Object} Response object with:
    *                   - status: 'success'
-   *                   - data: Object containing an array of playlists
+   *                   - data: Object containing an array of playlists; with the tree
+   *                     view, the top-level playlists and the nested folders
    */
   async getPlaylistsHandler(request, h) {
+    const { view } = this._validator.validatePlaylistsQuery(request.query);
     const { id: credentialId } = request.auth.credentials;
 
+    let playlists;
+    let fromCache = true;
+
     try {
-      const playlists = JSON.parse(await this._cacheService.get(`playlists:${credentialId}`));
-      const playlists1 = await this._playlistsService.getPlaylists(credentialId);
-      console.log(playlists);
-      console.log(playlists1);
-      const response = h.response({
-        status: 'success',
-        data: {
-          playlists,
-        },
-      });
-      response.header('X-Data-Source', 'cache');
-      return response;
+      playlists = JSON.parse(await this._cacheService.get(`playlists:${credentialId}`));
     } catch (error) {
-      const playlists = await this._playlistsService.getPlaylists(credentialId);
+      playlists = await this._playlistsService.getPlaylists(credentialId);
       await this._cacheService.set(`playlists:${credentialId}`, JSON.stringify(playlists), 60 * 30);
+      fromCache = false;
+    }
 
-      return {
-        status: 'success',
-        data: {
-          playlists,
-        },
-      };
+    const response = h.response({
+      status: 'success',
+      data: view === 'tree'
+        ? await this._foldersService.getPlaylistTree(credentialId, playlists)
+        : { playlists },
+    });
+
+    if (fromCache) {
+      response.header('X-Data-Source', 'cache');
     }
+
+    return response;
   }
 
   /**
-   * Handles DELETE request to remove a playlist.
+   * Handles PUT request to rename a playlist and update its description and duplicate
+   * setting. Each changed field is recorded as a 'rename', 'describe', or 'duplicates'
+   * activity.
    *
    * @param {Object} request - The Hapi request object
    * @param {Object} request.auth - Authentication object containing credentials
    * @param {Object} request.params - Request parameters
-   * @param {string} request.params.playlistId - The ID of the playlist to delete
+   * @param {string} request.params.playlistId - The ID of the playlist
+   * @param {Object} request.payload - Request payload containing playlist data
+   * @param {string} request.payload.name - The new name of the playlist
+   * @param {string} [request.payload.description] - The new description of the playlist
+   * @param {boolean} [request.payload.allowDuplicates] - Whether a song can be added more
+   *                                                      than once, unchanged when omitted
    *
-   * @throws {NotFoundError} When the specified playlist is not found
+   * @throws {ValidationError} When the request payload fails validation
+   * @throws {AuthorizationError} When the user is not at least an editor of the playlist
+   * @throws {InvariantError} When disallowing duplicates while the playlist has some
    * @returns {Object} Response object with:
    *                   - status: 'success'
    *                   - message: Success message
    */
-  async deletePlaylistHandler(request) {
+  async putPlaylistHandler(request) {
+    this._validator.validatePlaylistUpdatePayload(request.payload);
+
     const { id: credentialId } = request.auth.credentials;
     const { playlistId } = request.params;
+    const { name, description, allowDuplicates } = request.payload;
 
-    await this._playlistsService.verifyPlaylistOwner(playlistId, credentialId);
-    await this._playlistsService.deletePlaylistById(playlistId);
+    await this._playlistsService.verifyPlaylistAccess(
+      playlistId,
+      credentialId,
+      COLLABORATOR_ROLES.EDITOR,
+    );
+    const changedFields = await this._playlistsService.editPlaylistById(playlistId, {
+      name,
+      description,
+      allowDuplicates,
+    });
 
-    await this._cacheService.delete(`playlists:${credentialId}`);
+    if (changedFields.includes('name')) {
+      await this._playlistSongActivitiesService.addPlaylistActivity({
+        playlistId,
+        userId: credentialId,
+        action: 'rename',
+        details: { name },
+      });
+    }
+
+    if (changedFields.includes('description')) {
+      await this._playlistSongActivitiesService.addPlaylistActivity({
+        playlistId,
+        userId: credentialId,
+        action: 'describe',
+        details: { description: description || null },
+      });
+    }
+
+    if (changedFields.includes('allowDuplicates')) {
+      await this._playlistSongActivitiesService.addPlaylistActivity({
+        playlistId,
+        userId: credentialId,
+        action: 'duplicates',
+        details: { allowDuplicates },
+      });
+    }
+
+    await this._clearPlaylistsCache(playlistId);
     await this._cacheService.delete(`activities:${playlistId}`);
-    await this._cacheService.delete(`songs:${playlistId}`);
 
     return {
       status: 'success',
-      message: 'Playlist berhasil dihapus',
+      message: 'Playlist berhasil diperbarui',
     };
   }
 
   /**
-   * Handles POST request to add a song to a playlist.
+   * Handles POST request to create a playlist from an M3U, XSPF, or JSON playlist file.
+   * Every entry is matched to a catalog song by title and performer, fuzzily when there
+   * is no exact match; only matched songs are added. The stored report lists the
+   * ambiguous and unmatched entries, which can be resolved afterwards.
    *
    * @param {Object} request - The Hapi request object
    * @param {Object} request.auth - Authentication object containing credentials
-   * @param {Object} request.params - Request parameters
-   * @param {string} request.params.playlistId - The ID of the playlist
-   * @param {Object} request.payload - Request payload containing song data
-   * @param {string} request.payload.songId - The ID of the song to add
+   * @param {Object} request.query - Query parameters
+   * @param {string} [request.query.format] - 'm3u', 'm3u8', 'xspf', or 'json', detected
+   *                                          from the file when omitted
+   * @param {string} [request.query.name] - The playlist name, taken from the file when omitted
+   * @param {Object} request.payload - The multipart form data payload
+   * @param {Object} request.payload.file - The playlist file
    * @param {Object} h - The Hapi response toolkit
    *
-   * @throws {ValidationError} When the request payload fails validation
+   * @throws {ValidationError} When the query, the file, or its format is invalid
    * @returns {Object} Response object with:
    *                   - status: 'success'
    *                   - message: Success message
+   *                   - data: Object containing the playlistId and the import report
    *                   - HTTP status code 201
    */
-  async postSongToPlaylist(request, h) {
-    this._validator.validatePlaylistSongPayload(request.payload);
+  async postPlaylistImportHandler(request, h) {
+    const query = this._validator.validatePlaylistImportQuery(request.query);
+    const { file } = request.payload || {};
+
+    if (!file || !file.hapi) {
+      throw new InvariantError('Berkas playlist wajib diunggah');
+    }
+
+    const format = query.format || detectPlaylistFormat(file.hapi);
+
+    if (!format) {
+      throw new InvariantError('Format berkas tidak dikenali. Gunakan M3U, XSPF, atau JSON');
+    }
+
+    const content = await readFile(file);
+    const { name, entries } = parsePlaylistFile(content, format);
+
+    if (!entries.length) {
+      throw new InvariantError('Berkas playlist tidak berisi lagu');
+    }
 
     const { id: credentialId } = request.auth.credentials;
-    const { playlistId } = request.params;
-    const { songId } = request.payload;
+    const { filename } = file.hapi;
 
-    await this._playlistsService.verifyPlaylistAccess(playlistId, credentialId);
-    await this._playlistSongsService.addSongToPlaylist(playlistId, songId);
-    await this._playlistSongActivitiesService.addPlaylistSongActivity({
-      playlistId,
-      songId,
-      userId: credentialId,
+    const report = await this._playlistImportsService.importPlaylist({
+      name: query.name || name || path.parse(filename || '').name || 'Playlist impor',
+      owner: credentialId,
+      filename,
+      format,
+      entries,
     });
 
-    await this._cacheService.delete(`activities:${playlistId}`);
-    await this._cacheService.delete(`songs:${playlistId}`);
+    await this._cacheService.delete(`playlists:${credentialId}`);
 
     const response = h.response({
       status: 'success',
-      message: 'Lagu berhasil ditambahkan ke playlist',
+      message: 'Playlist berhasil diimpor',
+      data: {
+        playlistId: report.playlistId,
+        import: report,
+      },
     });
     response.code(201);
     return response;
   }
 
   /**
-   * Handles GET request to retrieve all songs from a playlist.
+   * Handles GET request to retrieve the report of a playlist import.
    *
    * @param {Object} request - The Hapi request object
    * @param {Object} request.auth - Authentication object containing credentials
    * @param {Object} request.params - Request parameters
-   * @param {string} request.params.playlistId - The ID of the playlist
+   * @param {string} request.params.playlistId - The ID of the imported playlist
+   * @param {string} request.params.importId - The ID of the import
    *
+   * @throws {AuthorizationError} When the user cannot read the playlist
+   * @throws {NotFoundError} When the import is not found for the playlist
    * @returns {Object} Response object with:
    *                   - status: 'success'
-   *                   - data: Object containing the playlist and its songs
+   *                   - data: Object containing the import report
    */
-  async getSongsFromPlaylist(request, h) {
+  async getPlaylistImportHandler(request) {
     const { id: credentialId } = request.auth.credentials;
-    const { playlistId } = request.params;
+    const { playlistId, importId } = request.params;
 
     await this._playlistsService.verifyPlaylistAccess(playlistId, credentialId);
-    const playlist = await this._playlistsService.getPlaylistById(playlistId);
+    const report = await this._playlistImportsService.getPlaylistImport(importId, playlistId);
 
-    try {
-      playlist.songs = JSON.parse(await this._cacheService.get(`songs:${playlistId}`));
+    return {
+      status: 'success',
+      data: {
+        import: report,
+      },
+    };
+  }
 
-      const response = h.response({
-        status: 'success',
-        data: {
-          playlist,
-        },
-      });
-      response.header('X-Data-Source', 'cache');
-      return response;
-    } catch (error) {
-      playlist.songs = await this._playlistSongsService.getSongsFromPlaylist(
-        playlistId,
-      );
+  /**
+   * Handles PUT request to resolve ambiguous or unmatched entries of a playlist import,
+   * either by choosing a song, which is added where the entry stood in the file,
+   * or by skipping the entry with a null songId.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the imported playlist
+   * @param {string} request.params.importId - The ID of the import
+   * @param {Object} request.payload - Request payload
+   * @param {Array<Object>} request.payload.resolutions - The resolutions, each containing
+   *                                                      the entry index and a songId or null
+   *
+   * @throws {ValidationError} When the request payload fails validation
+   * @throws {AuthorizationError} When the user is not at least an editor of the playlist
+   * @throws {InvariantError} When an entry does not exist or is already resolved
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   *                   - data: Object containing the updated import report
+   */
+  async putPlaylistImportHandler(request) {
+    this._validator.validatePlaylistImportResolutionsPayload(request.payload);
 
-      await this._cacheService.set(`songs:${playlistId}`, JSON.stringify(playlist.songs), 60 * 30);
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId, importId } = request.params;
+    const { resolutions } = request.payload;
 
-      return {
-        status: 'success',
-        data: {
-          playlist,
-        },
-      };
-    }
+    await this._playlistsService.verifyPlaylistAccess(
+      playlistId,
+      credentialId,
+      COLLABORATOR_ROLES.EDITOR,
+    );
+
+    await this._playlistImportsService.resolvePlaylistImport(
+      importId,
+      playlistId,
+      resolutions,
+      credentialId,
+    );
+
+    await this._cacheService.delete(`activities:${playlistId}`);
+    await this._cacheService.delete(`songs:${playlistId}`);
+
+    const report = await this._playlistImportsService.getPlaylistImport(importId, playlistId);
+
+    return {
+      status: 'success',
+      message: 'Impor playlist berhasil diperbarui',
+      data: {
+        import: report,
+      },
+    };
   }
 
   /**
-   * Handles DELETE request to remove a song from a playlist.
+   * Handles PUT request to replace the rules of a smart playlist.
    *
    * @param {Object} request - The Hapi request object
    * @param {Object} request.auth - Authentication object containing credentials
    * @param {Object} request.params - Request parameters
    * @param {string} request.params.playlistId - The ID of the playlist
-   * @param {Object} request.payload - Request payload containing song data
-   * @param {string} request.payload.songId - The ID of the song to remove
+   * @param {Object} request.payload - Request payload
+   * @param {Object} request.payload.rules - The new smart playlist rules
    *
    * @throws {ValidationError} When the request payload fails validation
+   * @throws {AuthorizationError} When the user is not at least an editor of the playlist
+   * @throws {NotFoundError} When the playlist is not a smart playlist
    * @returns {Object} Response object with:
    *                   - status: 'success'
    *                   - message: Success message
    */
-  async deleteSongFromPlaylist(request) {
-    this._validator.validatePlaylistSongActivityPayload(request.payload);
+  async putPlaylistRulesHandler(request) {
+    const { rules } = this._validator.validatePlaylistRulesPayload(request.payload);
 
     const { id: credentialId } = request.auth.credentials;
     const { playlistId } = request.params;
-    const { songId } = request.payload;
 
-    await this._playlistsService.verifyPlaylistAccess(playlistId, credentialId);
-    await this._playlistSongsService.deleteSongFromPlaylist(playlistId, songId);
-    await this._playlistSongActivitiesService.deletePlaylistSongActivity({
+    await this._playlistsService.verifyPlaylistAccess(
+      playlistId,
+      credentialId,
+      COLLABORATOR_ROLES.EDITOR,
+    );
+    await this._playlistsService.editPlaylistRulesById(playlistId, rules);
+    await this._playlistSongActivitiesService.addPlaylistActivity({
       playlistId,
-      songId,
       userId: credentialId,
+      action: 'rules',
+      details: { rules },
     });
 
-    await this._cacheService.delete(`activities:${playlistId}`);
     await this._cacheService.delete(`songs:${playlistId}`);
+    await this._cacheService.delete(`activities:${playlistId}`);
 
     return {
       status: 'success',
-      message: 'Lagu berhasil dihapus dari playlist',
+      message: 'Aturan playlist berhasil diperbarui',
     };
   }
 
   /**
-   * Handles GET request to retrieve playlist song activities.
+   * Handles POST request to freeze a smart playlist into a regular playlist holding
+   * the songs its rules currently select.
    *
    * @param {Object} request - The Hapi request object
    * @param {Object} request.auth - Authentication object containing credentials
    * @param {Object} request.params - Request parameters
    * @param {string} request.params.playlistId - The ID of the playlist
    *
+   * @throws {AuthorizationError} When the user is not at least an editor of the playlist
+   * @throws {NotFoundError} When the playlist is not a smart playlist
    * @returns {Object} Response object with:
    *                   - status: 'success'
-   *                   - data: Object containing playlist ID and activities
+   *                   - message: Success message
+   *                   - data: Object containing the number of songs kept
    */
-  async getPlaylistSongActivitiesHandler(request, h) {
+  async postFreezePlaylistHandler(request) {
     const { id: credentialId } = request.auth.credentials;
     const { playlistId } = request.params;
 
-    try {
-      const activities = JSON.parse(await this._cacheService.get(`activities:${playlistId}`));
+    await this._playlistsService.verifyPlaylistAccess(
+      playlistId,
+      credentialId,
+      COLLABORATOR_ROLES.EDITOR,
+    );
+    const songCount = await this._playlistSongsService.freezeSmartPlaylist(
+      playlistId,
+      credentialId,
+    );
 
-      const response = h.response({
-        status: 'success',
-        data: {
-          playlistId,
-          activities,
-        },
-      });
-      response.header('X-Data-Source', 'cache');
-      return response;
+    await this._cacheService.delete(`songs:${playlistId}`);
+    await this._cacheService.delete(`activities:${playlistId}`);
+    await this._clearPlaylistsCache(playlistId);
+
+    return {
+      status: 'success',
+      message: 'Smart playlist berhasil dibekukan',
+      data: {
+        songCount,
+      },
+    };
+  }
+
+  /**
+   * Handles POST request to copy a playlist into the authenticated user's library.
+   * The source has to be accessible to the user as owner or collaborator, be public,
+   * or be unlisted with its share token given.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist to copy
+   * @param {Object} request.query - Query parameters
+   * @param {string} [request.query.token] - The share token of an unlisted playlist
+   * @param {Object} [request.payload] - Request payload
+   * @param {string} [request.payload.name] - The name of the copy
+   * @param {Object} h - The Hapi response toolkit
+   *
+   * @throws {ValidationError} When the request payload fails validation
+   * @throws {NotFoundError} When the playlist does not exist or is not accessible
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   *                   - data: Object containing the new playlistId
+   *                   - HTTP status code 201
+   */
+  async postForkPlaylistHandler(request, h) {
+    const payload = request.payload || {};
+    this._validator.validatePlaylistForkPayload(payload);
+    this._validator.validatePublicPlaylistQuery(request.query);
+
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId: sourceId } = request.params;
+
+    try {
+      await this._playlistsService.verifyPlaylistAccess(sourceId, credentialId);
     } catch (error) {
-      await this._playlistsService.verifyPlaylistAccess(playlistId, credentialId);
+      if (!(error instanceof AuthorizationError)) {
+        throw error;
+      }
+
+      await this._playlistsService.getPublicPlaylistById(sourceId, request.query.token);
+    }
+
+    const playlistId = await this._playlistsService.forkPlaylist(sourceId, {
+      name: payload.name,
+      owner: credentialId,
+    });
+
+    await this._cacheService.delete(`playlists:${credentialId}`);
 
-      const activities = await this._playlistSongActivitiesService.getPlaylistSongActivities(
+    const response = h.response({
+      status: 'success',
+      message: 'Playlist berhasil disalin',
+      data: {
         playlistId,
-      );
+      },
+    });
+    response.code(201);
+    return response;
+  }
+
+  /**
+   * Handles POST request to upload a playlist's cover image, replacing any previous cover.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   * @param {Object} request.payload - The multipart form data payload
+   * @param {Object} request.payload.cover - The image file to upload
+   * @param {Object} h - The Hapi response toolkit
+   *
+   * @throws {InvariantError} When no cover file is uploaded
+   * @throws {ValidationError} When the file is not a supported image
+   * @throws {AuthorizationError} When the user is not at least an editor of the playlist
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   *                   - data: Object containing the coverUrl
+   *                   - HTTP status code 201
+   */
+  async postPlaylistCoverHandler(request, h) {
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+    const { cover } = request.payload || {};
 
-      await this._cacheService.set(`activities:${playlistId}`, JSON.stringify(activities), 60 * 30);
+    if (!cover || !cover.hapi) {
+      throw new InvariantError('Berkas sampul wajib diunggah');
+    }
 
-      return {
-        status: 'success',
-        data: {
-          playlistId,
-          activities,
+    this._validator.validateImageHeaders(cover.hapi.headers);
+
+    await this._playlistsService.verifyPlaylistAccess(
+      playlistId,
+      credentialId,
+      COLLABORATOR_ROLES.EDITOR,
+    );
+
+    const fileLocation = await this._storageService.writeFile(cover, cover.hapi);
+    const coverUrl = `${config.server.publicUrl}/playlists/covers/${fileLocation}`;
+
+    const previousCoverUrl = await this._playlistsService.editPlaylistCoverById(
+      playlistId,
+      coverUrl,
+    );
+
+    if (previousCoverUrl) {
+      await this._storageService.deleteFile(path.basename(previousCoverUrl));
+    }
+
+    await this._playlistSongActivitiesService.addPlaylistActivity({
+      playlistId,
+      userId: credentialId,
+      action: 'cover',
+      details: { coverUrl },
+    });
+
+    await this._cacheService.delete(`activities:${playlistId}`);
+
+    const response = h.response({
+      status: 'success',
+      message: 'Sampul berhasil diunggah',
+      data: {
+        coverUrl,
+      },
+    });
+    response.code(201);
+    return response;
+  }
+
+  /**
+   * Handles DELETE request to remove a playlist.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist to delete
+   *
+   * @throws {NotFoundError} When the specified playlist is not found
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   */
+  async deletePlaylistHandler(request) {
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+
+    await this._playlistsService.verifyPlaylistOwner(playlistId, credentialId);
+    await this._playlistsService.deletePlaylistById(playlistId);
+
+    await this._cacheService.delete(`playlists:${credentialId}`);
+    await this._cacheService.delete(`activities:${playlistId}`);
+    await this._cacheService.delete(`songs:${playlistId}`);
+
+    return {
+      status: 'success',
+      message: 'Playlist berhasil dihapus',
+    };
+  }
+
+  /**
+   * Handles POST request to add a song to a playlist.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   * @param {Object} request.payload - Request payload containing song data
+   * @param {string} request.payload.songId - The ID of the song to add
+   * @param {number} [request.payload.position] - The 1-based position to insert the song at,
+   *                                              defaults to the end of the playlist
+   * @param {string} [request.payload.note] - A note to attach to the entry
+   * @param {Object} h - The Hapi response toolkit
+   *
+   * @throws {ValidationError} When the request payload fails validation
+   * @throws {AuthorizationError} When the user is not at least an editor of the playlist
+   * @throws {InvariantError} When the song is already in a playlist that rejects duplicates
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   *                   - HTTP status code 201
+   */
+  async postSongToPlaylist(request, h) {
+    this._validator.validatePlaylistSongPayload(request.payload);
+
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+    const { songId, position, note } = request.payload;
+
+    await this._playlistsService.verifyPlaylistAccess(
+      playlistId,
+      credentialId,
+      COLLABORATOR_ROLES.EDITOR,
+    );
+    const entry = await this._playlistSongsService.addSongToPlaylist(
+      playlistId,
+      songId,
+      position,
+      credentialId,
+      note || null,
+    );
+    await this._playlistSongActivitiesService.addPlaylistSongActivity({
+      playlistId,
+      songId,
+      userId: credentialId,
+      details: { position: entry.position },
+    });
+
+    await this._cacheService.delete(`activities:${playlistId}`);
+    await this._cacheService.delete(`songs:${playlistId}`);
+
+    const response = h.response({
+      status: 'success',
+      message: 'Lagu berhasil ditambahkan ke playlist',
+    });
+    response.code(201);
+    return response;
+  }
+
+  /**
+   * Handles GET request to retrieve all songs from a playlist.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   *
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - data: Object containing the playlist and its songs
+   */
+  async getSongsFromPlaylist(request, h) {
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+
+    await this._playlistsService.verifyPlaylistAccess(playlistId, credentialId);
+    const playlist = await this._playlistsService.getPlaylistById(playlistId);
+
+    try {
+      playlist.songs = JSON.parse(await this._cacheService.get(`songs:${playlistId}`));
+
+      const response = h.response({
+        status: 'success',
+        data: {
+          playlist,
+        },
+      });
+      response.header('X-Data-Source', 'cache');
+      return response;
+    } catch (error) {
+      playlist.songs = await this._playlistSongsService.getSongsFromPlaylist(
+        playlistId,
+      );
+
+      await this._cachePlaylistSongs(playlist);
+
+      return {
+        status: 'success',
+        data: {
+          playlist,
+        },
+      };
+    }
+  }
+
+  /**
+   * Handles GET request to download a playlist as a file. The file is streamed
+   * as an attachment in the requested format: m3u8, xspf, csv, or json.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   * @param {Object} request.query - Query parameters
+   * @param {string} [request.query.format='json'] - The file format
+   * @param {Object} h - The Hapi response toolkit
+   *
+   * @throws {ValidationError} When the format is not supported
+   * @throws {AuthorizationError} When the user cannot read the playlist
+   * @returns {Object} Streamed response containing the playlist file
+   */
+  async getPlaylistExportHandler(request, h) {
+    const { format } = this._validator.validatePlaylistExportQuery(request.query);
+
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+
+    await this._playlistsService.verifyPlaylistAccess(playlistId, credentialId);
+    const playlist = await this._playlistsService.getPlaylistById(playlistId);
+    const songs = await this._playlistSongsService.getSongDetailsFromPlaylist(playlistId);
+
+    const { contentType, extension } = PLAYLIST_FORMATS[format];
+    const filename = `${playlist.name.replace(/[^\w.-]+/g, '_')}.${extension}`;
+
+    return h.response(Readable.from(formatPlaylist(playlist, songs, format)))
+      .type(contentType)
+      .header('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+
+  /**
+   * Handles DELETE request to remove a song from a playlist.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   * @param {Object} request.payload - Request payload containing song data
+   * @param {string} request.payload.songId - The ID of the song to remove
+   *
+   * @throws {ValidationError} When the request payload fails validation
+   * @throws {AuthorizationError} When the user is not at least an editor of the playlist
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   */
+  async deleteSongFromPlaylist(request) {
+    this._validator.validatePlaylistSongActivityPayload(request.payload);
+
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+    const { songId } = request.payload;
+
+    await this._playlistsService.verifyPlaylistAccess(
+      playlistId,
+      credentialId,
+      COLLABORATOR_ROLES.EDITOR,
+    );
+    const positions = await this._playlistSongsService.deleteSongFromPlaylist(playlistId, songId);
+    await this._playlistSongActivitiesService.deletePlaylistSongActivity({
+      playlistId,
+      songId,
+      userId: credentialId,
+      details: { positions },
+    });
+
+    await this._cacheService.delete(`activities:${playlistId}`);
+    await this._cacheService.delete(`songs:${playlistId}`);
+
+    return {
+      status: 'success',
+      message: 'Lagu berhasil dihapus dari playlist',
+    };
+  }
+
+  /**
+   * Handles POST request to add many songs to a playlist at once, either at the end
+   * or starting at the given position, in a single transaction.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   * @param {Object} request.payload - Request payload
+   * @param {Array<string>} request.payload.songIds - The IDs of the songs, in order
+   * @param {number} [request.payload.position] - The 1-based position of the first song
+   * @param {Object} h - The Hapi response toolkit
+   *
+   * @throws {ValidationError} When the request payload fails validation
+   * @throws {AuthorizationError} When the user is not at least an editor of the playlist
+   * @throws {NotFoundError} When any of the songs does not exist
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   *                   - HTTP status code 201
+   */
+  async postSongsToPlaylistHandler(request, h) {
+    this._validator.validatePlaylistSongsBatchPayload(request.payload);
+
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+    const { songIds, position } = request.payload;
+
+    await this._playlistsService.verifyPlaylistAccess(
+      playlistId,
+      credentialId,
+      COLLABORATOR_ROLES.EDITOR,
+    );
+    await this._playlistSongsService.addSongsToPlaylist(
+      playlistId,
+      songIds,
+      position,
+      credentialId,
+    );
+
+    await this._cacheService.delete(`activities:${playlistId}`);
+    await this._cacheService.delete(`songs:${playlistId}`);
+
+    const response = h.response({
+      status: 'success',
+      message: `${songIds.length} lagu berhasil ditambahkan ke playlist`,
+    });
+    response.code(201);
+    return response;
+  }
+
+  /**
+   * Handles DELETE request to remove many songs from a playlist at once,
+   * in a single transaction.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   * @param {Object} request.payload - Request payload
+   * @param {Array<string>} request.payload.songIds - The IDs of the songs to remove
+   *
+   * @throws {ValidationError} When the request payload fails validation
+   * @throws {AuthorizationError} When the user is not at least an editor of the playlist
+   * @throws {NotFoundError} When any of the songs does not exist or is not in the playlist
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   */
+  async deleteSongsFromPlaylistHandler(request) {
+    this._validator.validatePlaylistSongsBatchDeletePayload(request.payload);
+
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+    const { songIds } = request.payload;
+
+    await this._playlistsService.verifyPlaylistAccess(
+      playlistId,
+      credentialId,
+      COLLABORATOR_ROLES.EDITOR,
+    );
+    await this._playlistSongsService.deleteSongsFromPlaylist(playlistId, songIds, credentialId);
+
+    await this._cacheService.delete(`activities:${playlistId}`);
+    await this._cacheService.delete(`songs:${playlistId}`);
+
+    return {
+      status: 'success',
+      message: `${songIds.length} lagu berhasil dihapus dari playlist`,
+    };
+  }
+
+  /**
+   * Handles PATCH request to move one or many songs to new positions in a playlist.
+   * All moves are applied in a single transaction and each one is recorded as
+   * a 'move' activity.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   * @param {Object} request.payload - Request payload containing the moves
+   * @param {Array<Object>} request.payload.songs - Moves, each containing songId and
+   *                                                the 1-based target position
+   *
+   * @throws {ValidationError} When the request payload fails validation
+   * @throws {AuthorizationError} When the user is not at least an editor of the playlist
+   * @throws {NotFoundError} When a song is not in the playlist
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   */
+  async patchPlaylistSongsOrderHandler(request) {
+    this._validator.validatePlaylistSongsOrderPayload(request.payload);
+
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+    const { songs } = request.payload;
+
+    await this._playlistsService.verifyPlaylistAccess(
+      playlistId,
+      credentialId,
+      COLLABORATOR_ROLES.EDITOR,
+    );
+    await this._playlistSongsService.moveSongsInPlaylist(playlistId, songs, credentialId);
+
+    await this._cacheService.delete(`activities:${playlistId}`);
+    await this._cacheService.delete(`songs:${playlistId}`);
+
+    return {
+      status: 'success',
+      message: 'Urutan lagu berhasil diperbarui',
+    };
+  }
+
+  /**
+   * Handles GET request to retrieve a page of playlist activities in chronological order,
+   * optionally filtered by user, action, and time range. Only the unfiltered first page
+   * is cached, since it is what most clients request.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   * @param {Object} request.query - Query parameters
+   * @param {string} [request.query.userId] - Only activities performed by this user
+   * @param {string} [request.query.action] - Comma separated list of actions
+   * @param {string} [request.query.from] - Only activities at or after this ISO 8601 time
+   * @param {string} [request.query.to] - Only activities at or before this ISO 8601 time
+   * @param {number} [request.query.limit] - The page size
+   * @param {string} [request.query.cursor] - Cursor returned by the previous page
+   * @param {string} [request.query.sort] - "time" (oldest first, default) or "-time"
+   * @param {Object} h - The Hapi response toolkit
+   *
+   * @throws {ValidationError} When the query or the cursor is invalid
+   * @throws {AuthorizationError} When the user cannot read the playlist
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - data: Object containing playlist ID and activities
+   *                   - meta: Object containing nextCursor and total
+   */
+  async getPlaylistSongActivitiesHandler(request, h) {
+    const {
+      action, limit, sort, ...filters
+    } = this._validator.validatePlaylistActivitiesQuery(request.query);
+
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+
+    await this._playlistsService.verifyPlaylistAccess(playlistId, credentialId);
+
+    const isFirstPage = !action && !Object.keys(filters).length
+      && limit === DEFAULT_LIMIT && sort === 'time';
+
+    if (isFirstPage) {
+      try {
+        const { activities, meta } = JSON.parse(await this._cacheService.get(`activities:${playlistId}`));
+
+        const response = h.response({
+          status: 'success',
+          data: {
+            playlistId,
+            activities,
+          },
+          meta,
+        });
+        response.header('X-Data-Source', 'cache');
+        return response;
+      } catch (error) {
+        // Cache miss; the page is read from the database below.
+      }
+    }
+
+    const { activities, meta } = await this._playlistSongActivitiesService
+      .getPlaylistSongActivities(playlistId, {
+        ...filters,
+        actions: action ? action.split(',') : undefined,
+        limit,
+        sort,
+      });
+
+    if (isFirstPage) {
+      await this._cacheService.set(`activities:${playlistId}`, JSON.stringify({ activities, meta }), 60 * 30);
+    }
+
+    return {
+      status: 'success',
+      data: {
+        playlistId,
+        activities,
+      },
+      meta,
+    };
+  }
+
+  /**
+   * Handles GET request to rebuild the songs of a playlist as they were at a point
+   * in time, from its activity log.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   * @param {Object} request.query - Query parameters
+   * @param {string} request.query.at - The point in time, as an ISO 8601 timestamp
+   *
+   * @throws {ValidationError} When the query fails validation
+   * @throws {AuthorizationError} When the user cannot read the playlist
+   * @throws {InvariantError} When the playlist is, or was at that time, a smart playlist
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - data: Object containing the playlist ID, the point in time,
+   *                     and the songs at that time
+   */
+  async getPlaylistSnapshotHandler(request) {
+    const { at } = this._validator.validatePlaylistSnapshotQuery(request.query);
+
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+
+    await this._playlistsService.verifyPlaylistAccess(playlistId, credentialId);
+    const songs = await this._playlistSongsService.getPlaylistSnapshot(playlistId, at);
+
+    return {
+      status: 'success',
+      data: {
+        snapshot: {
+          playlistId,
+          at: at.toISOString(),
+          songs,
+        },
+      },
+    };
+  }
+
+  /**
+   * Handles POST request to restore the songs of a playlist to how they were at a
+   * point in time.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   * @param {Object} request.payload - Request payload
+   * @param {string} request.payload.at - The point in time, as an ISO 8601 timestamp
+   *
+   * @throws {ValidationError} When the request payload fails validation
+   * @throws {AuthorizationError} When the user is not at least an editor of the playlist
+   * @throws {InvariantError} When the playlist is, or was at that time, a smart playlist
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   *                   - data: Object containing the number of songs in the restored playlist
+   */
+  async postPlaylistRevertHandler(request) {
+    const { at } = this._validator.validatePlaylistRevertPayload(request.payload);
+
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+
+    await this._playlistsService.verifyPlaylistAccess(
+      playlistId,
+      credentialId,
+      COLLABORATOR_ROLES.EDITOR,
+    );
+    const songCount = await this._playlistSongsService.revertPlaylist(
+      playlistId,
+      at,
+      credentialId,
+    );
+
+    await this._cacheService.delete(`activities:${playlistId}`);
+    await this._cacheService.delete(`songs:${playlistId}`);
+
+    return {
+      status: 'success',
+      message: 'Playlist berhasil dikembalikan',
+      data: {
+        songCount,
+      },
+    };
+  }
+
+  /**
+   * Handles PUT request to change the visibility of a playlist. Restricted to playlist admins.
+   * Making a playlist unlisted issues a share token when it does not have one yet.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   * @param {Object} request.payload - Request payload
+   * @param {string} request.payload.visibility - 'private', 'unlisted', or 'public'
+   *
+   * @throws {ValidationError} When the request payload fails validation
+   * @throws {AuthorizationError} When the user is not a playlist admin
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   *                   - data: Object containing visibility and shareUrl
+   */
+  async putPlaylistVisibilityHandler(request) {
+    this._validator.validatePlaylistVisibilityPayload(request.payload);
+
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+    const { visibility } = request.payload;
+
+    await this._playlistsService.verifyPlaylistAccess(
+      playlistId,
+      credentialId,
+      COLLABORATOR_ROLES.ADMIN,
+    );
+    const { shareToken } = await this._playlistsService.editPlaylistVisibilityById(
+      playlistId,
+      visibility,
+    );
+
+    await this._clearPlaylistsCache(playlistId);
+
+    return {
+      status: 'success',
+      message: 'Visibilitas playlist berhasil diperbarui',
+      data: {
+        visibility,
+        shareUrl: visibility === 'unlisted' ? buildShareUrl(playlistId, shareToken) : null,
+      },
+    };
+  }
+
+  /**
+   * Handles POST request to issue a new share token for a playlist, invalidating the
+   * previous share link. Restricted to playlist admins.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   * @param {Object} h - The Hapi response toolkit
+   *
+   * @throws {AuthorizationError} When the user is not a playlist admin
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   *                   - data: Object containing shareToken and shareUrl
+   *                   - HTTP status code 201
+   */
+  async postPlaylistShareTokenHandler(request, h) {
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+
+    await this._playlistsService.verifyPlaylistAccess(
+      playlistId,
+      credentialId,
+      COLLABORATOR_ROLES.ADMIN,
+    );
+    const shareToken = await this._playlistsService.rotatePlaylistShareToken(playlistId);
+    await this._clearPlaylistsCache(playlistId);
+
+    const response = h.response({
+      status: 'success',
+      message: 'Tautan berbagi berhasil dibuat',
+      data: {
+        shareToken,
+        shareUrl: buildShareUrl(playlistId, shareToken),
+      },
+    });
+    response.code(201);
+    return response;
+  }
+
+  /**
+   * Handles DELETE request to revoke the share token of a playlist. Restricted to playlist admins.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   *
+   * @throws {AuthorizationError} When the user is not a playlist admin
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   */
+  async deletePlaylistShareTokenHandler(request) {
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+
+    await this._playlistsService.verifyPlaylistAccess(
+      playlistId,
+      credentialId,
+      COLLABORATOR_ROLES.ADMIN,
+    );
+    await this._playlistsService.deletePlaylistShareToken(playlistId);
+    await this._clearPlaylistsCache(playlistId);
+
+    return {
+      status: 'success',
+      message: 'Tautan berbagi berhasil dicabut',
+    };
+  }
+
+  /**
+   * Handles POST request to hand ownership of a playlist to one of its collaborators.
+   * Restricted to the owner. With confirmation, the transfer waits until the recipient
+   * accepts it; otherwise it takes effect immediately.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   * @param {Object} request.payload - Request payload
+   * @param {string} request.payload.userId - The ID of the collaborator receiving ownership
+   * @param {boolean} [request.payload.confirmation=false] - Whether the recipient has to
+   *                                                         accept the transfer
+   *
+   * @throws {ValidationError} When the request payload fails validation
+   * @throws {AuthorizationError} When the user is not the owner
+   * @throws {InvariantError} When the recipient is not a collaborator of the playlist
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   *                   - data: Object containing the transfer status ('pending' or 'completed')
+   */
+  async postPlaylistTransferHandler(request) {
+    const { userId, confirmation } = this._validator.validatePlaylistTransferPayload(
+      request.payload,
+    );
+
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+
+    await this._playlistsService.verifyPlaylistOwner(playlistId, credentialId);
+
+    if (confirmation) {
+      await this._playlistsService.requestPlaylistTransfer(playlistId, userId);
+
+      return {
+        status: 'success',
+        message: 'Transfer kepemilikan menunggu konfirmasi penerima',
+        data: {
+          transferStatus: 'pending',
+        },
+      };
+    }
+
+    await this._playlistsService.transferPlaylistOwnership(playlistId, userId);
+    await this._clearPlaylistTransferCache(playlistId);
+
+    return {
+      status: 'success',
+      message: 'Kepemilikan playlist berhasil dialihkan',
+      data: {
+        transferStatus: 'completed',
+      },
+    };
+  }
+
+  /**
+   * Handles POST request for the proposed owner to accept a pending ownership transfer.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   *
+   * @throws {NotFoundError} When no transfer to the user is pending
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   */
+  async postAcceptPlaylistTransferHandler(request) {
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+
+    await this._playlistsService.acceptPlaylistTransfer(playlistId, credentialId);
+    await this._clearPlaylistTransferCache(playlistId);
+
+    return {
+      status: 'success',
+      message: 'Kepemilikan playlist berhasil diterima',
+    };
+  }
+
+  /**
+   * Handles DELETE request to cancel a pending ownership transfer, either by the owner
+   * or by the proposed owner declining it.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   *
+   * @throws {NotFoundError} When no transfer involving the user is pending
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   */
+  async deletePlaylistTransferHandler(request) {
+    const { id: credentialId } = request.auth.credentials;
+    const { playlistId } = request.params;
+
+    await this._playlistsService.deletePlaylistTransfer(playlistId, credentialId);
+
+    return {
+      status: 'success',
+      message: 'Transfer kepemilikan berhasil dibatalkan',
+    };
+  }
+
+  /**
+   * Invalidates the caches affected by a completed ownership transfer: the playlist lists
+   * of every member, which show the owner, and the activity log, which now holds the
+   * transfer. The previous owner stays a collaborator, so their list is cleared too.
+   *
+   * @param {string} playlistId - The ID of the playlist
+   * @returns {Promise<void>}
+   */
+  async _clearPlaylistTransferCache(playlistId) {
+    await this._clearPlaylistsCache(playlistId);
+    await this._cacheService.delete(`activities:${playlistId}`);
+  }
+
+  /**
+   * Handles unauthenticated GET request to read a public playlist, or an unlisted one
+   * with its share token. Returns the songs but not the activity log.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.playlistId - The ID of the playlist
+   * @param {Object} request.query - Query parameters
+   * @param {string} [request.query.token] - The share token of an unlisted playlist
+   * @param {Object} h - The Hapi response toolkit
+   *
+   * @throws {NotFoundError} When the playlist does not exist or is not shared
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - data: Object containing the playlist and its songs
+   */
+  async getPublicPlaylistHandler(request, h) {
+    this._validator.validatePublicPlaylistQuery(request.query);
+
+    const { playlistId } = request.params;
+    const { token } = request.query;
+
+    const playlist = await this._playlistsService.getPublicPlaylistById(playlistId, token);
+
+    try {
+      playlist.songs = JSON.parse(await this._cacheService.get(`songs:${playlistId}`));
+
+      const response = h.response({
+        status: 'success',
+        data: {
+          playlist,
+        },
+      });
+      response.header('X-Data-Source', 'cache');
+      return response;
+    } catch (error) {
+      playlist.songs = await this._playlistSongsService.getSongsFromPlaylist(playlistId);
+
+      await this._cachePlaylistSongs(playlist);
+
+      return {
+        status: 'success',
+        data: {
+          playlist,
         },
       };
     }
@@ -8,6 +8,9 @@ module.exports = {
     playlistsService,
     playlistSongsService,
     playlistSongActivitiesService,
+    playlistImportsService,
+    foldersService,
+    storageService,
     cacheService,
     validator,
   }) => {
@@ -15,6 +18,9 @@ module.exports = {
       playlistsService,
       playlistSongsService,
       playlistSongActivitiesService,
+      playlistImportsService,
+      foldersService,
+      storageService,
       cacheService,
       validator,
     });
@@ -1,3 +1,5 @@
+const path = require('path');
+
 /**
  * Defines all routes for the playlists API
  *
@@ -21,6 +23,14 @@ const playlistsRoutes = (handler) => [
       auth: 'openmusic-app_jwt',
     },
   },
+  {
+    method: 'PUT',
+    path: '/playlists/{playlistId}',
+    handler: handler.putPlaylistHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
   {
     method: 'DELETE',
     path: '/playlists/{playlistId}',
@@ -29,6 +39,83 @@ const playlistsRoutes = (handler) => [
       auth: 'openmusic-app_jwt',
     },
   },
+  {
+    method: 'POST',
+    path: '/playlists/import',
+    handler: handler.postPlaylistImportHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+      payload: {
+        allow: 'multipart/form-data',
+        multipart: true,
+        output: 'stream',
+        maxBytes: 1048576,
+      },
+    },
+  },
+  {
+    method: 'GET',
+    path: '/playlists/{playlistId}/imports/{importId}',
+    handler: handler.getPlaylistImportHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'PUT',
+    path: '/playlists/{playlistId}/imports/{importId}',
+    handler: handler.putPlaylistImportHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'PUT',
+    path: '/playlists/{playlistId}/rules',
+    handler: handler.putPlaylistRulesHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'POST',
+    path: '/playlists/{playlistId}/freeze',
+    handler: handler.postFreezePlaylistHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'POST',
+    path: '/playlists/{playlistId}/fork',
+    handler: handler.postForkPlaylistHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'POST',
+    path: '/playlists/{playlistId}/covers',
+    handler: handler.postPlaylistCoverHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+      payload: {
+        allow: 'multipart/form-data',
+        multipart: true,
+        output: 'stream',
+        maxBytes: 512000,
+      },
+    },
+  },
+  {
+    method: 'GET',
+    path: '/playlists/covers/{param*}',
+    handler: {
+      directory: {
+        path: path.resolve(__dirname, 'fs/covers'),
+      },
+    },
+  },
   {
     method: 'POST',
     path: '/playlists/{playlistId}/songs',
@@ -45,6 +132,14 @@ const playlistsRoutes = (handler) => [
       auth: 'openmusic-app_jwt',
     },
   },
+  {
+    method: 'GET',
+    path: '/playlists/{playlistId}/export',
+    handler: handler.getPlaylistExportHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
   {
     method: 'DELETE',
     path: '/playlists/{playlistId}/songs',
@@ -53,6 +148,30 @@ const playlistsRoutes = (handler) => [
       auth: 'openmusic-app_jwt',
     },
   },
+  {
+    method: 'POST',
+    path: '/playlists/{playlistId}/songs/batch',
+    handler: handler.postSongsToPlaylistHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/playlists/{playlistId}/songs/batch',
+    handler: handler.deleteSongsFromPlaylistHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'PATCH',
+    path: '/playlists/{playlistId}/songs/order',
+    handler: handler.patchPlaylistSongsOrderHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
   {
     method: 'GET',
     path: '/playlists/{playlistId}/activities',
@@ -61,6 +180,75 @@ const playlistsRoutes = (handler) => [
       auth: 'openmusic-app_jwt',
     },
   },
+  {
+    method: 'GET',
+    path: '/playlists/{playlistId}/snapshots',
+    handler: handler.getPlaylistSnapshotHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'POST',
+    path: '/playlists/{playlistId}/revert',
+    handler: handler.postPlaylistRevertHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'PUT',
+    path: '/playlists/{playlistId}/visibility',
+    handler: handler.putPlaylistVisibilityHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'POST',
+    path: '/playlists/{playlistId}/share-token',
+    handler: handler.postPlaylistShareTokenHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/playlists/{playlistId}/share-token',
+    handler: handler.deletePlaylistShareTokenHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'POST',
+    path: '/playlists/{playlistId}/transfer',
+    handler: handler.postPlaylistTransferHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'POST',
+    path: '/playlists/{playlistId}/transfer/accept',
+    handler: handler.postAcceptPlaylistTransferHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/playlists/{playlistId}/transfer',
+    handler: handler.deletePlaylistTransferHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'GET',
+    path: '/public/playlists/{playlistId}',
+    handler: handler.getPublicPlaylistHandler,
+  },
 ];
 
 module.exports = playlistsRoutes;
@@ -0,0 +1,46 @@
+const autoBind = require('auto-bind');
+
+/**
+ * Handler class to manage HTTP requests related to catalog search.
+ * Uses auto-bind to maintain proper 'this' context in methods.
+ */
+class SearchHandler {
+  /**
+   * Initializes a new instance of SearchHandler.
+   *
+   * @param {Object} service - The search service instance for handling business logic
+   * @param {Object} validator - The validator instance for request query validation
+   */
+  constructor(service, validator) {
+    this._service = service;
+    this._validator = validator;
+
+    autoBind(this);
+  }
+
+  /**
+   * Handles GET request to search songs, albums, and artists.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.query - Query parameters
+   * @param {string} request.query.q - The search terms
+   * @param {string} [request.query.type] - Comma separated types to search
+   *                                        (songs, albums, artists), defaults to all
+   * @param {number} [request.query.limit] - Maximum number of results per type
+   *
+   * @throws {ValidationError} When the query parameters fail validation
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - data: Object containing ranked results grouped by type
+   */
+  async getSearchHandler(request) {
+    const { q, type, limit } = this._validator.validateSearchQuery(request.query);
+    const results = await this._service.search({ q, types: type.split(','), limit });
+    return {
+      status: 'success',
+      data: results,
+    };
+  }
+}
+
+module.exports = SearchHandler;
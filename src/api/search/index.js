@@ -0,0 +1,11 @@
+const SearchHandler = require('./handler');
+const searchRoutes = require('./routes');
+
+module.exports = {
+  name: 'search',
+  version: '1.0.0',
+  register: async (server, { service, validator }) => {
+    const searchHandler = new SearchHandler(service, validator);
+    server.route(searchRoutes(searchHandler));
+  },
+};
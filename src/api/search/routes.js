@@ -0,0 +1,15 @@
+/**
+ * Defines all search-related routes for the API.
+ *
+ * @param {Object} handler - An instance of SearchHandler containing all the route handlers
+ * @returns {Array<Object>} Array of route configuration objects
+ */
+const searchRoutes = (handler) => [
+  {
+    method: 'GET',
+    path: '/search',
+    handler: handler.getSearchHandler,
+  },
+];
+
+module.exports = searchRoutes;
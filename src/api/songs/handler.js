@@ -1,4 +1,6 @@
+const path = require('path');
 const autoBind = require('auto-bind');
+const InvariantError = require('../../exceptions/InvariantError');
 
 /**
  * Handler class to manage HTTP requests related to songs.
@@ -8,11 +10,19 @@ class SongsHandler {
   /**
    * Initializes a new instance of SongsHandler.
    *
-   * @param {Object} service - The song service instance for handling business logic
+   * @param {Object} songsService - The song service instance for handling business logic
+   * @param {Object} albumsService - The album service instance used to match album tags
+   * @param {Object} storageService - The storage service instance for song audio files
+   * @param {Object} audioMetadataService - The service that parses embedded audio tags
    * @param {Object} validator - The validator instance for request payload validation
    */
-  constructor(service, validator) {
-    this._service = service;
+  constructor({
+    songsService, albumsService, storageService, audioMetadataService, validator,
+  }) {
+    this._service = songsService;
+    this._albumsService = albumsService;
+    this._storageService = storageService;
+    this._audioMetadataService = audioMetadataService;
     this._validator = validator;
 
     autoBind(this);
@@ -29,6 +39,7 @@ class SongsHandler {
    * @param {string} request.payload.performer - The performer of the song
    * @param {number} [request.payload.duration] - The duration of the song in seconds (optional)
    * @param {string} [request.payload.albumId] - The ID of the album this song belongs to (optional)
+   * @param {string} [request.payload.lyrics] - The lyrics of the song (optional)
    * @param {Object} h - The Hapi response toolkit
    *
    * @throws {ValidationError} When the request payload fails validation
@@ -41,7 +52,7 @@ class SongsHandler {
   async postSongHandler(request, h) {
     this._validator.validateSongPayload(request.payload);
     const {
-      title, year, genre, performer, duration, albumId,
+      title, year, genre, performer, duration, albumId, lyrics,
     } = request.payload;
 
     const songId = await this._service.addSong({
@@ -51,6 +62,7 @@ class SongsHandler {
       performer,
       duration,
       albumId,
+      lyrics,
     });
 
     const response = h.response({
@@ -65,25 +77,37 @@ class SongsHandler {
   }
 
   /**
-   * Handles GET request to retrieve songs with optional filtering.
+   * Handles GET request to retrieve a page of songs with optional filtering.
    *
    * @param {Object} request - The Hapi request object
    * @param {Object} request.query - Query parameters
    * @param {string} [request.query.title] - Optional title filter
    * @param {string} [request.query.performer] - Optional performer filter
+   * @param {string} [request.query.genre] - Optional genre filter
+   * @param {string} [request.query.albumId] - Optional album filter
+   * @param {number} [request.query.yearFrom] - Optional minimum release year
+   * @param {number} [request.query.yearTo] - Optional maximum release year
+   * @param {number} [request.query.durationMin] - Optional minimum duration in seconds
+   * @param {number} [request.query.durationMax] - Optional maximum duration in seconds
+   * @param {number} [request.query.limit] - Maximum number of songs per page
+   * @param {string} [request.query.cursor] - Cursor returned by the previous page
+   * @param {string} [request.query.sort] - Sort expression, e.g. "year,-title"
    *
+   * @throws {ValidationError} When the query parameters fail validation
    * @returns {Object} Response object with:
    *                   - status: 'success'
    *                   - data: Object containing filtered array of songs
+   *                   - meta: Object containing nextCursor and total
    */
   async getSongsHandler(request) {
-    const { title, performer } = request.query;
-    const songs = await this._service.getSongs({ title, performer });
+    const query = this._validator.validateSongsQuery(request.query);
+    const { songs, meta } = await this._service.getSongs(query);
     return {
       status: 'success',
       data: {
         songs,
       },
+      meta,
     };
   }
 
@@ -123,6 +147,7 @@ class SongsHandler {
    * @param {string} request.payload.performer - The new performer
    * @param {number} [request.payload.duration] - The new duration in seconds (optional)
    * @param {string} [request.payload.albumId] - The new album ID (optional)
+   * @param {string} [request.payload.lyrics] - The new lyrics (optional)
    *
    * @throws {ValidationError} When the request payload fails validation
    * @throws {NotFoundError} When the specified song is not found
@@ -156,12 +181,135 @@ class SongsHandler {
    */
   async deleteSongByIdHandler(request) {
     const { id } = request.params;
-    await this._service.deleteSongById(id);
+    const audio = await this._service.deleteSongById(id);
+
+    if (audio) {
+      await this._storageService.deleteFile(audio);
+    }
+
     return {
       status: 'success',
       message: 'Lagu berhasil dihapus',
     };
   }
+
+  /**
+   * Handles POST request to upload the audio file of a song.
+   * The audio type is detected from the file content, must match the declared
+   * Content-Type, and is stored as the type the audio is served with.
+   * The embedded ID3/Vorbis tags are parsed and used to fill the song's empty duration
+   * and album; the album is filled only when an album with the tagged name already exists.
+   * Replaces and removes any previously uploaded audio.
+   * With dryRun=true, the parsed metadata is returned and nothing is saved.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.id - The ID of the song
+   * @param {Object} request.query - Query parameters
+   * @param {boolean} [request.query.dryRun] - Only parse and return the metadata
+   * @param {Object} request.payload - The multipart form data payload
+   * @param {Object} request.payload.audio - The mp3, ogg, flac, or wav file to upload
+   * @param {Object} h - The Hapi response toolkit
+   *
+   * @throws {ValidationError} When the file is missing, is not a supported audio type,
+   *                           does not match its declared type, or cannot be parsed
+   * @throws {NotFoundError} When the specified song is not found
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   *                   - data: Object containing the parsed metadata and, unless dry run,
+   *                     the names of the filled fields
+   *                   - HTTP status code 201, or 200 for a dry run
+   */
+  async postSongAudioHandler(request, h) {
+    const { dryRun } = this._validator.validateAudioUploadQuery(request.query);
+    const { id } = request.params;
+    const { audio } = request.payload || {};
+
+    if (!audio || !audio.hapi) {
+      throw new InvariantError('Berkas audio wajib diunggah');
+    }
+
+    this._validator.validateAudioHeaders(audio.hapi.headers);
+    const song = await this._service.getSongById(id);
+
+    const filename = await this._storageService.writeFile(audio, audio.hapi);
+
+    const filePath = path.resolve(this._storageService.folder, filename);
+    let contentType;
+    let metadata;
+
+    try {
+      contentType = await this._audioMetadataService.detectContentType(
+        filePath,
+        audio.hapi.headers['content-type'],
+      );
+      metadata = await this._audioMetadataService.parseFile(filePath);
+    } catch (error) {
+      await this._storageService.deleteFile(filename);
+      throw error;
+    }
+
+    if (dryRun) {
+      await this._storageService.deleteFile(filename);
+
+      return {
+        status: 'success',
+        message: 'Metadata audio berhasil dibaca',
+        data: {
+          metadata,
+        },
+      };
+    }
+
+    const previousAudio = await this._service.editSongAudioById(id, {
+      filename,
+      contentType,
+    });
+
+    if (previousAudio) {
+      await this._storageService.deleteFile(previousAudio);
+    }
+
+    const albumId = !song.albumId && metadata.album
+      ? await this._albumsService.getAlbumIdByName(metadata.album, metadata.year)
+      : null;
+    const filledFields = await this._service.fillMissingSongMetadataById(id, {
+      ...metadata,
+      albumId,
+    });
+
+    const response = h.response({
+      status: 'success',
+      message: 'Audio berhasil diunggah',
+      data: {
+        metadata,
+        filledFields,
+      },
+    });
+    response.code(201);
+    return response;
+  }
+
+  /**
+   * Handles GET request to stream the audio file of a song.
+   * Supports Range requests with 206 partial responses so that players can seek.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.id - The ID of the song
+   * @param {Object} h - The Hapi response toolkit
+   *
+   * @throws {NotFoundError} When the song is not found or has no audio
+   * @returns {Object} File response with the audio's Content-Type
+   */
+  async getSongStreamHandler(request, h) {
+    const { id } = request.params;
+    const { filename, contentType } = await this._service.getSongAudioById(id);
+
+    return h.file(filename, { confine: this._storageService.folder })
+      .type(contentType);
+  }
 }
 
 module.exports = SongsHandler;
@@ -4,8 +4,20 @@ const songRoutes = require('./routes');
 module.exports = {
   name: 'songs',
   version: '1.0.0',
-  register: async (server, { service, validator }) => {
-    const songsHandler = new SongsHandler(service, validator);
+  register: async (server, {
+    songsService,
+    albumsService,
+    storageService,
+    audioMetadataService,
+    validator,
+  }) => {
+    const songsHandler = new SongsHandler({
+      songsService,
+      albumsService,
+      storageService,
+      audioMetadataService,
+      validator,
+    });
     server.route(songRoutes(songsHandler));
   },
 };
@@ -1,3 +1,5 @@
+const { ROLES, requireRoles } = require('../../utils/auth');
+
 /**
  * Defines all song-related routes for the API.
  *
@@ -9,6 +11,9 @@ const songRoutes = (handler) => [
     method: 'POST',
     path: '/songs',
     handler: handler.postSongHandler,
+    options: {
+      auth: requireRoles(ROLES.CURATOR, ROLES.ADMIN),
+    },
   },
   {
     method: 'GET',
@@ -24,11 +29,39 @@ const songRoutes = (handler) => [
     method: 'PUT',
     path: '/songs/{id}',
     handler: handler.putSongByIdHandler,
+    options: {
+      auth: requireRoles(ROLES.CURATOR, ROLES.ADMIN),
+    },
   },
   {
     method: 'DELETE',
     path: '/songs/{id}',
     handler: handler.deleteSongByIdHandler,
+    options: {
+      auth: requireRoles(ROLES.CURATOR, ROLES.ADMIN),
+    },
+  },
+  {
+    method: 'POST',
+    path: '/songs/{id}/audio',
+    handler: handler.postSongAudioHandler,
+    options: {
+      auth: requireRoles(ROLES.CURATOR, ROLES.ADMIN),
+      payload: {
+        allow: 'multipart/form-data',
+        multipart: true,
+        output: 'stream',
+        maxBytes: 52428800,
+      },
+    },
+  },
+  {
+    method: 'GET',
+    path: '/songs/{id}/stream',
+    handler: handler.getSongStreamHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
   },
 ];
 
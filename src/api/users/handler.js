@@ -1,4 +1,7 @@
+const path = require('path');
 const autoBind = require('auto-bind');
+const InvariantError = require('../../exceptions/InvariantError');
+const config = require('../../utils/config');
 
 /**
  * Handler class to manage HTTP requests related to users.
@@ -9,10 +12,15 @@ class UsersHandler {
    * Initializes a new instance of UsersHandler.
    *
    * @param {Object} service - The user service instance for handling business logic
+   * @param {Object} authenticationsService - The authentication service instance used to
+   *                                          revoke sessions on password change
+   * @param {Object} storageService - The storage service instance for avatar images
    * @param {Object} validator - The validator instance for request payload validation
    */
-  constructor(service, validator) {
+  constructor(service, authenticationsService, storageService, validator) {
     this._service = service;
+    this._authenticationsService = authenticationsService;
+    this._storageService = storageService;
     this._validator = validator;
 
     autoBind(this);
@@ -49,6 +57,229 @@ class UsersHandler {
       },
     }).code(201);
   }
+
+  /**
+   * Handles GET request to retrieve the public profile of a user.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.id - The ID of the user
+   *
+   * @throws {NotFoundError} When the specified user is not found
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - data: Object containing the user profile
+   */
+  async getUserByIdHandler(request) {
+    const { id } = request.params;
+
+    const user = await this._service.getUserById(id);
+
+    return {
+      status: 'success',
+      data: {
+        user,
+      },
+    };
+  }
+
+  /**
+   * Handles GET request to retrieve the profile of the authenticated user.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   *
+   * @throws {NotFoundError} When the user no longer exists
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - data: Object containing the user profile
+   */
+  async getMeHandler(request) {
+    const { id: credentialId } = request.auth.credentials;
+
+    const user = await this._service.getUserById(credentialId);
+
+    return {
+      status: 'success',
+      data: {
+        user,
+      },
+    };
+  }
+
+  /**
+   * Handles PUT request to update the full name and bio of the authenticated user.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.payload - Request payload containing profile data
+   * @param {string} request.payload.fullname - The new full name of the user
+   * @param {string} [request.payload.bio] - The new bio of the user
+   *
+   * @throws {ValidationError} When the request payload fails validation
+   * @throws {NotFoundError} When the user no longer exists
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   */
+  async putMeHandler(request) {
+    this._validator.validateUserProfilePayload(request.payload);
+
+    const { id: credentialId } = request.auth.credentials;
+    const { fullname, bio } = request.payload;
+
+    await this._service.editUserProfile(credentialId, { fullname, bio });
+
+    return {
+      status: 'success',
+      message: 'Profil berhasil diperbarui',
+    };
+  }
+
+  /**
+   * Handles POST request to upload the avatar of the authenticated user, replacing any
+   * previous avatar.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.payload - The multipart form data payload
+   * @param {Object} request.payload.avatar - The image file to upload
+   * @param {Object} h - The Hapi response toolkit
+   *
+   * @throws {InvariantError} When no avatar file is uploaded
+   * @throws {ValidationError} When the file is not a supported image
+   * @throws {NotFoundError} When the user no longer exists
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   *                   - data: Object containing the avatarUrl
+   *                   - HTTP status code 201
+   */
+  async postMeAvatarHandler(request, h) {
+    const { id: credentialId } = request.auth.credentials;
+    const { avatar } = request.payload || {};
+
+    if (!avatar || !avatar.hapi) {
+      throw new InvariantError('Berkas avatar wajib diunggah');
+    }
+
+    this._validator.validateImageHeaders(avatar.hapi.headers);
+
+    const fileLocation = await this._storageService.writeFile(avatar, avatar.hapi);
+    const avatarUrl = `${config.server.publicUrl}/users/avatars/${fileLocation}`;
+
+    const previousAvatarUrl = await this._service.editUserAvatar(credentialId, avatarUrl);
+
+    if (previousAvatarUrl) {
+      await this._storageService.deleteFile(path.basename(previousAvatarUrl));
+    }
+
+    return h.response({
+      status: 'success',
+      message: 'Avatar berhasil diunggah',
+      data: {
+        avatarUrl,
+      },
+    }).code(201);
+  }
+
+  /**
+   * Handles PUT request to change the password of the authenticated user. All other
+   * sessions of the user are revoked; the session of the access token used for the
+   * request is kept.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.auth - Authentication object containing credentials
+   * @param {Object} request.payload - Request payload containing the passwords
+   * @param {string} request.payload.currentPassword - The current password of the user
+   * @param {string} request.payload.newPassword - The new password of the user
+   *
+   * @throws {ValidationError} When the request payload fails validation
+   * @throws {InvariantError} When the current password is wrong, or the new password
+   *                          is the same as the current one
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   */
+  async putMePasswordHandler(request) {
+    this._validator.validateUserPasswordPayload(request.payload);
+
+    const { id: credentialId, sessionId } = request.auth.credentials;
+    const { currentPassword, newPassword } = request.payload;
+
+    await this._service.changeUserPassword(credentialId, currentPassword, newPassword);
+    await this._authenticationsService.deleteSessionsByUser(credentialId, sessionId);
+
+    return {
+      status: 'success',
+      message: 'Password berhasil diperbarui',
+    };
+  }
+
+  /**
+   * Handles POST request to grant a role to a user. Restricted to admins.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.id - The ID of the user
+   * @param {Object} request.payload - Request payload containing the role
+   * @param {string} request.payload.role - The role to grant
+   * @param {Object} h - The Hapi response toolkit
+   *
+   * @throws {ValidationError} When the request payload fails validation
+   * @throws {NotFoundError} When the specified user is not found
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   *                   - data: Object containing the updated roles
+   *                   - HTTP status code 201
+   */
+  async postUserRoleHandler(request, h) {
+    this._validator.validateUserRolePayload(request.payload);
+    const { id } = request.params;
+    const { role } = request.payload;
+
+    const roles = await this._service.addRoleToUser(id, role);
+
+    return h.response({
+      status: 'success',
+      message: 'Role berhasil ditambahkan',
+      data: {
+        roles,
+      },
+    }).code(201);
+  }
+
+  /**
+   * Handles DELETE request to revoke a role from a user. Restricted to admins.
+   *
+   * @param {Object} request - The Hapi request object
+   * @param {Object} request.params - Request parameters
+   * @param {string} request.params.id - The ID of the user
+   * @param {string} request.params.role - The role to revoke
+   *
+   * @throws {ValidationError} When the role is not a known role
+   * @throws {NotFoundError} When the specified user is not found
+   * @throws {InvariantError} When the user does not have the role
+   * @returns {Object} Response object with:
+   *                   - status: 'success'
+   *                   - message: Success message
+   *                   - data: Object containing the updated roles
+   */
+  async deleteUserRoleHandler(request) {
+    const { id, role } = request.params;
+    this._validator.validateUserRolePayload({ role });
+
+    const roles = await this._service.deleteRoleFromUser(id, role);
+
+    return {
+      status: 'success',
+      message: 'Role berhasil dihapus',
+      data: {
+        roles,
+      },
+    };
+  }
 }
 
 module.exports = UsersHandler;
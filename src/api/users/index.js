@@ -4,8 +4,18 @@ const routes = require('./routes');
 module.exports = {
   name: 'users',
   version: '1.0.0',
-  register: async (server, { service, validator }) => {
-    const usersHandler = new UsersHandler(service, validator);
+  register: async (server, {
+    service,
+    authenticationsService,
+    storageService,
+    validator,
+  }) => {
+    const usersHandler = new UsersHandler(
+      service,
+      authenticationsService,
+      storageService,
+      validator,
+    );
     server.route(routes(usersHandler));
   },
 };
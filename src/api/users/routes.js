@@ -1,3 +1,6 @@
+const path = require('path');
+const { ROLES, requireRoles } = require('../../utils/auth');
+
 /**
  * Defines all user-related routes for the API.
  *
@@ -10,6 +13,74 @@ const userRoutes = (handler) => [
     path: '/users',
     handler: handler.postUserHandler,
   },
+  {
+    method: 'GET',
+    path: '/users/{id}',
+    handler: handler.getUserByIdHandler,
+  },
+  {
+    method: 'GET',
+    path: '/users/avatars/{param*}',
+    handler: {
+      directory: {
+        path: path.resolve(__dirname, 'fs/avatars'),
+      },
+    },
+  },
+  {
+    method: 'GET',
+    path: '/me',
+    handler: handler.getMeHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'PUT',
+    path: '/me',
+    handler: handler.putMeHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'POST',
+    path: '/me/avatar',
+    handler: handler.postMeAvatarHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+      payload: {
+        allow: 'multipart/form-data',
+        multipart: true,
+        output: 'stream',
+        maxBytes: 512000,
+      },
+    },
+  },
+  {
+    method: 'PUT',
+    path: '/me/password',
+    handler: handler.putMePasswordHandler,
+    options: {
+      auth: 'openmusic-app_jwt',
+    },
+  },
+  {
+    method: 'POST',
+    path: '/users/{id}/roles',
+    handler: handler.postUserRoleHandler,
+    options: {
+      auth: requireRoles(ROLES.ADMIN),
+    },
+  },
+  {
+    method: 'DELETE',
+    path: '/users/{id}/roles/{role}',
+    handler: handler.deleteUserRoleHandler,
+    options: {
+      auth: requireRoles(ROLES.ADMIN),
+    },
+  },
 ];
 
 module.exports = userRoutes;
@@ -0,0 +1,45 @@
+/**
+ * Grants the admin role to an existing user, so that the first admin can be created
+ * before anyone is able to call POST /users/{id}/roles.
+ *
+ * Usage: npm run grant-admin -- <username>
+ */
+require('dotenv').config();
+
+const { Pool } = require('pg');
+const { ROLES } = require('../utils/auth');
+
+const grantAdmin = async (username) => {
+  const pool = new Pool();
+
+  try {
+    const result = await pool.query({
+      text: `UPDATE users SET roles = CASE WHEN $1::TEXT = ANY(roles) THEN roles ELSE array_append(roles, $1::TEXT) END
+      WHERE username = $2 RETURNING id, roles`,
+      values: [ROLES.ADMIN, username],
+    });
+
+    if (!result.rows.length) {
+      console.error(`User ${username} tidak ditemukan`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const { id, roles } = result.rows[0];
+    console.log(`Role ${ROLES.ADMIN} diberikan kepada ${username} (${id}): ${roles.join(', ')}`);
+  } finally {
+    await pool.end();
+  }
+};
+
+const [username] = process.argv.slice(2);
+
+if (!username) {
+  console.error('Usage: npm run grant-admin -- <username>');
+  process.exitCode = 1;
+} else {
+  grantAdmin(username).catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
@@ -15,6 +15,19 @@ const AlbumsValidator = require('./validator/albums');
 const songs = require('./api/songs');
 const SongsService = require('./services/postgres/SongsService');
 const SongsValidator = require('./validator/songs');
+const audioMetadataService = require('./services/metadata/AudioMetadataService');
+
+const artists = require('./api/artists');
+const ArtistsService = require('./services/postgres/ArtistsService');
+const ArtistsValidator = require('./validator/artists');
+
+const imports = require('./api/imports');
+const ImportsService = require('./services/postgres/ImportsService');
+const ImportsValidator = require('./validator/imports');
+
+const search = require('./api/search');
+const SearchService = require('./services/postgres/SearchService');
+const SearchValidator = require('./validator/search');
 
 const users = require('./api/users');
 const UsersService = require('./services/postgres/UsersService');
@@ -28,12 +41,20 @@ const collaborations = require('./api/collaborations');
 const CollaborationsService = require('./services/postgres/CollaborationsService');
 const CollaborationsValidator = require('./validator/collaborations');
 
+const invitations = require('./api/invitations');
+const InvitationsService = require('./services/postgres/InvitationsService');
+
 const playlists = require('./api/playlists');
 const PlaylistsService = require('./services/postgres/PlaylistsService');
 const PlaylistSongsService = require('./services/postgres/PlaylistSongsService');
 const PlaylistSongActivitiesService = require('./services/postgres/PlaylistSongActivitiesService');
+const PlaylistImportsService = require('./services/postgres/PlaylistImportsService');
 const PlaylistsValidator = require('./validator/playlists');
 
+const folders = require('./api/folders');
+const FoldersService = require('./services/postgres/FoldersService');
+const FoldersValidator = require('./validator/folders');
+
 const _exports = require('./api/exports');
 const producerService = require('./services/rabbitmq/ProducerService');
 const ExportsValidator = require('./validator/exports');
@@ -41,6 +62,7 @@ const ExportsValidator = require('./validator/exports');
 const CacheService = require('./services/redis/CacheService');
 const ClientError = require('./exceptions/ClientError');
 const TokenManager = require('./tokenize/TokenManager');
+const { verifyRolesFromDatabase } = require('./utils/auth');
 
 const init = async () => {
   const cacheService = new CacheService();
@@ -51,11 +73,28 @@ const init = async () => {
   const songsService = new SongsService();
   const albumsService = new AlbumsService();
   const storageService = new StorageService(path.resolve(__dirname, 'api/albums/fs/covers'));
+  const audioStorageService = new StorageService(path.resolve(__dirname, 'api/songs/fs/audio'));
+  const avatarStorageService = new StorageService(path.resolve(__dirname, 'api/users/fs/avatars'));
+  const playlistCoverStorageService = new StorageService(
+    path.resolve(__dirname, 'api/playlists/fs/covers'),
+  );
   const albumLikesService = new AlbumLikesService();
+  const artistsService = new ArtistsService(songsService, albumsService);
+  const importsService = new ImportsService();
+  const searchService = new SearchService();
 
-  const playlistsService = new PlaylistsService(collaborationsService);
-  const playlistSongsService = new PlaylistSongsService(songsService);
   const playlistSongActivitiesService = new PlaylistSongActivitiesService();
+  const playlistsService = new PlaylistsService(
+    collaborationsService,
+    playlistSongActivitiesService,
+  );
+  const invitationsService = new InvitationsService(usersService, playlistSongActivitiesService);
+  const playlistSongsService = new PlaylistSongsService(
+    songsService,
+    playlistSongActivitiesService,
+  );
+  const playlistImportsService = new PlaylistImportsService(playlistSongActivitiesService);
+  const foldersService = new FoldersService();
 
   const server = Hapi.server({
     port: config.server.port,
@@ -88,6 +127,8 @@ const init = async () => {
       isValid: true,
       credentials: {
         id: artifacts.decoded.payload.id,
+        sessionId: artifacts.decoded.payload.sessionId,
+        scope: artifacts.decoded.payload.roles || [],
       },
     }),
   });
@@ -97,6 +138,8 @@ const init = async () => {
       plugin: users,
       options: {
         service: usersService,
+        authenticationsService,
+        storageService: avatarStorageService,
         validator: UsersValidator,
       },
     },
@@ -122,29 +165,74 @@ const init = async () => {
     {
       plugin: songs,
       options: {
-        service: songsService,
+        songsService,
+        albumsService,
+        storageService: audioStorageService,
+        audioMetadataService,
         validator: SongsValidator,
       },
     },
+    {
+      plugin: artists,
+      options: {
+        service: artistsService,
+        validator: ArtistsValidator,
+      },
+    },
+    {
+      plugin: imports,
+      options: {
+        service: importsService,
+        validator: ImportsValidator,
+      },
+    },
+    {
+      plugin: search,
+      options: {
+        service: searchService,
+        validator: SearchValidator,
+      },
+    },
     {
       plugin: playlists,
       options: {
         playlistsService,
         playlistSongsService,
         playlistSongActivitiesService,
+        playlistImportsService,
+        foldersService,
+        storageService: playlistCoverStorageService,
         cacheService,
         validator: PlaylistsValidator,
       },
     },
+    {
+      plugin: folders,
+      options: {
+        foldersService,
+        playlistsService,
+        validator: FoldersValidator,
+      },
+    },
     {
       plugin: collaborations,
       options: {
         collaborationsService,
+        invitationsService,
         playlistsService,
+        playlistSongActivitiesService,
         cacheService,
         validator: CollaborationsValidator,
       },
     },
+    {
+      plugin: invitations,
+      options: {
+        invitationsService,
+        playlistsService,
+        cacheService,
+      },
+    },
     {
       plugin: _exports,
       options: {
@@ -155,6 +243,8 @@ const init = async () => {
     },
   ]);
 
+  server.ext('onCredentials', verifyRolesFromDatabase(usersService));
+
   server.ext('onPreResponse', (request, h) => {
     const { response } = request;
 
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const mm = require('music-metadata');
+const InvariantError = require('../../exceptions/InvariantError');
+
+const HEADER_SIZE = 12;
+
+const MIN_YEAR = 1900;
+
+const AUDIO_SIGNATURES = [
+  {
+    contentType: 'audio/ogg',
+    matches: (header) => header.toString('latin1', 0, 4) === 'OggS',
+  },
+  {
+    contentType: 'audio/flac',
+    matches: (header) => header.toString('latin1', 0, 4) === 'fLaC',
+  },
+  {
+    contentType: 'audio/wav',
+    matches: (header) => header.toString('latin1', 0, 4) === 'RIFF'
+      && header.toString('latin1', 8, 12) === 'WAVE',
+  },
+  {
+    contentType: 'audio/mpeg',
+    // An MPEG frame starts with 11 set sync bits.
+    matches: (header) => header[0] === 0xFF && header[1] >= 0xE0,
+  },
+];
+
+const CONTENT_TYPE_ALIASES = {
+  'audio/mp3': 'audio/mpeg',
+  'audio/x-flac': 'audio/flac',
+  'audio/wave': 'audio/wav',
+  'audio/x-wav': 'audio/wav',
+};
+
+/**
+ * Reads a number of bytes of a file at the given offset.
+ *
+ * @param {object} file - A file handle opened for reading
+ * @param {number} position - The offset to read from
+ * @returns {Promise<Buffer>} The bytes read, shorter than HEADER_SIZE near the end of the file
+ */
+const readHeader = async (file, position) => {
+  const buffer = Buffer.alloc(HEADER_SIZE);
+  const { bytesRead } = await file.read(buffer, 0, HEADER_SIZE, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+/**
+ * Computes the size of an ID3v2 tag from its header, so that the audio stream after it
+ * can be inspected. The tag size is stored as four 7-bit bytes and excludes the header
+ * and the optional footer.
+ *
+ * @param {Buffer} header - The first bytes of the file
+ * @returns {number} The size of the tag in bytes, or 0 when the file has no ID3v2 tag
+ */
+const id3TagSize = (header) => {
+  if (header.length < 10 || header.toString('latin1', 0, 3) !== 'ID3') {
+    return 0;
+  }
+
+  const size = [6, 7, 8, 9].reduce((total, index) => total * 128 + header[index], 0);
+  const hasFooter = Math.floor(header[5] / 16) % 2 === 1;
+
+  return 10 + size + (hasFooter ? 10 : 0);
+};
+
+/**
+ * Reads embedded ID3, Vorbis comment, FLAC, and RIFF tags from audio files.
+ * Parsing is done in pure JavaScript by music-metadata, so no native tools are required.
+ */
+const AudioMetadataService = {
+  /**
+   * Parses the tags of an audio file and normalizes them to the song model.
+   *
+   * @param {string} filePath - Absolute path of the audio file
+   *
+   * @throws {InvariantError} When the file cannot be parsed as audio
+   * @returns {Promise<object>} The parsed metadata, each field null when not present:
+   *                           title, performer, year, genre, duration (whole seconds),
+   *                           and album. A year outside 1900 to the current year is
+   *                           dropped, as the song payload would reject it.
+   */
+  parseFile: async (filePath) => {
+    let metadata;
+
+    try {
+      metadata = await mm.parseFile(filePath, { duration: true, skipCovers: true });
+    } catch (error) {
+      throw new InvariantError(`Metadata audio gagal dibaca: ${error.message}`);
+    }
+
+    const { common, format } = metadata;
+    const validYear = Number.isInteger(common.year)
+      && common.year >= MIN_YEAR && common.year <= new Date().getFullYear();
+
+    return {
+      title: common.title || null,
+      performer: common.artist || (common.artists && common.artists.join(', ')) || null,
+      year: validYear ? common.year : null,
+      genre: (common.genre && common.genre[0]) || null,
+      duration: format.duration ? Math.round(format.duration) : null,
+      album: common.album || null,
+    };
+  },
+
+  /**
+   * Detects the type of an audio file from its content, and verifies that it matches
+   * the type declared by the client. An ID3v2 tag in front of the audio is skipped;
+   * an MP3 file is recognized by the tag alone when no frame follows it directly.
+   *
+   * @param {string} filePath - Absolute path of the audio file
+   * @param {string} declaredType - The Content-Type sent with the file
+   *
+   * @throws {InvariantError} When the content is not a supported audio format, or does
+   *                          not match the declared type
+   * @returns {Promise<string>} The detected MIME type: audio/mpeg, audio/ogg, audio/flac,
+   *                            or audio/wav
+   */
+  detectContentType: async (filePath, declaredType) => {
+    const file = await fs.promises.open(filePath, 'r');
+    let contentType;
+
+    try {
+      const header = await readHeader(file, 0);
+      const tagSize = id3TagSize(header);
+      const audioHeader = tagSize ? await readHeader(file, tagSize) : header;
+      const signature = AUDIO_SIGNATURES.find(({ matches }) => matches(audioHeader));
+
+      if (signature) {
+        contentType = signature.contentType;
+      } else if (tagSize) {
+        contentType = 'audio/mpeg';
+      }
+    } finally {
+      await file.close();
+    }
+
+    if (!contentType) {
+      throw new InvariantError('Berkas bukan audio mp3, ogg, flac, atau wav');
+    }
+
+    const declared = declaredType.toLowerCase();
+
+    if ((CONTENT_TYPE_ALIASES[declared] || declared) !== contentType) {
+      throw new InvariantError(`Isi berkas audio (${contentType}) tidak sesuai dengan content-type ${declaredType}`);
+    }
+
+    return contentType;
+  },
+};
+
+module.exports = AudioMetadataService;
@@ -14,8 +14,8 @@ class AlbumLikesService {
     const id = `like-${nanoid(16)}`;
 
     const query = {
-      text: 'INSERT INTO user_album_likes VALUES($1, $2, $3) RETURNING id',
-      values: [id, userId, albumId],
+      text: 'INSERT INTO user_album_likes VALUES($1, $2, $3, $4) RETURNING id',
+      values: [id, userId, albumId, new Date().toISOString()],
     };
 
     const result = await this._pool.query(query);
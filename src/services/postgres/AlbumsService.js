@@ -3,6 +3,14 @@ const { nanoid } = require('nanoid');
 const InvariantError = require('../../exceptions/InvariantError');
 const NotFoundError = require('../../exceptions/NotFoundError');
 const { mapDBtoAlbumModel } = require('../../utils');
+const {
+  parseSort, buildOrderBy, decodeCursor, buildKeysetCondition, buildPage,
+} = require('../../utils/pagination');
+
+const SORTABLE_COLUMNS = {
+  name: 'name',
+  year: { column: 'year', type: 'integer' },
+};
 
 /**
  * Service class to handle all album-related database operations.
@@ -64,13 +72,43 @@ class AlbumsService {
   }
 
   /**
-   * Retrieves all albums from the database.
+   * Retrieves a page of albums from the database using cursor pagination.
+   *
+   * @param {object} options - The pagination options
+   * @param {number} options.limit - The maximum number of albums to return
+   * @param {string} [options.cursor] - Opaque cursor returned by the previous page
+   * @param {string} [options.sort] - Sort expression, e.g. "year,-name"
    *
-   * @returns {Promise<Array<object>>} Array of all albums, mapped to the album model format
+   * @throws {InvariantError} When the sort expression or cursor is invalid
+   * @returns {Promise<object>} Object containing:
+   *                           - albums: Array of albums mapped to the album model format
+   *                           - meta: Object containing nextCursor and total
    */
-  async getAlbums() {
-    const result = await this._pool.query('SELECT * FROM albums');
-    return result.rows.map(mapDBtoAlbumModel);
+  async getAlbums({ limit, cursor, sort }) {
+    const sortFields = parseSort(sort, SORTABLE_COLUMNS);
+
+    const countResult = await this._pool.query('SELECT COUNT(*) AS total FROM albums');
+
+    const values = [];
+    let query = 'SELECT * FROM albums';
+
+    if (cursor) {
+      query += ` WHERE ${buildKeysetCondition(sortFields, decodeCursor(cursor, sortFields), values)}`;
+    }
+
+    values.push(limit + 1);
+    query += ` ${buildOrderBy(sortFields)} LIMIT $${values.length}`;
+
+    const result = await this._pool.query(query, values);
+    const { items, nextCursor } = buildPage(result.rows, limit, sortFields);
+
+    return {
+      albums: items.map(mapDBtoAlbumModel),
+      meta: {
+        nextCursor,
+        total: Number(countResult.rows[0].total),
+      },
+    };
   }
 
   /**
@@ -154,6 +192,47 @@ class AlbumsService {
       throw new NotFoundError('Album gagal dihapus. Id tidak ditemukan');
     }
   }
+
+  /**
+   * Looks up an album by name (case-insensitive) and, when given, release year.
+   *
+   * @param {string} name - The name of the album
+   * @param {number} [year] - The release year of the album
+   *
+   * @returns {Promise<string|null>} The ID of the matching album, or null when none matches
+   */
+  async getAlbumIdByName(name, year = null) {
+    const query = {
+      text: `SELECT id FROM albums
+      WHERE LOWER(name) = LOWER($1) AND ($2::INT IS NULL OR year = $2::INT)
+      ORDER BY year, id LIMIT 1`,
+      values: [name, year],
+    };
+
+    const result = await this._pool.query(query);
+    return result.rows.length ? result.rows[0].id : null;
+  }
+
+  /**
+   * Verifies whether an album exists in the database.
+   *
+   * @param {string} id - The unique identifier of the album
+   *
+   * @throws {NotFoundError} When no album is found with the given ID
+   * @returns {Promise<void>}
+   */
+  async verifyAlbumExists(id) {
+    const query = {
+      text: 'SELECT id FROM albums WHERE id = $1',
+      values: [id],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Album tidak ditemukan');
+    }
+  }
 }
 
 module.exports = AlbumsService;
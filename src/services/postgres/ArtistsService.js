@@ -0,0 +1,367 @@
+const { Pool } = require('pg');
+const { nanoid } = require('nanoid');
+const InvariantError = require('../../exceptions/InvariantError');
+const NotFoundError = require('../../exceptions/NotFoundError');
+const {
+  parseSort, buildOrderBy, decodeCursor, buildKeysetCondition, buildPage,
+} = require('../../utils/pagination');
+
+const SORTABLE_COLUMNS = {
+  name: 'name',
+};
+
+/**
+ * Service class to handle all artist-related database operations, including
+ * the many-to-many links between artists and songs or albums.
+ * Uses PostgreSQL for data persistence and nanoid for unique ID generation.
+ */
+class ArtistsService {
+  /**
+   * Creates a new instance of ArtistsService.
+   *
+   * @param {object} songsService - Instance of SongsService for song verification
+   * @param {object} albumsService - Instance of AlbumsService for album verification
+   */
+  constructor(songsService, albumsService) {
+    this._pool = new Pool();
+    this._songsService = songsService;
+    this._albumsService = albumsService;
+  }
+
+  /**
+   * Creates and adds a new artist to the database.
+   *
+   * @param {object} payload - The artist data from client request
+   * @param {string} payload.name - The name of the artist
+   *
+   * @throws {InvariantError} When the artist name is already taken
+   * @throws {InvariantError} When the artist cannot be added to the database
+   * @returns {Promise<string>} The generated ID of the newly created artist
+   */
+  async addArtist({ name }) {
+    await this.verifyNewArtistName(name);
+
+    const id = `artist-${nanoid(16)}`;
+
+    const query = {
+      text: 'INSERT INTO artists (id, name) VALUES($1, $2) RETURNING id',
+      values: [id, name],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new InvariantError('Artis gagal ditambahkan');
+    }
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * Retrieves a page of artists from the database using cursor pagination.
+   *
+   * @param {object} options - The filter and pagination options
+   * @param {string} [options.name] - Filter artists by name (case-insensitive partial match)
+   * @param {number} options.limit - The maximum number of artists to return
+   * @param {string} [options.cursor] - Opaque cursor returned by the previous page
+   * @param {string} [options.sort] - Sort expression, e.g. "-name"
+   *
+   * @throws {InvariantError} When the sort expression or cursor is invalid
+   * @returns {Promise<object>} Object containing:
+   *                           - artists: Array of artists, each containing id and name
+   *                           - meta: Object containing nextCursor and total
+   */
+  async getArtists({
+    name, limit, cursor, sort,
+  }) {
+    const sortFields = parseSort(sort, SORTABLE_COLUMNS);
+    const values = [];
+    const conditions = [];
+
+    if (name) {
+      values.push(`%${name}%`);
+      conditions.push(`LOWER(name) LIKE LOWER($${values.length})`);
+    }
+
+    const countWhere = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const countResult = await this._pool.query(
+      `SELECT COUNT(*) AS total FROM artists${countWhere}`,
+      values,
+    );
+
+    if (cursor) {
+      conditions.push(buildKeysetCondition(sortFields, decodeCursor(cursor, sortFields), values));
+    }
+
+    let query = 'SELECT id, name FROM artists';
+
+    if (conditions.length > 0) {
+      query += ` WHERE ${conditions.join(' AND ')}`;
+    }
+
+    values.push(limit + 1);
+    query += ` ${buildOrderBy(sortFields)} LIMIT $${values.length}`;
+
+    const result = await this._pool.query(query, values);
+    const { items, nextCursor } = buildPage(result.rows, limit, sortFields);
+
+    return {
+      artists: items,
+      meta: {
+        nextCursor,
+        total: Number(countResult.rows[0].total),
+      },
+    };
+  }
+
+  /**
+   * Retrieves a single artist by its ID, including the albums and songs linked to it.
+   *
+   * @param {string} id - The unique identifier of the artist
+   *
+   * @throws {NotFoundError} When no artist is found with the given ID
+   * @returns {Promise<object>} The artist data including:
+   *                           - albums: Array of linked albums with id, name, year, and role
+   *                           - songs: Array of linked songs with id, title, performer, and role
+   */
+  async getArtistById(id) {
+    const query = {
+      text: 'SELECT id, name FROM artists WHERE id = $1',
+      values: [id],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Artis tidak ditemukan');
+    }
+
+    const albumsQuery = {
+      text: `SELECT albums.id, albums.name, albums.year, album_artists.role FROM albums
+      JOIN album_artists ON album_artists.album_id = albums.id
+      WHERE album_artists.artist_id = $1
+      ORDER BY albums.year, albums.name, albums.id`,
+      values: [id],
+    };
+
+    const songsQuery = {
+      text: `SELECT songs.id, songs.title, songs.performer, song_artists.role FROM songs
+      JOIN song_artists ON song_artists.song_id = songs.id
+      WHERE song_artists.artist_id = $1
+      ORDER BY songs.year, songs.title, songs.id`,
+      values: [id],
+    };
+
+    const albumsResult = await this._pool.query(albumsQuery);
+    const songsResult = await this._pool.query(songsQuery);
+
+    return {
+      ...result.rows[0],
+      albums: albumsResult.rows,
+      songs: songsResult.rows,
+    };
+  }
+
+  /**
+   * Updates an existing artist's information in the database.
+   *
+   * @param {string} id - The unique identifier of the artist to update
+   * @param {object} payload - The updated artist data
+   * @param {string} payload.name - The new name of the artist
+   *
+   * @throws {InvariantError} When the artist name is already taken by another artist
+   * @throws {NotFoundError} When no artist is found with the given ID
+   * @returns {Promise<void>}
+   */
+  async editArtistById(id, { name }) {
+    await this.verifyNewArtistName(name, id);
+
+    const updatedAt = new Date().toISOString();
+    const query = {
+      text: 'UPDATE artists SET name = $1, updated_at = $2 WHERE id = $3 RETURNING id',
+      values: [name, updatedAt, id],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Gagal memperbarui artis. Id tidak ditemukan');
+    }
+  }
+
+  /**
+   * Removes an artist and all of its song and album links from the database.
+   *
+   * @param {string} id - The unique identifier of the artist to delete
+   *
+   * @throws {NotFoundError} When no artist is found with the given ID
+   * @returns {Promise<void>}
+   */
+  async deleteArtistById(id) {
+    const query = {
+      text: 'DELETE FROM artists WHERE id = $1 RETURNING id',
+      values: [id],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Artis gagal dihapus. Id tidak ditemukan');
+    }
+  }
+
+  /**
+   * Links an artist to a song with the given role.
+   *
+   * @param {string} artistId - The unique identifier of the artist
+   * @param {object} payload - The link data
+   * @param {string} payload.songId - The unique identifier of the song
+   * @param {string} payload.role - The role of the artist on the song
+   *
+   * @throws {NotFoundError} When the artist or the song does not exist
+   * @throws {InvariantError} When the artist is already linked to the song with that role
+   * @returns {Promise<string>} The generated ID of the link
+   */
+  async addSongToArtist(artistId, { songId, role }) {
+    await this.verifyArtistExists(artistId);
+    await this._songsService.verifySongExists(songId);
+
+    const id = `song-artist-${nanoid(16)}`;
+
+    const query = {
+      text: `INSERT INTO song_artists (id, song_id, artist_id, role) VALUES($1, $2, $3, $4)
+      ON CONFLICT DO NOTHING RETURNING id`,
+      values: [id, songId, artistId, role],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new InvariantError('Artis sudah terhubung dengan lagu tersebut');
+    }
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * Removes every link between an artist and a song.
+   *
+   * @param {string} artistId - The unique identifier of the artist
+   * @param {string} songId - The unique identifier of the song
+   *
+   * @throws {NotFoundError} When the artist is not linked to the song
+   * @returns {Promise<void>}
+   */
+  async deleteSongFromArtist(artistId, songId) {
+    const query = {
+      text: 'DELETE FROM song_artists WHERE artist_id = $1 AND song_id = $2 RETURNING id',
+      values: [artistId, songId],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Gagal menghapus lagu dari artis. Id tidak ditemukan');
+    }
+  }
+
+  /**
+   * Links an artist to an album with the given role.
+   *
+   * @param {string} artistId - The unique identifier of the artist
+   * @param {object} payload - The link data
+   * @param {string} payload.albumId - The unique identifier of the album
+   * @param {string} payload.role - The role of the artist on the album
+   *
+   * @throws {NotFoundError} When the artist or the album does not exist
+   * @throws {InvariantError} When the artist is already linked to the album with that role
+   * @returns {Promise<string>} The generated ID of the link
+   */
+  async addAlbumToArtist(artistId, { albumId, role }) {
+    await this.verifyArtistExists(artistId);
+    await this._albumsService.verifyAlbumExists(albumId);
+
+    const id = `album-artist-${nanoid(16)}`;
+
+    const query = {
+      text: `INSERT INTO album_artists (id, album_id, artist_id, role) VALUES($1, $2, $3, $4)
+      ON CONFLICT DO NOTHING RETURNING id`,
+      values: [id, albumId, artistId, role],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new InvariantError('Artis sudah terhubung dengan album tersebut');
+    }
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * Removes every link between an artist and an album.
+   *
+   * @param {string} artistId - The unique identifier of the artist
+   * @param {string} albumId - The unique identifier of the album
+   *
+   * @throws {NotFoundError} When the artist is not linked to the album
+   * @returns {Promise<void>}
+   */
+  async deleteAlbumFromArtist(artistId, albumId) {
+    const query = {
+      text: 'DELETE FROM album_artists WHERE artist_id = $1 AND album_id = $2 RETURNING id',
+      values: [artistId, albumId],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Gagal menghapus album dari artis. Id tidak ditemukan');
+    }
+  }
+
+  /**
+   * Verifies that an artist name is not already taken (case-insensitive).
+   *
+   * @param {string} name - The artist name to verify
+   * @param {string} [excludeId] - The ID of an artist to ignore, used when renaming
+   *
+   * @throws {InvariantError} When the name is already in use
+   * @returns {Promise<void>}
+   */
+  async verifyNewArtistName(name, excludeId = null) {
+    const query = {
+      text: 'SELECT id FROM artists WHERE LOWER(name) = LOWER($1) AND id IS DISTINCT FROM $2',
+      values: [name, excludeId],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (result.rows.length > 0) {
+      throw new InvariantError('Gagal menyimpan artis. Nama artis sudah digunakan.');
+    }
+  }
+
+  /**
+   * Verifies whether an artist exists in the database.
+   *
+   * @param {string} id - The unique identifier of the artist
+   *
+   * @throws {NotFoundError} When no artist is found with the given ID
+   * @returns {Promise<void>}
+   */
+  async verifyArtistExists(id) {
+    const query = {
+      text: 'SELECT id FROM artists WHERE id = $1',
+      values: [id],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Artis tidak ditemukan');
+    }
+  }
+}
+
+module.exports = ArtistsService;
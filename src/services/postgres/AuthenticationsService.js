@@ -1,9 +1,13 @@
 const { Pool } = require('pg');
+const { nanoid } = require('nanoid');
 const InvariantError = require('../../exceptions/InvariantError');
+const NotFoundError = require('../../exceptions/NotFoundError');
 
 /**
  * Service class to handle authentication-related database operations.
- * Uses PostgreSQL for data persistence.
+ * Every login opens a session whose refresh tokens form one family: each refresh
+ * replaces the token in use, and presenting a replaced token again revokes the session.
+ * Uses PostgreSQL for data persistence and nanoid for unique ID generation.
  */
 class AuthenticationsService {
   constructor() {
@@ -11,30 +15,59 @@ class AuthenticationsService {
   }
 
   /**
-   * Stores a refresh token in the database.
+   * Opens a session for a user and stores its first refresh token, in a single transaction.
    *
-   * @param {string} token - The refresh token to be stored
-   * @returns {Promise<void>}
+   * @param {object} payload - The session data
+   * @param {string} payload.userId - The ID of the authenticated user
+   * @param {string} payload.token - The refresh token issued for the session
+   * @param {string} [payload.userAgent] - The User-Agent header of the client
+   * @param {string} [payload.ip] - The IP address of the client
+   *
+   * @returns {Promise<string>} The generated ID of the new session
    */
-  async addRefreshToken(token) {
-    const query = {
-      text: 'INSERT INTO authentications VALUES($1)',
-      values: [token],
-    };
+  async addSession({
+    userId, token, userAgent = null, ip = null,
+  }) {
+    const id = `session-${nanoid(16)}`;
+    const now = new Date().toISOString();
+    const client = await this._pool.connect();
 
-    await this._pool.query(query);
+    try {
+      await client.query('BEGIN');
+
+      await client.query({
+        text: `INSERT INTO sessions (id, user_id, user_agent, ip, created_at, last_used_at)
+        VALUES($1, $2, $3, $4, $5, $5)`,
+        values: [id, userId, userAgent, ip, now],
+      });
+
+      await client.query({
+        text: 'INSERT INTO authentications (token, user_id, session_id) VALUES($1, $2, $3)',
+        values: [token, userId, id],
+      });
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return id;
   }
 
   /**
-   * Verifies if a refresh token exists in the database.
+   * Verifies that a refresh token is the current token of an open session.
    *
    * @param {string} token - The refresh token to be verified
-   * @throws {InvariantError} When the refresh token is not found in the database
-   * @returns {Promise<void>}
+   * @throws {InvariantError} When the refresh token is unknown or was already replaced
+   * @returns {Promise<object>} Object containing the sessionId and userId of the token
    */
   async verifyRefreshToken(token) {
     const query = {
-      text: 'SELECT token FROM authentications WHERE token = $1',
+      text: `SELECT session_id AS "sessionId", user_id AS "userId" FROM authentications
+      WHERE token = $1 AND used_at IS NULL`,
       values: [token],
     };
 
@@ -43,18 +76,136 @@ class AuthenticationsService {
     if (!result.rows.length) {
       throw new InvariantError('Refresh token tidak valid');
     }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Replaces the current refresh token of a session with a new one, in a single
+   * transaction. A token that was already replaced means the family has leaked, so
+   * its session is revoked before the request is rejected.
+   *
+   * @param {string} token - The refresh token presented by the client
+   * @param {string} newToken - The refresh token to issue in its place
+   *
+   * @throws {InvariantError} When the refresh token is unknown, or was already replaced
+   * @returns {Promise<object>} Object containing the sessionId and userId of the token
+   */
+  async rotateRefreshToken(token, newToken) {
+    const client = await this._pool.connect();
+    let reused = false;
+    let session;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query({
+        text: `SELECT session_id AS "sessionId", user_id AS "userId", used_at AS "usedAt"
+        FROM authentications WHERE token = $1 FOR UPDATE`,
+        values: [token],
+      });
+
+      if (!result.rows.length) {
+        throw new InvariantError('Refresh token tidak valid');
+      }
+
+      const { usedAt, ...found } = result.rows[0];
+      session = found;
+      reused = usedAt !== null;
+
+      if (reused) {
+        await client.query({
+          text: 'DELETE FROM sessions WHERE id = $1',
+          values: [session.sessionId],
+        });
+      } else {
+        const now = new Date().toISOString();
+
+        await client.query({
+          text: 'UPDATE authentications SET used_at = $1 WHERE token = $2',
+          values: [now, token],
+        });
+
+        await client.query({
+          text: 'INSERT INTO authentications (token, user_id, session_id) VALUES($1, $2, $3)',
+          values: [newToken, session.userId, session.sessionId],
+        });
+
+        await client.query({
+          text: 'UPDATE sessions SET last_used_at = $1 WHERE id = $2',
+          values: [now, session.sessionId],
+        });
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (reused) {
+      throw new InvariantError('Refresh token sudah pernah digunakan. Sesi telah dicabut');
+    }
+
+    return session;
+  }
+
+  /**
+   * Retrieves the open sessions of a user, most recently used first.
+   *
+   * @param {string} userId - The ID of the user
+   * @returns {Promise<Array<object>>} Array of sessions containing id, userAgent, ip,
+   *                                   createdAt, and lastUsedAt
+   */
+  async getSessionsByUser(userId) {
+    const query = {
+      text: `SELECT id, user_agent AS "userAgent", ip, created_at AS "createdAt",
+      last_used_at AS "lastUsedAt"
+      FROM sessions WHERE user_id = $1
+      ORDER BY last_used_at DESC`,
+      values: [userId],
+    };
+
+    const result = await this._pool.query(query);
+    return result.rows;
+  }
+
+  /**
+   * Revokes a session of a user, deleting all of its refresh tokens. Access tokens
+   * already issued for the session stay valid until they expire.
+   *
+   * @param {string} id - The unique identifier of the session
+   * @param {string} userId - The ID of the user
+   *
+   * @throws {NotFoundError} When the user has no session with the given ID
+   * @returns {Promise<void>}
+   */
+  async deleteSession(id, userId) {
+    const query = {
+      text: 'DELETE FROM sessions WHERE id = $1 AND user_id = $2 RETURNING id',
+      values: [id, userId],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Sesi tidak ditemukan');
+    }
   }
 
   /**
-   * Deletes a refresh token from the database.
+   * Revokes every session of a user, optionally except one.
    *
-   * @param {string} token - The refresh token to be removed
+   * @param {string} userId - The ID of the user
+   * @param {string} [exceptSessionId] - The ID of a session of the user to keep
    * @returns {Promise<void>}
    */
-  async deleteRefreshToken(token) {
+  async deleteSessionsByUser(userId, exceptSessionId) {
     const query = {
-      text: 'DELETE FROM authentications WHERE token = $1',
-      values: [token],
+      text: 'DELETE FROM sessions WHERE user_id = $1 AND ($2::TEXT IS NULL OR id <> $2)',
+      values: [userId, exceptSessionId || null],
     };
     await this._pool.query(query);
   }
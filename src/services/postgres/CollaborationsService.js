@@ -2,7 +2,9 @@ const { Pool } = require('pg');
 const { nanoid } = require('nanoid');
 
 const InvariantError = require('../../exceptions/InvariantError');
+const NotFoundError = require('../../exceptions/NotFoundError');
 const AuthorizationError = require('../../exceptions/AuthorizationError');
+const { COLLABORATOR_ROLES, hasCollaboratorRole } = require('../../utils/auth');
 
 /**
  * Service class to handle all playlist collaboration-related database operations.
@@ -27,19 +29,22 @@ class CollaborationsService {
    * @param {object} payload - The collaboration data
    * @param {string} payload.playlistId - The ID of the playlist to collaborate on
    * @param {string} payload.userId - The ID of the user to add as collaborator
+   * @param {string} [payload.role='editor'] - The role of the collaborator: 'viewer',
+   *                                           'editor', or 'admin'
    *
    * @throws {InvariantError} When the collaboration cannot be added to the database
    * @throws {NotFoundError} When the specified user does not exist (from UserService)
    * @returns {Promise<string>} The generated ID of the newly created collaboration
    */
-  async addCollaboration({ playlistId, userId }) {
+  async addCollaboration({ playlistId, userId, role = COLLABORATOR_ROLES.EDITOR }) {
     await this._userService.getUserById(userId);
 
     const id = `collab-${nanoid(16)}`;
 
     const query = {
-      text: 'INSERT INTO collaborations VALUES($1, $2, $3) RETURNING id',
-      values: [id, playlistId, userId],
+      text: `INSERT INTO collaborations (id, playlist_id, user_id, role, created_at)
+      VALUES($1, $2, $3, $4, $5) RETURNING id`,
+      values: [id, playlistId, userId, role, new Date().toISOString()],
     };
 
     const result = await this._pool.query(query);
@@ -51,6 +56,53 @@ class CollaborationsService {
     return result.rows[0].id;
   }
 
+  /**
+   * Retrieves the collaborators of a playlist, including its owner.
+   *
+   * @param {string} playlistId - The ID of the playlist
+   * @returns {Promise<Array<object>>} Array of collaborators, each containing userId, username,
+   *                                   fullname, role, isOwner, and addedAt
+   */
+  async getCollaborators(playlistId) {
+    const query = {
+      text: `SELECT users.id AS "userId", users.username, users.fullname, collaborations.role,
+      users.id = playlists.owner AS "isOwner", collaborations.created_at AS "addedAt"
+      FROM collaborations
+      JOIN users ON users.id = collaborations.user_id
+      JOIN playlists ON playlists.id = collaborations.playlist_id
+      WHERE collaborations.playlist_id = $1
+      ORDER BY users.id = playlists.owner DESC, collaborations.created_at NULLS FIRST, users.username`,
+      values: [playlistId],
+    };
+
+    const result = await this._pool.query(query);
+    return result.rows;
+  }
+
+  /**
+   * Changes the role of an existing collaborator.
+   *
+   * @param {object} payload - The collaboration data
+   * @param {string} payload.playlistId - The ID of the playlist
+   * @param {string} payload.userId - The ID of the collaborator
+   * @param {string} payload.role - The new role: 'viewer', 'editor', or 'admin'
+   *
+   * @throws {NotFoundError} When the user is not a collaborator of the playlist
+   * @returns {Promise<void>}
+   */
+  async editCollaborationRole({ playlistId, userId, role }) {
+    const query = {
+      text: 'UPDATE collaborations SET role = $1 WHERE playlist_id = $2 AND user_id = $3 RETURNING id',
+      values: [role, playlistId, userId],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Gagal memperbarui peran. Kolaborasi tidak ditemukan');
+    }
+  }
+
   /**
    * Removes a collaboration record between a user and a playlist.
    *
@@ -75,24 +127,27 @@ class CollaborationsService {
   }
 
   /**
-   * Verifies if a user has collaboration access to a specific playlist.
+   * Verifies if a user has collaboration access to a specific playlist with at least
+   * the given role.
    *
    * @param {object} payload - The collaboration data to verify
    * @param {string} payload.playlistId - The ID of the playlist
    * @param {string} payload.userId - The ID of the user to verify
+   * @param {string} [payload.role='viewer'] - The minimum role required
    *
    * @throws {AuthorizationError} When the user does not have collaboration access
+   *                              or holds a lower role
    * @returns {Promise<void>}
    */
-  async verifyCollaborator({ playlistId, userId }) {
+  async verifyCollaborator({ playlistId, userId, role = COLLABORATOR_ROLES.VIEWER }) {
     const query = {
-      text: 'SELECT * FROM collaborations WHERE playlist_id = $1 AND user_id = $2',
+      text: 'SELECT role FROM collaborations WHERE playlist_id = $1 AND user_id = $2',
       values: [playlistId, userId],
     };
 
     const result = await this._pool.query(query);
 
-    if (!result.rows.length) {
+    if (!result.rows.length || !hasCollaboratorRole(result.rows[0].role, role)) {
       throw new AuthorizationError('Akses ditolak');
     }
   }
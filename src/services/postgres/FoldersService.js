@@ -0,0 +1,361 @@
+const { Pool } = require('pg');
+const { nanoid } = require('nanoid');
+const InvariantError = require('../../exceptions/InvariantError');
+const NotFoundError = require('../../exceptions/NotFoundError');
+
+const SIBLING_COLUMNS = {
+  folders: 'parent_id',
+  playlist_folders: 'folder_id',
+};
+
+/**
+ * Locks the library of a user, so that concurrent edits to their folders and playlist
+ * placements cannot leave two siblings at the same position.
+ *
+ * @param {object} client - A pg client inside an open transaction
+ * @param {string} userId - The ID of the user
+ * @returns {Promise<void>}
+ */
+const lockLibrary = async (client, userId) => {
+  await client.query({
+    text: 'SELECT id FROM users WHERE id = $1 FOR UPDATE',
+    values: [userId],
+  });
+};
+
+/**
+ * Verifies that a folder exists and belongs to a user.
+ *
+ * @param {object} client - A pg client or pool
+ * @param {string} id - The unique identifier of the folder
+ * @param {string} userId - The ID of the user
+ *
+ * @throws {NotFoundError} When the user has no folder with the given ID
+ * @returns {Promise<void>}
+ */
+const verifyFolderOwner = async (client, id, userId) => {
+  const result = await client.query({
+    text: 'SELECT id FROM folders WHERE id = $1 AND user_id = $2',
+    values: [id, userId],
+  });
+
+  if (!result.rows.length) {
+    throw new NotFoundError('Folder tidak ditemukan');
+  }
+};
+
+/**
+ * Takes an item out of its list of siblings and makes room for it in another one.
+ * Folders are ordered among the folders of the same parent, and playlists among the
+ * playlists of the same folder; null stands for the top level of the library.
+ *
+ * @param {object} client - A pg client inside an open transaction
+ * @param {string} table - Either 'folders' or 'playlist_folders'
+ * @param {object} item - The item to place
+ * @param {string} item.id - The ID of the folder or placement
+ * @param {string} item.userId - The ID of the library owner
+ * @param {object|null} item.from - The current parent and position, or null for a new item
+ * @param {string|null} item.parent - The ID of the target folder
+ * @param {number} [item.position] - The 1-based target position; positions past the end
+ *                                   of the list, or no position, append the item
+ * @returns {Promise<number>} The position the item is placed at
+ */
+const makeRoom = async (client, table, {
+  id, userId, from, parent, position,
+}) => {
+  const column = SIBLING_COLUMNS[table];
+
+  if (from) {
+    await client.query({
+      text: `UPDATE ${table} SET position = position - 1
+      WHERE user_id = $1 AND ${column} IS NOT DISTINCT FROM $2 AND position > $3`,
+      values: [userId, from.parent, from.position],
+    });
+  }
+
+  const totalResult = await client.query({
+    text: `SELECT COUNT(*) AS total FROM ${table}
+    WHERE user_id = $1 AND ${column} IS NOT DISTINCT FROM $2 AND id <> $3`,
+    values: [userId, parent, id],
+  });
+
+  const total = Number(totalResult.rows[0].total);
+  const targetPosition = position ? Math.min(position, total + 1) : total + 1;
+
+  await client.query({
+    text: `UPDATE ${table} SET position = position + 1
+    WHERE user_id = $1 AND ${column} IS NOT DISTINCT FROM $2 AND position >= $3 AND id <> $4`,
+    values: [userId, parent, targetPosition, id],
+  });
+
+  return targetPosition;
+};
+
+/**
+ * Service class to organize the playlists of a user into nested folders.
+ * Folders and the placement of playlists in them are personal: every collaborator of a
+ * shared playlist files it in their own library.
+ * Uses PostgreSQL for data persistence and nanoid for unique ID generation.
+ */
+class FoldersService {
+  constructor() {
+    this._pool = new Pool();
+  }
+
+  /**
+   * Runs a library edit in a single transaction, with the library of the user locked.
+   *
+   * @param {string} userId - The ID of the library owner
+   * @param {Function} callback - Receives the pg client and returns the result
+   * @returns {Promise<*>} The result of the callback
+   */
+  async _editLibrary(userId, callback) {
+    const client = await this._pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await lockLibrary(client, userId);
+
+      const result = await callback(client);
+
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Creates a folder at the end of its parent folder, or of the top level.
+   *
+   * @param {object} payload - The folder data
+   * @param {string} payload.name - The name of the folder
+   * @param {string|null} [payload.parentId] - The ID of the parent folder
+   * @param {string} payload.userId - The ID of the library owner
+   *
+   * @throws {NotFoundError} When the parent folder does not belong to the user
+   * @returns {Promise<string>} The generated ID of the new folder
+   */
+  async addFolder({ name, parentId = null, userId }) {
+    const id = `folder-${nanoid(16)}`;
+
+    return this._editLibrary(userId, async (client) => {
+      if (parentId) {
+        await verifyFolderOwner(client, parentId, userId);
+      }
+
+      const position = await makeRoom(client, 'folders', {
+        id, userId, from: null, parent: parentId,
+      });
+
+      await client.query({
+        text: `INSERT INTO folders (id, user_id, parent_id, name, position, created_at)
+        VALUES($1, $2, $3, $4, $5, $6)`,
+        values: [id, userId, parentId, name, position, new Date().toISOString()],
+      });
+
+      return id;
+    });
+  }
+
+  /**
+   * Retrieves all folders of a user, ordered by position within their parent.
+   *
+   * @param {string} userId - The ID of the library owner
+   * @returns {Promise<Array<object>>} Array of folders containing id, name, parentId,
+   *                                   and position
+   */
+  async getFolders(userId) {
+    const query = {
+      text: `SELECT id, name, parent_id AS "parentId", position FROM folders
+      WHERE user_id = $1
+      ORDER BY position, id`,
+      values: [userId],
+    };
+
+    const result = await this._pool.query(query);
+    return result.rows;
+  }
+
+  /**
+   * Renames, moves, or reorders a folder. A folder moved to another parent goes to the
+   * end of it unless a position is given; a folder cannot be moved into itself or one
+   * of its subfolders.
+   *
+   * @param {string} id - The unique identifier of the folder
+   * @param {string} userId - The ID of the library owner
+   * @param {object} payload - The changes
+   * @param {string} [payload.name] - The new name of the folder
+   * @param {string|null} [payload.parentId] - The new parent folder, null for the top level
+   * @param {number} [payload.position] - The new 1-based position within the parent
+   *
+   * @throws {NotFoundError} When the folder or the new parent does not belong to the user
+   * @throws {InvariantError} When the folder would be moved into itself or a subfolder
+   * @returns {Promise<void>}
+   */
+  async editFolderById(id, userId, { name, parentId, position }) {
+    await this._editLibrary(userId, async (client) => {
+      const folderResult = await client.query({
+        text: 'SELECT parent_id, position FROM folders WHERE id = $1 AND user_id = $2',
+        values: [id, userId],
+      });
+
+      if (!folderResult.rows.length) {
+        throw new NotFoundError('Folder tidak ditemukan');
+      }
+
+      const current = folderResult.rows[0];
+      const parent = parentId === undefined ? current.parent_id : parentId;
+
+      if (parent) {
+        await verifyFolderOwner(client, parent, userId);
+
+        const cycleResult = await client.query({
+          text: `WITH RECURSIVE ancestors AS (
+            SELECT id, parent_id FROM folders WHERE id = $1
+            UNION ALL
+            SELECT folders.id, folders.parent_id FROM folders
+            JOIN ancestors ON folders.id = ancestors.parent_id
+          )
+          SELECT id FROM ancestors WHERE id = $2`,
+          values: [parent, id],
+        });
+
+        if (cycleResult.rows.length) {
+          throw new InvariantError('Folder tidak dapat dipindahkan ke dalam dirinya sendiri atau subfoldernya');
+        }
+      }
+
+      const targetPosition = await makeRoom(client, 'folders', {
+        id,
+        userId,
+        from: { parent: current.parent_id, position: current.position },
+        parent,
+        position: position ?? (parent === current.parent_id ? current.position : undefined),
+      });
+
+      await client.query({
+        text: 'UPDATE folders SET name = COALESCE($1, name), parent_id = $2, position = $3 WHERE id = $4',
+        values: [name ?? null, parent, targetPosition, id],
+      });
+    });
+  }
+
+  /**
+   * Deletes a folder with its subfolders. The playlists filed in them return to the
+   * top level of the library.
+   *
+   * @param {string} id - The unique identifier of the folder
+   * @param {string} userId - The ID of the library owner
+   *
+   * @throws {NotFoundError} When the user has no folder with the given ID
+   * @returns {Promise<void>}
+   */
+  async deleteFolderById(id, userId) {
+    await this._editLibrary(userId, async (client) => {
+      const result = await client.query({
+        text: 'DELETE FROM folders WHERE id = $1 AND user_id = $2 RETURNING parent_id, position',
+        values: [id, userId],
+      });
+
+      if (!result.rows.length) {
+        throw new NotFoundError('Folder gagal dihapus. Id tidak ditemukan');
+      }
+
+      await client.query({
+        text: `UPDATE folders SET position = position - 1
+        WHERE user_id = $1 AND parent_id IS NOT DISTINCT FROM $2 AND position > $3`,
+        values: [userId, result.rows[0].parent_id, result.rows[0].position],
+      });
+    });
+  }
+
+  /**
+   * Files a playlist in a folder of the user's library, or at its top level.
+   * The playlist goes to the end of the folder unless a position is given.
+   *
+   * @param {string} playlistId - The unique identifier of the playlist
+   * @param {string} userId - The ID of the library owner
+   * @param {object} payload - The placement
+   * @param {string|null} payload.folderId - The ID of the folder, null for the top level
+   * @param {number} [payload.position] - The 1-based position within the folder
+   *
+   * @throws {NotFoundError} When the folder does not belong to the user
+   * @returns {Promise<void>}
+   */
+  async movePlaylistToFolder(playlistId, userId, { folderId, position }) {
+    await this._editLibrary(userId, async (client) => {
+      if (folderId) {
+        await verifyFolderOwner(client, folderId, userId);
+      }
+
+      const placementResult = await client.query({
+        text: 'SELECT id, folder_id, position FROM playlist_folders WHERE playlist_id = $1 AND user_id = $2',
+        values: [playlistId, userId],
+      });
+
+      const current = placementResult.rows[0];
+      const id = current ? current.id : `playlist-folder-${nanoid(16)}`;
+
+      const targetPosition = await makeRoom(client, 'playlist_folders', {
+        id,
+        userId,
+        from: current ? { parent: current.folder_id, position: current.position } : null,
+        parent: folderId,
+        position,
+      });
+
+      await client.query({
+        text: `INSERT INTO playlist_folders (id, playlist_id, user_id, folder_id, position)
+        VALUES($1, $2, $3, $4, $5)
+        ON CONFLICT (playlist_id, user_id)
+        DO UPDATE SET folder_id = EXCLUDED.folder_id, position = EXCLUDED.position`,
+        values: [id, playlistId, userId, folderId, targetPosition],
+      });
+    });
+  }
+
+  /**
+   * Arranges playlists into the folder tree of a user. Playlists that were never filed,
+   * or whose folder is gone, sit at the top level after the filed ones.
+   *
+   * @param {string} userId - The ID of the library owner
+   * @param {Array<object>} playlists - The playlists the user can access, each containing id
+   * @returns {Promise<object>} Object containing the top-level folders, each with nested
+   *                            folders and playlists, and the top-level playlists
+   */
+  async getPlaylistTree(userId, playlists) {
+    const folders = await this.getFolders(userId);
+    const placementResult = await this._pool.query({
+      text: `SELECT playlist_id AS "playlistId", folder_id AS "folderId", position
+      FROM playlist_folders WHERE user_id = $1`,
+      values: [userId],
+    });
+
+    const root = { folders: [], playlists: [] };
+    const nodes = new Map(folders.map((folder) => [folder.id, {
+      id: folder.id, name: folder.name, folders: [], playlists: [],
+    }]));
+
+    folders.forEach((folder) => {
+      (nodes.get(folder.parentId) || root).folders.push(nodes.get(folder.id));
+    });
+
+    const placements = new Map(placementResult.rows.map((row) => [row.playlistId, row]));
+    const positionOf = (playlist) => placements.get(playlist.id)?.position ?? Infinity;
+
+    [...playlists]
+      .sort((a, b) => positionOf(a) - positionOf(b) || 0)
+      .forEach((playlist) => {
+        const placement = placements.get(playlist.id);
+        (nodes.get(placement?.folderId) || root).playlists.push(playlist);
+      });
+
+    return root;
+  }
+}
+
+module.exports = FoldersService;
@@ -0,0 +1,448 @@
+const { Pool } = require('pg');
+const { nanoid } = require('nanoid');
+const InvariantError = require('../../exceptions/InvariantError');
+const NotFoundError = require('../../exceptions/NotFoundError');
+const { linkPrimaryArtists } = require('../../utils/songArtists');
+
+/**
+ * Assigns the rows of an import to records by natural key. The first row of a key
+ * either matches an existing record or creates one; later rows with the same key
+ * update that record.
+ *
+ * @param {Array<string>} keys - The natural key of every row
+ * @param {Map<number, string>} existing - Existing record IDs keyed by row index
+ * @param {string} prefix - The ID prefix of new records
+ * @returns {Array<object>} Outcomes index-aligned with keys, each containing the record
+ *                          id and whether the row created it
+ */
+const assignRecords = (keys, existing, prefix) => {
+  const assigned = new Map();
+
+  return keys.map((key, index) => {
+    if (assigned.has(key)) {
+      return { id: assigned.get(key), created: false };
+    }
+
+    const id = existing.get(index) || `${prefix}-${nanoid(16)}`;
+    assigned.set(key, id);
+
+    return { id, created: !existing.has(index) };
+  });
+};
+
+/**
+ * Upserts albums by their natural key (case-insensitive name and year) with one query
+ * per step: matching existing albums, inserting the new ones, and renaming the others.
+ *
+ * @param {object} client - A pg client inside an open transaction
+ * @param {Array<object>} albums - The validated album rows
+ * @returns {Promise<Array<object>>} Outcomes index-aligned with albums, each containing
+ *                                   the album id and whether it was created
+ */
+const upsertAlbums = async (client, albums) => {
+  if (!albums.length) {
+    return [];
+  }
+
+  const existingResult = await client.query({
+    text: `SELECT DISTINCT ON (input.ordinal) input.ordinal, albums.id
+    FROM unnest($1::TEXT[], $2::INT[]) WITH ORDINALITY AS input(name, year, ordinal)
+    JOIN albums ON LOWER(albums.name) = LOWER(input.name) AND albums.year = input.year
+    ORDER BY input.ordinal, albums.id`,
+    values: [albums.map(({ name }) => name), albums.map(({ year }) => year)],
+  });
+
+  const existing = new Map(existingResult.rows.map((row) => [Number(row.ordinal) - 1, row.id]));
+  const outcomes = assignRecords(
+    albums.map(({ name, year }) => `${name.toLowerCase()}\n${year}`),
+    existing,
+    'album',
+  );
+
+  const records = new Map();
+
+  outcomes.forEach(({ id, created }, index) => {
+    records.set(id, { ...albums[index], created: created || records.get(id)?.created });
+  });
+
+  const created = [...records].filter(([, record]) => record.created);
+  const updated = [...records].filter(([, record]) => !record.created);
+
+  if (created.length) {
+    await client.query({
+      text: `INSERT INTO albums (id, name, year)
+      SELECT * FROM unnest($1::TEXT[], $2::TEXT[], $3::INT[])`,
+      values: [
+        created.map(([id]) => id),
+        created.map(([, { name }]) => name),
+        created.map(([, { year }]) => year),
+      ],
+    });
+  }
+
+  if (updated.length) {
+    await client.query({
+      text: `UPDATE albums SET name = input.name, updated_at = $3
+      FROM unnest($1::TEXT[], $2::TEXT[]) AS input(id, name)
+      WHERE albums.id = input.id`,
+      values: [
+        updated.map(([id]) => id),
+        updated.map(([, { name }]) => name),
+        new Date().toISOString(),
+      ],
+    });
+  }
+
+  return outcomes;
+};
+
+/**
+ * Upserts songs by their natural key (case-insensitive title and performer, and year)
+ * with one query per step, and links them to the artists named by their performers.
+ * Optional fields missing from a row are left unchanged on existing songs.
+ *
+ * @param {object} client - A pg client inside an open transaction
+ * @param {Array<object>} songs - The validated song rows with a resolved albumId
+ * @returns {Promise<Array<object>>} Outcomes index-aligned with songs, each containing
+ *                                   the song id and whether it was created
+ */
+const upsertSongs = async (client, songs) => {
+  if (!songs.length) {
+    return [];
+  }
+
+  const existingResult = await client.query({
+    text: `SELECT DISTINCT ON (input.ordinal) input.ordinal, songs.id
+    FROM unnest($1::TEXT[], $2::TEXT[], $3::INT[]) WITH ORDINALITY AS input(title, performer, year, ordinal)
+    JOIN songs ON LOWER(songs.title) = LOWER(input.title)
+    AND LOWER(songs.performer) = LOWER(input.performer) AND songs.year = input.year
+    ORDER BY input.ordinal, songs.id`,
+    values: [
+      songs.map(({ title }) => title),
+      songs.map(({ performer }) => performer),
+      songs.map(({ year }) => year),
+    ],
+  });
+
+  const existing = new Map(existingResult.rows.map((row) => [Number(row.ordinal) - 1, row.id]));
+  const outcomes = assignRecords(
+    songs.map(({ title, performer, year }) => `${title.toLowerCase()}\n${performer.toLowerCase()}\n${year}`),
+    existing,
+    'song',
+  );
+
+  const records = new Map();
+
+  outcomes.forEach(({ id, created }, index) => {
+    const song = songs[index];
+    const previous = records.get(id) || {};
+
+    records.set(id, {
+      ...song,
+      year: previous.year ?? song.year,
+      duration: song.duration ?? previous.duration ?? null,
+      albumId: song.albumId ?? previous.albumId ?? null,
+      lyrics: song.lyrics ?? previous.lyrics ?? null,
+      created: created || previous.created,
+    });
+  });
+
+  const created = [...records].filter(([, record]) => record.created);
+  const updated = [...records].filter(([, record]) => !record.created);
+  const column = (entries, field) => entries.map(([, record]) => record[field]);
+
+  if (created.length) {
+    await client.query({
+      text: `INSERT INTO songs (id, title, year, genre, performer, duration, album_id, lyrics)
+      SELECT * FROM unnest($1::TEXT[], $2::TEXT[], $3::INT[], $4::TEXT[], $5::TEXT[], $6::INT[],
+        $7::TEXT[], $8::TEXT[])`,
+      values: [
+        created.map(([id]) => id),
+        column(created, 'title'),
+        column(created, 'year'),
+        column(created, 'genre'),
+        column(created, 'performer'),
+        column(created, 'duration'),
+        column(created, 'albumId'),
+        column(created, 'lyrics'),
+      ],
+    });
+  }
+
+  if (updated.length) {
+    await client.query({
+      text: `UPDATE songs SET title = input.title, performer = input.performer,
+      genre = input.genre, duration = COALESCE(input.duration, songs.duration),
+      album_id = COALESCE(input.album_id, songs.album_id),
+      lyrics = COALESCE(input.lyrics, songs.lyrics), updated_at = $8
+      FROM unnest($1::TEXT[], $2::TEXT[], $3::TEXT[], $4::TEXT[], $5::INT[], $6::TEXT[], $7::TEXT[])
+        AS input(id, title, performer, genre, duration, album_id, lyrics)
+      WHERE songs.id = input.id`,
+      values: [
+        updated.map(([id]) => id),
+        column(updated, 'title'),
+        column(updated, 'performer'),
+        column(updated, 'genre'),
+        column(updated, 'duration'),
+        column(updated, 'albumId'),
+        column(updated, 'lyrics'),
+        new Date().toISOString(),
+      ],
+    });
+  }
+
+  await linkPrimaryArtists(client, [...records].map(([id, { performer }]) => ({ id, performer })));
+
+  return outcomes;
+};
+
+/**
+ * Resolves the albums of song rows, either from their albumId or from their album name,
+ * with at most one query for each. Albums imported earlier in the same file take
+ * precedence over existing ones.
+ *
+ * @param {object} client - A pg client inside an open transaction
+ * @param {Array<object>} songs - The validated song rows
+ * @param {Map<string, string>} importedAlbums - Album IDs keyed by lower-cased name
+ * @returns {Promise<Array<object>>} Results index-aligned with songs, each containing
+ *                                   either the albumId (null when the song has no album)
+ *                                   or an error message
+ */
+const resolveAlbumIds = async (client, songs, importedAlbums) => {
+  const ids = songs.filter(({ albumId }) => albumId).map(({ albumId }) => albumId);
+  const names = songs
+    .filter(({ albumId, album }) => !albumId && album && !importedAlbums.has(album.toLowerCase()))
+    .map(({ album }) => album);
+
+  const foundIds = new Set();
+  const foundNames = new Map();
+
+  if (ids.length) {
+    const result = await client.query({
+      text: 'SELECT id FROM albums WHERE id = ANY($1::TEXT[])',
+      values: [ids],
+    });
+
+    result.rows.forEach(({ id }) => foundIds.add(id));
+  }
+
+  if (names.length) {
+    const result = await client.query({
+      text: `SELECT DISTINCT ON (input.name) input.name, albums.id
+      FROM unnest($1::TEXT[]) AS input(name)
+      JOIN albums ON LOWER(albums.name) = LOWER(input.name)
+      ORDER BY input.name, albums.year, albums.id`,
+      values: [names],
+    });
+
+    result.rows.forEach(({ name, id }) => foundNames.set(name, id));
+  }
+
+  return songs.map(({ albumId, album }) => {
+    if (albumId) {
+      return foundIds.has(albumId)
+        ? { albumId }
+        : { error: `Album ${albumId} tidak ditemukan` };
+    }
+
+    if (!album) {
+      return { albumId: null };
+    }
+
+    const id = importedAlbums.get(album.toLowerCase()) || foundNames.get(album);
+
+    return id ? { albumId: id } : { error: `Album ${album} tidak ditemukan` };
+  });
+};
+
+/**
+ * Service class to handle bulk catalog imports and their reports.
+ * Rows are upserted by natural key with set-based queries inside a single transaction,
+ * so an import either applies completely or not at all.
+ * Uses PostgreSQL for data persistence and nanoid for unique ID generation.
+ */
+class ImportsService {
+  constructor() {
+    this._pool = new Pool();
+  }
+
+  /**
+   * Imports album and song rows and stores the resulting report.
+   * When any row is invalid, nothing is written to the catalog. In dry-run mode the
+   * upserts are performed and then rolled back, so the report shows what would happen.
+   *
+   * @param {object} payload - The import data
+   * @param {string} payload.userId - The ID of the user running the import
+   * @param {string} [payload.filename] - The name of the uploaded file
+   * @param {string} payload.format - Either 'csv' or 'json'
+   * @param {boolean} payload.dryRun - Whether to roll back instead of committing
+   * @param {Array<object>} payload.rows - Rows, each containing line, type, and either the
+   *                                       validated data or a validation error message
+   *
+   * @returns {Promise<object>} The stored import report
+   */
+  async importCatalog({
+    userId, filename, format, dryRun, rows,
+  }) {
+    const reportRows = rows.map(({ line, type, error }) => ({
+      line,
+      type,
+      status: error ? 'invalid' : 'pending',
+      id: null,
+      error: error || null,
+    }));
+
+    if (!reportRows.some((row) => row.status === 'invalid')) {
+      await this._applyRows(rows, reportRows, dryRun);
+    }
+
+    const invalid = reportRows.filter((row) => row.status === 'invalid').length;
+    let status = 'completed';
+
+    if (invalid) {
+      status = 'failed';
+    } else if (dryRun) {
+      status = 'validated';
+    }
+
+    const count = (type, rowStatus) => reportRows
+      .filter((row) => row.type === type && row.status === rowStatus).length;
+
+    const summary = {
+      albums: { created: count('album', 'created'), updated: count('album', 'updated') },
+      songs: { created: count('song', 'created'), updated: count('song', 'updated') },
+      invalid,
+    };
+
+    const id = `import-${nanoid(16)}`;
+
+    const query = {
+      text: `INSERT INTO imports (id, user_id, filename, format, dry_run, status, summary, rows)
+      VALUES($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+      values: [
+        id,
+        userId,
+        filename,
+        format,
+        dryRun,
+        status,
+        JSON.stringify(summary),
+        JSON.stringify(reportRows),
+      ],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new InvariantError('Laporan impor gagal disimpan');
+    }
+
+    return this.getImportById(id);
+  }
+
+  /**
+   * Upserts all rows inside one transaction, albums first so that songs can refer
+   * to them by name. Row outcomes are written into reportRows.
+   *
+   * @param {Array<object>} rows - The validated rows
+   * @param {Array<object>} reportRows - The report rows, index-aligned with rows
+   * @param {boolean} dryRun - Whether to roll back instead of committing
+   * @returns {Promise<void>}
+   */
+  async _applyRows(rows, reportRows, dryRun) {
+    const client = await this._pool.connect();
+    const importedAlbums = new Map();
+
+    const indexesOf = (type) => rows
+      .map((row, index) => index)
+      .filter((index) => rows[index].type === type);
+    const report = (index, { id, created }) => Object.assign(reportRows[index], {
+      status: created ? 'created' : 'updated',
+      id: dryRun && created ? null : id,
+    });
+
+    try {
+      await client.query('BEGIN');
+      await client.query("SELECT pg_advisory_xact_lock(hashtext('catalog-import'))");
+
+      const albumIndexes = indexesOf('album');
+      const albumOutcomes = await upsertAlbums(
+        client,
+        albumIndexes.map((index) => rows[index].data),
+      );
+
+      albumIndexes.forEach((index, position) => {
+        importedAlbums.set(rows[index].data.name.toLowerCase(), albumOutcomes[position].id);
+        report(index, albumOutcomes[position]);
+      });
+
+      const songIndexes = indexesOf('song');
+      const albums = await resolveAlbumIds(
+        client,
+        songIndexes.map((index) => rows[index].data),
+        importedAlbums,
+      );
+
+      const resolved = songIndexes
+        .map((index, position) => ({ index, ...albums[position] }))
+        .filter(({ index, error }) => {
+          if (error) {
+            Object.assign(reportRows[index], { status: 'invalid', error });
+            return false;
+          }
+
+          return true;
+        });
+
+      const songOutcomes = await upsertSongs(client, resolved.map(({ index, albumId }) => ({
+        ...rows[index].data,
+        albumId,
+      })));
+
+      resolved.forEach(({ index }, position) => report(index, songOutcomes[position]));
+
+      const failed = reportRows.some((row) => row.status === 'invalid');
+      await client.query(dryRun || failed ? 'ROLLBACK' : 'COMMIT');
+
+      if (failed && !dryRun) {
+        reportRows.forEach((row) => {
+          if (row.status !== 'invalid') {
+            Object.assign(row, { status: 'skipped', id: null });
+          }
+        });
+      }
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Retrieves a stored import report by its ID.
+   *
+   * @param {string} id - The unique identifier of the import
+   *
+   * @throws {NotFoundError} When no import is found with the given ID
+   * @returns {Promise<object>} The import report
+   */
+  async getImportById(id) {
+    const query = {
+      text: `SELECT id, user_id AS "userId", filename, format, dry_run AS "dryRun", status,
+      summary, rows, created_at AS "createdAt"
+      FROM imports WHERE id = $1`,
+      values: [id],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Impor tidak ditemukan');
+    }
+
+    return result.rows[0];
+  }
+}
+
+module.exports = ImportsService;
@@ -0,0 +1,266 @@
+const { Pool } = require('pg');
+const { nanoid } = require('nanoid');
+const InvariantError = require('../../exceptions/InvariantError');
+const NotFoundError = require('../../exceptions/NotFoundError');
+const config = require('../../utils/config');
+
+/**
+ * Marks pending invitations whose expiry time has passed as expired.
+ * Expiry is applied lazily whenever invitations are read or answered.
+ *
+ * @param {object} client - A pg client or pool
+ * @returns {Promise<void>}
+ */
+const expireInvitations = async (client) => {
+  await client.query({
+    text: "UPDATE invitations SET status = 'expired' WHERE status = 'pending' AND expires_at <= $1",
+    values: [new Date().toISOString()],
+  });
+};
+
+/**
+ * Service class to handle playlist collaboration invitations.
+ * An invitation stays pending until the invitee accepts or declines it, or until it
+ * expires; the collaboration itself is only created on acceptance.
+ * Uses PostgreSQL for data persistence and nanoid for unique ID generation.
+ */
+class InvitationsService {
+  /**
+   * Creates a new instance of InvitationsService.
+   *
+   * @param {object} userService - Instance of UserService for user verification
+   * @param {object} playlistSongActivitiesService - Instance of PlaylistSongActivitiesService
+   *                                                 used to record accepted invitations
+   */
+  constructor(userService, playlistSongActivitiesService) {
+    this._pool = new Pool();
+    this._userService = userService;
+    this._playlistSongActivitiesService = playlistSongActivitiesService;
+  }
+
+  /**
+   * Invites a user to collaborate on a playlist.
+   *
+   * @param {object} payload - The invitation data
+   * @param {string} payload.playlistId - The ID of the playlist
+   * @param {string} payload.userId - The ID of the user to invite
+   * @param {string} payload.inviterId - The ID of the user sending the invitation
+   * @param {string} payload.role - The collaborator role granted on acceptance
+   *
+   * @throws {NotFoundError} When the invited user does not exist (from UserService)
+   * @throws {InvariantError} When the user already collaborates on the playlist
+   *                          or already has a pending invitation
+   * @returns {Promise<string>} The generated ID of the invitation
+   */
+  async addInvitation({
+    playlistId, userId, inviterId, role,
+  }) {
+    await this._userService.getUserById(userId);
+    await expireInvitations(this._pool);
+
+    const collaborationResult = await this._pool.query({
+      text: 'SELECT id FROM collaborations WHERE playlist_id = $1 AND user_id = $2',
+      values: [playlistId, userId],
+    });
+
+    if (collaborationResult.rows.length) {
+      throw new InvariantError('Pengguna sudah menjadi kolaborator playlist');
+    }
+
+    const pendingResult = await this._pool.query({
+      text: "SELECT id FROM invitations WHERE playlist_id = $1 AND user_id = $2 AND status = 'pending'",
+      values: [playlistId, userId],
+    });
+
+    if (pendingResult.rows.length) {
+      throw new InvariantError('Pengguna masih memiliki undangan yang belum dijawab');
+    }
+
+    const id = `invitation-${nanoid(16)}`;
+    const createdAt = new Date();
+    const expiresAt = new Date(createdAt.getTime() + config.collaboration.invitationAge * 1000);
+
+    const query = {
+      text: `INSERT INTO invitations (id, playlist_id, user_id, inviter_id, role, created_at, expires_at)
+      VALUES($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+      values: [
+        id,
+        playlistId,
+        userId,
+        inviterId,
+        role,
+        createdAt.toISOString(),
+        expiresAt.toISOString(),
+      ],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new InvariantError('Undangan gagal ditambahkan');
+    }
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * Retrieves the pending invitations received by a user.
+   *
+   * @param {string} userId - The ID of the invitee
+   * @returns {Promise<Array<object>>} Array of invitations containing id, playlistId,
+   *                                   playlist name, inviter's username, role, and expiresAt
+   */
+  async getInvitationsByUser(userId) {
+    await expireInvitations(this._pool);
+
+    const query = {
+      text: `SELECT invitations.id, invitations.playlist_id AS "playlistId",
+      playlists.name AS "playlistName", users.username AS "inviter", invitations.role,
+      invitations.created_at AS "createdAt", invitations.expires_at AS "expiresAt"
+      FROM invitations
+      JOIN playlists ON playlists.id = invitations.playlist_id
+      JOIN users ON users.id = invitations.inviter_id
+      WHERE invitations.user_id = $1 AND invitations.status = 'pending'
+      ORDER BY invitations.created_at DESC, invitations.id`,
+      values: [userId],
+    };
+
+    const result = await this._pool.query(query);
+    return result.rows;
+  }
+
+  /**
+   * Retrieves the pending invitations of a playlist.
+   *
+   * @param {string} playlistId - The ID of the playlist
+   * @returns {Promise<Array<object>>} Array of invitations containing id, userId,
+   *                                   invitee's username, role, and expiresAt
+   */
+  async getInvitationsByPlaylist(playlistId) {
+    await expireInvitations(this._pool);
+
+    const query = {
+      text: `SELECT invitations.id, invitations.user_id AS "userId", users.username,
+      invitations.role, invitations.created_at AS "createdAt", invitations.expires_at AS "expiresAt"
+      FROM invitations
+      JOIN users ON users.id = invitations.user_id
+      WHERE invitations.playlist_id = $1 AND invitations.status = 'pending'
+      ORDER BY invitations.created_at DESC, invitations.id`,
+      values: [playlistId],
+    };
+
+    const result = await this._pool.query(query);
+    return result.rows;
+  }
+
+  /**
+   * Accepts or declines a pending invitation. Accepting creates the collaboration
+   * and records a 'collaborator_join' activity in the same transaction.
+   *
+   * @param {string} id - The ID of the invitation
+   * @param {string} userId - The ID of the user answering; must be the invitee
+   * @param {boolean} accept - Whether the invitation is accepted
+   *
+   * @throws {NotFoundError} When the invitation does not exist or was sent to another user
+   * @throws {InvariantError} When the invitation is no longer pending or has expired
+   * @returns {Promise<string>} The ID of the playlist of the invitation
+   */
+  async respondToInvitation(id, userId, accept) {
+    const client = await this._pool.connect();
+    const now = new Date().toISOString();
+    let playlistId;
+    let expired;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query({
+        text: `SELECT playlist_id, role, status, expires_at <= $3 AS expired FROM invitations
+        WHERE id = $1 AND user_id = $2 FOR UPDATE`,
+        values: [id, userId, now],
+      });
+
+      if (!result.rows.length) {
+        throw new NotFoundError('Undangan tidak ditemukan');
+      }
+
+      const { role, status } = result.rows[0];
+
+      if (status !== 'pending') {
+        throw new InvariantError('Undangan sudah tidak berlaku');
+      }
+
+      playlistId = result.rows[0].playlist_id;
+      expired = result.rows[0].expired;
+
+      if (expired) {
+        await client.query({
+          text: "UPDATE invitations SET status = 'expired' WHERE id = $1",
+          values: [id],
+        });
+      } else {
+        await client.query({
+          text: 'UPDATE invitations SET status = $1, responded_at = $2 WHERE id = $3',
+          values: [accept ? 'accepted' : 'declined', now, id],
+        });
+      }
+
+      if (accept && !expired) {
+        const collaborationResult = await client.query({
+          text: `INSERT INTO collaborations (id, playlist_id, user_id, role, created_at)
+          VALUES($1, $2, $3, $4, $5)
+          ON CONFLICT (playlist_id, user_id) DO NOTHING RETURNING id`,
+          values: [`collab-${nanoid(16)}`, playlistId, userId, role, now],
+        });
+
+        if (collaborationResult.rows.length) {
+          await this._playlistSongActivitiesService.addCollaboratorActivity({
+            playlistId,
+            targetUserId: userId,
+            userId,
+            action: 'collaborator_join',
+            details: { role, invitationId: id },
+          }, client);
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (expired) {
+      throw new InvariantError('Undangan sudah kedaluwarsa');
+    }
+
+    return playlistId;
+  }
+
+  /**
+   * Cancels a pending invitation of a playlist.
+   *
+   * @param {string} id - The ID of the invitation
+   * @param {string} playlistId - The ID of the playlist the invitation belongs to
+   *
+   * @throws {NotFoundError} When no pending invitation is found for the playlist
+   * @returns {Promise<void>}
+   */
+  async deleteInvitation(id, playlistId) {
+    const query = {
+      text: `DELETE FROM invitations WHERE id = $1 AND playlist_id = $2 AND status = 'pending'
+      RETURNING id`,
+      values: [id, playlistId],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Undangan gagal dibatalkan. Id tidak ditemukan');
+    }
+  }
+}
+
+module.exports = InvitationsService;
@@ -0,0 +1,444 @@
+const { Pool } = require('pg');
+const { nanoid } = require('nanoid');
+const InvariantError = require('../../exceptions/InvariantError');
+const NotFoundError = require('../../exceptions/NotFoundError');
+const { COLLABORATOR_ROLES } = require('../../utils/auth');
+
+const MAX_CANDIDATES = 5;
+const FUZZY_MATCH_SCORE = 0.8;
+const FUZZY_MATCH_MARGIN = 0.15;
+const OPEN_STATUSES = ['ambiguous', 'unmatched'];
+const ADDED_STATUSES = ['matched', 'resolved'];
+
+/**
+ * Looks up the catalog candidates of many imported entries with one query. Every entry
+ * gets at most MAX_CANDIDATES candidates, ordered by the given expression.
+ *
+ * @param {object} pool - A pg client or pool
+ * @param {Array<object>} entries - The entries to look up, each containing index, title,
+ *                                  and performer
+ * @param {object} options - The candidate query parts
+ * @param {string} options.score - SQL expression scoring a song against the entry
+ * @param {string} options.condition - SQL condition a song must meet
+ * @param {string} options.order - SQL ordering of the candidates
+ * @returns {Promise<Map<number, Array<object>>>} Map of entry index to its candidates,
+ *                                                each containing id, title, performer,
+ *                                                and score
+ */
+const findCandidates = async (pool, entries, { score, condition, order }) => {
+  const candidates = new Map();
+
+  if (!entries.length) {
+    return candidates;
+  }
+
+  const result = await pool.query({
+    text: `SELECT entry.index, candidate.id, candidate.title, candidate.performer,
+    candidate.score
+    FROM unnest($1::INT[], $2::TEXT[], $3::TEXT[]) AS entry(index, title, performer)
+    CROSS JOIN LATERAL (
+      SELECT songs.id, songs.title, songs.performer, ${score} AS score FROM songs
+      WHERE ${condition}
+      ORDER BY ${order}
+      LIMIT $4
+    ) AS candidate
+    ORDER BY entry.index, candidate.score DESC, candidate.id`,
+    values: [
+      entries.map((entry) => entry.index),
+      entries.map((entry) => entry.title),
+      entries.map((entry) => entry.performer),
+      MAX_CANDIDATES,
+    ],
+  });
+
+  result.rows.forEach(({ index, ...candidate }) => {
+    candidates.set(index, [...(candidates.get(index) || []), candidate]);
+  });
+
+  return candidates;
+};
+
+/**
+ * Matches imported entries to catalog songs, with at most three queries. A known song ID
+ * wins; otherwise the title and performer are compared case-insensitively, then by
+ * pg_trgm similarity. A fuzzy candidate is only taken as a match when it scores high and
+ * clearly ahead of the runner-up; other candidates are left for the user to choose from.
+ *
+ * @param {object} pool - A pg client or pool
+ * @param {Array<object>} entries - The parsed entries, each containing title, performer,
+ *                                  and songId
+ * @returns {Promise<Array<object>>} The match of every entry, index-aligned with entries,
+ *                                   containing status ('matched', 'ambiguous', or
+ *                                   'unmatched'), songId, fuzzy, and candidates
+ */
+const matchEntries = async (pool, entries) => {
+  const indexed = entries.map((entry, index) => ({ ...entry, index }));
+
+  const knownResult = await pool.query({
+    text: 'SELECT id FROM songs WHERE id = ANY($1::TEXT[])',
+    values: [indexed.filter((entry) => entry.songId).map((entry) => entry.songId)],
+  });
+  const knownIds = new Set(knownResult.rows.map((row) => row.id));
+  const unknown = indexed.filter((entry) => !knownIds.has(entry.songId) && entry.title);
+
+  const exactCandidates = await findCandidates(pool, unknown, {
+    score: '1::REAL',
+    condition: `LOWER(songs.title) = LOWER(entry.title)
+      AND (entry.performer IS NULL OR LOWER(songs.performer) = LOWER(entry.performer))`,
+    order: 'songs.id',
+  });
+
+  const fuzzyCandidates = await findCandidates(
+    pool,
+    unknown.filter((entry) => !exactCandidates.has(entry.index)),
+    {
+      score: `CASE WHEN entry.performer IS NULL THEN similarity(songs.title, entry.title)
+        ELSE similarity(songs.title, entry.title) * 0.7
+          + similarity(songs.performer, entry.performer) * 0.3 END`,
+      condition: 'songs.title % entry.title',
+      order: 'score DESC, songs.id',
+    },
+  );
+
+  return indexed.map(({ index, songId }) => {
+    if (knownIds.has(songId)) {
+      return {
+        status: 'matched', songId, fuzzy: false, candidates: [],
+      };
+    }
+
+    const exact = exactCandidates.get(index);
+
+    if (exact) {
+      return exact.length === 1
+        ? {
+          status: 'matched', songId: exact[0].id, fuzzy: false, candidates: [],
+        }
+        : {
+          status: 'ambiguous', songId: null, fuzzy: false, candidates: exact,
+        };
+    }
+
+    const [best, runnerUp] = fuzzyCandidates.get(index) || [];
+
+    if (!best) {
+      return {
+        status: 'unmatched', songId: null, fuzzy: false, candidates: [],
+      };
+    }
+
+    const clearlyAhead = !runnerUp || best.score - runnerUp.score >= FUZZY_MATCH_MARGIN;
+
+    if (best.score >= FUZZY_MATCH_SCORE && clearlyAhead) {
+      return {
+        status: 'matched', songId: best.id, fuzzy: true, candidates: [],
+      };
+    }
+
+    return {
+      status: 'ambiguous', songId: null, fuzzy: false, candidates: fuzzyCandidates.get(index),
+    };
+  });
+};
+
+/**
+ * Counts the entries of an import by status.
+ *
+ * @param {Array<object>} entries - The import entries
+ * @returns {object} Object containing total and the count of every status
+ */
+const summarize = (entries) => {
+  const count = (status) => entries.filter((entry) => entry.status === status).length;
+
+  return {
+    total: entries.length,
+    matched: count('matched'),
+    ambiguous: count('ambiguous'),
+    unmatched: count('unmatched'),
+    resolved: count('resolved'),
+    skipped: count('skipped'),
+  };
+};
+
+/**
+ * Service class to import playlists from uploaded playlist files.
+ * Every entry of the file is matched to a catalog song; the matched songs form the
+ * new playlist, and the import report is stored so that ambiguous and unmatched
+ * entries can be resolved afterwards.
+ * Uses PostgreSQL for data persistence and nanoid for unique ID generation.
+ */
+class PlaylistImportsService {
+  constructor(playlistSongActivitiesService) {
+    this._pool = new Pool();
+    this._playlistSongActivitiesService = playlistSongActivitiesService;
+  }
+
+  /**
+   * Creates a regular playlist from parsed playlist file entries, in a single transaction.
+   *
+   * @param {object} payload - The import data
+   * @param {string} payload.name - The name of the new playlist
+   * @param {string} payload.owner - The owner ID of the new playlist
+   * @param {string} [payload.filename] - The name of the uploaded file
+   * @param {string} payload.format - One of 'm3u', 'm3u8', 'xspf', or 'json'
+   * @param {Array<object>} payload.entries - The parsed entries, each containing title,
+   *                                          performer, and songId
+   *
+   * @returns {Promise<object>} The stored import report
+   */
+  async importPlaylist({
+    name, owner, filename, format, entries,
+  }) {
+    const matches = await matchEntries(this._pool, entries);
+    const reportEntries = entries.map((entry, index) => ({
+      index: index + 1,
+      title: entry.title,
+      performer: entry.performer,
+      ...matches[index],
+    }));
+
+    const playlistId = `playlist-${nanoid(16)}`;
+    const id = `playlist-import-${nanoid(16)}`;
+    const matched = reportEntries.filter((entry) => entry.status === 'matched');
+    const client = await this._pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query({
+        text: 'INSERT INTO playlists (id, name, owner) VALUES($1, $2, $3)',
+        values: [playlistId, name, owner],
+      });
+
+      await client.query({
+        text: `INSERT INTO collaborations (id, playlist_id, user_id, role, created_at)
+        VALUES($1, $2, $3, $4, $5)`,
+        values: [
+          `collab-${nanoid(16)}`,
+          playlistId,
+          owner,
+          COLLABORATOR_ROLES.ADMIN,
+          new Date().toISOString(),
+        ],
+      });
+
+      await client.query({
+        text: `INSERT INTO playlist_songs (id, playlist_id, song_id, position, added_by, added_at)
+        SELECT entry.id, $1, entry.song_id, entry.position, $5, $6
+        FROM unnest($2::TEXT[], $3::TEXT[], $4::INT[]) AS entry(id, song_id, position)`,
+        values: [
+          playlistId,
+          matched.map(() => `playlist-songs-${nanoid(16)}`),
+          matched.map((entry) => entry.songId),
+          matched.map((entry, index) => index + 1),
+          owner,
+          new Date().toISOString(),
+        ],
+      });
+
+      await client.query({
+        text: `INSERT INTO playlist_imports (id, playlist_id, user_id, filename, format, summary, entries)
+        VALUES($1, $2, $3, $4, $5, $6, $7)`,
+        values: [
+          id,
+          playlistId,
+          owner,
+          filename,
+          format,
+          JSON.stringify(summarize(reportEntries)),
+          JSON.stringify(reportEntries),
+        ],
+      });
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return this.getPlaylistImport(id, playlistId);
+  }
+
+  /**
+   * Retrieves a stored playlist import report.
+   *
+   * @param {string} id - The unique identifier of the import
+   * @param {string} playlistId - The ID of the playlist the import created
+   *
+   * @throws {NotFoundError} When no import of the playlist is found with the given ID
+   * @returns {Promise<object>} The import report
+   */
+  async getPlaylistImport(id, playlistId) {
+    const query = {
+      text: `SELECT id, playlist_id AS "playlistId", user_id AS "userId", filename, format,
+      summary, entries, created_at AS "createdAt"
+      FROM playlist_imports WHERE id = $1 AND playlist_id = $2`,
+      values: [id, playlistId],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Impor playlist tidak ditemukan');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Resolves ambiguous or unmatched entries of an import, in a single transaction.
+   * A resolution with a song ID inserts the song where the entry stood in the file,
+   * after the songs of the preceding entries, and records its 'add' activity; a
+   * resolution without one skips the entry.
+   *
+   * @param {string} id - The unique identifier of the import
+   * @param {string} playlistId - The ID of the playlist the import created
+   * @param {Array<object>} resolutions - The resolutions, each containing the 1-based
+   *                                      entry index and a songId or null
+   * @param {string} userId - The ID of the user resolving the entries
+   *
+   * @throws {NotFoundError} When the import or a chosen song does not exist
+   * @throws {InvariantError} When an entry does not exist or is already resolved, or when
+   *                          a chosen song is already in a playlist that rejects duplicates
+   * @returns {Promise<Array<string>>} The IDs of the songs added to the playlist
+   */
+  async resolvePlaylistImport(id, playlistId, resolutions, userId) {
+    const client = await this._pool.connect();
+    const sorted = [...resolutions].sort((a, b) => a.index - b.index);
+    const added = sorted.filter((resolution) => resolution.songId);
+    const addedSongIds = added.map((resolution) => resolution.songId);
+
+    try {
+      await client.query('BEGIN');
+
+      const playlistResult = await client.query({
+        text: 'SELECT allow_duplicates FROM playlists WHERE id = $1 FOR UPDATE',
+        values: [playlistId],
+      });
+      const allowDuplicates = playlistResult.rows[0]?.allow_duplicates ?? true;
+
+      const importResult = await client.query({
+        text: 'SELECT entries FROM playlist_imports WHERE id = $1 AND playlist_id = $2 FOR UPDATE',
+        values: [id, playlistId],
+      });
+
+      if (!importResult.rows.length) {
+        throw new NotFoundError('Impor playlist tidak ditemukan');
+      }
+
+      const { entries } = importResult.rows[0];
+
+      sorted.forEach(({ index }) => {
+        const entry = entries[index - 1];
+
+        if (!entry) {
+          throw new InvariantError(`Entri ${index} tidak ditemukan pada impor`);
+        }
+
+        if (!OPEN_STATUSES.includes(entry.status)) {
+          throw new InvariantError(`Entri ${index} sudah diselesaikan`);
+        }
+      });
+
+      const songResult = await client.query({
+        text: 'SELECT id FROM songs WHERE id = ANY($1::TEXT[])',
+        values: [addedSongIds],
+      });
+
+      if (songResult.rows.length !== new Set(addedSongIds).size) {
+        throw new NotFoundError('Lagu tidak ditemukan');
+      }
+
+      if (!allowDuplicates) {
+        const duplicateResult = await client.query({
+          text: `SELECT song_id FROM playlist_songs WHERE playlist_id = $1 AND song_id = ANY($2::TEXT[])
+          LIMIT 1`,
+          values: [playlistId, addedSongIds],
+        });
+        const duplicate = duplicateResult.rows[0]?.song_id
+          ?? addedSongIds.find((songId, index) => addedSongIds.indexOf(songId) !== index);
+
+        if (duplicate) {
+          throw new InvariantError(`Lagu sudah ada di playlist: ${duplicate}`);
+        }
+      }
+
+      const totalResult = await client.query({
+        text: 'SELECT COUNT(*) AS total FROM playlist_songs WHERE playlist_id = $1',
+        values: [playlistId],
+      });
+      const total = Number(totalResult.rows[0].total);
+
+      // Every added song goes after the songs of the entries before it, so the positions
+      // only grow; the k-th song lands before the song at position - k of the old list.
+      const positions = added.map(({ index }, order) => {
+        const preceding = entries
+          .filter((other) => other.index < index && ADDED_STATUSES.includes(other.status))
+          .length;
+        return Math.min(preceding + order + 1, total + order + 1);
+      });
+
+      if (added.length) {
+        await client.query({
+          text: `UPDATE playlist_songs SET position = position + (
+            SELECT COUNT(*) FROM unnest($2::INT[]) AS slot(position)
+            WHERE slot.position <= playlist_songs.position
+          )
+          WHERE playlist_id = $1 AND position >= $3`,
+          values: [
+            playlistId,
+            positions.map((position, order) => position - order),
+            positions[0],
+          ],
+        });
+
+        await client.query({
+          text: `INSERT INTO playlist_songs (id, playlist_id, song_id, position, added_by, added_at)
+          SELECT entry.id, $1, entry.song_id, entry.position, $5, $6
+          FROM unnest($2::TEXT[], $3::TEXT[], $4::INT[]) AS entry(id, song_id, position)`,
+          values: [
+            playlistId,
+            added.map(() => `playlist-songs-${nanoid(16)}`),
+            addedSongIds,
+            positions,
+            userId,
+            new Date().toISOString(),
+          ],
+        });
+
+        await this._playlistSongActivitiesService.addPlaylistSongActivities({
+          playlistId,
+          songIds: addedSongIds,
+          userId,
+          action: 'add',
+          details: added.map(() => ({ importId: id })),
+        }, client);
+      }
+
+      sorted.forEach(({ index, songId }) => {
+        Object.assign(entries[index - 1], {
+          status: songId ? 'resolved' : 'skipped',
+          songId: songId || null,
+        });
+      });
+
+      await client.query({
+        text: 'UPDATE playlist_imports SET entries = $1, summary = $2 WHERE id = $3',
+        values: [JSON.stringify(entries), JSON.stringify(summarize(entries)), id],
+      });
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return addedSongIds;
+  }
+}
+
+module.exports = PlaylistImportsService;
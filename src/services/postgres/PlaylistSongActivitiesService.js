@@ -2,11 +2,28 @@ const { Pool } = require('pg');
 const { nanoid } = require('nanoid');
 
 const InvariantError = require('../../exceptions/InvariantError');
+const {
+  parseSort, buildOrderBy, decodeCursor, buildKeysetCondition, buildPage,
+} = require('../../utils/pagination');
+
+const SORTABLE_COLUMNS = {
+  time: { column: 'playlist_song_activities.time', type: 'timestamp' },
+};
+
+// Activities written in the same millisecond keep the order they were recorded in.
+const TIE_BREAKER = { key: 'seq', column: 'playlist_song_activities.seq', type: 'integer' };
+
+/**
+ * Times are stored from `toISOString()` without a time zone; rendering them back as
+ * fixed-width ISO 8601 text lets a cursor carry them to the next page unchanged.
+ */
+const TIME_FORMAT = 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"';
 
 /**
  * Service class to handle all playlist song activity tracking operations.
- * Tracks when songs are added to or removed from playlists, including
- * who performed the action and when it occurred.
+ * Tracks when songs are added to or removed from playlists and when collaborators
+ * join, leave, or are changed, including who performed the action and when it occurred.
+ * Every activity carries a JSON payload with the structured details of its event.
  * Uses PostgreSQL for data persistence and nanoid for unique ID generation.
  */
 class PlaylistSongActivitiesService {
@@ -21,18 +38,22 @@ class PlaylistSongActivitiesService {
    * @param {string} payload.playlistId - The ID of the playlist
    * @param {string} payload.songId - The ID of the song being added
    * @param {string} payload.userId - The ID of the user performing the action
+   * @param {object} [payload.details] - Structured details of the event, e.g. the position
    *
    * @throws {InvariantError} When the activity cannot be recorded in the database
    * @returns {Promise<string>} The generated ID of the newly created activity record
    */
-  async addPlaylistSongActivity({ playlistId, songId, userId }) {
+  async addPlaylistSongActivity({
+    playlistId, songId, userId, details = {},
+  }) {
     const id = `ps-activities-${nanoid(16)}`;
     const action = 'add';
     const time = new Date().toISOString();
 
     const query = {
-      text: 'INSERT INTO playlist_song_activities VALUES($1, $2, $3, $4, $5, $6) RETURNING id',
-      values: [id, playlistId, songId, userId, action, time],
+      text: `INSERT INTO playlist_song_activities (id, playlist_id, song_id, user_id, action, time, payload)
+      VALUES($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+      values: [id, playlistId, songId, userId, action, time, JSON.stringify(details)],
     };
 
     const result = await this._pool.query(query);
@@ -51,18 +72,22 @@ class PlaylistSongActivitiesService {
    * @param {string} payload.playlistId - The ID of the playlist
    * @param {string} payload.songId - The ID of the song being removed
    * @param {string} payload.userId - The ID of the user performing the action
+   * @param {object} [payload.details] - Structured details of the event
    *
    * @throws {InvariantError} When the activity cannot be recorded in the database
    * @returns {Promise<string>} The generated ID of the newly created activity record
    */
-  async deletePlaylistSongActivity({ playlistId, songId, userId }) {
+  async deletePlaylistSongActivity({
+    playlistId, songId, userId, details = {},
+  }) {
     const id = `ps-activities-${nanoid(16)}`;
     const action = 'delete';
     const time = new Date().toISOString();
 
     const query = {
-      text: 'INSERT INTO playlist_song_activities VALUES($1, $2, $3, $4, $5, $6) RETURNING id',
-      values: [id, playlistId, songId, userId, action, time],
+      text: `INSERT INTO playlist_song_activities (id, playlist_id, song_id, user_id, action, time, payload)
+      VALUES($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+      values: [id, playlistId, songId, userId, action, time, JSON.stringify(details)],
     };
 
     const result = await this._pool.query(query);
@@ -75,29 +100,212 @@ class PlaylistSongActivitiesService {
   }
 
   /**
-   * Retrieves all activities for a specific playlist.
-   * Includes detailed information about the user who performed the action
-   * and the song that was affected.
+   * Records 'add', 'delete', or 'move' activities for many songs of a playlist with one
+   * insert.
    *
-   * @param {string} playlistId - The ID of the playlist to get activities for
+   * @param {object} payload - The activity data
+   * @param {string} payload.playlistId - The ID of the playlist
+   * @param {Array<string>} payload.songIds - The IDs of the songs added, removed, or moved
+   * @param {string} payload.userId - The ID of the user performing the action
+   * @param {string} payload.action - One of 'add', 'delete', or 'move'
+   * @param {Array<object>} [payload.details] - Structured details of every event,
+   *                                            index-aligned with songIds
+   * @param {object} [client] - A pg client to record the activities inside an open transaction
+   *
+   * @throws {InvariantError} When the activities cannot be recorded in the database
+   * @returns {Promise<Array<string>>} The generated IDs of the activity records
+   */
+  async addPlaylistSongActivities({
+    playlistId, songIds, userId, action, details = [],
+  }, client = this._pool) {
+    const time = new Date().toISOString();
+
+    const query = {
+      text: `INSERT INTO playlist_song_activities (id, playlist_id, song_id, user_id, action, time, payload)
+      SELECT activity.id, $1, activity.song_id, $2, $3, $4, activity.payload
+      FROM unnest($5::TEXT[], $6::TEXT[], $7::JSONB[]) AS activity(id, song_id, payload)
+      RETURNING id`,
+      values: [
+        playlistId,
+        userId,
+        action,
+        time,
+        songIds.map(() => `ps-activities-${nanoid(16)}`),
+        songIds,
+        songIds.map((songId, index) => JSON.stringify(details[index] || {})),
+      ],
+    };
+
+    const result = await client.query(query);
+
+    if (result.rows.length !== songIds.length) {
+      throw new InvariantError('Playlist song activity gagal ditambahkan');
+    }
+
+    return result.rows.map((row) => row.id);
+  }
+
+  /**
+   * Records an activity when the collaborators or the owner of a playlist change.
+   *
+   * @param {object} payload - The activity data
+   * @param {string} payload.playlistId - The ID of the playlist
+   * @param {string} payload.targetUserId - The ID of the collaborator affected
+   * @param {string} payload.userId - The ID of the user performing the action
+   * @param {string} payload.action - One of 'collaborator_join', 'collaborator_leave',
+   *                                  'collaborator_remove', 'collaborator_role',
+   *                                  or 'owner_transfer'
+   * @param {object} [payload.details] - Structured details of the event, e.g. the role
+   * @param {object} [client] - A pg client to record the activity inside an open transaction
    *
-   * @returns {Promise<Array<object>>} Array of activity records, each containing:
-   *                                   - username: The name of the user who performed the action
-   *                                   - title: The title of the song affected
-   *                                   - action: The type of action performed ('add' or 'delete')
-   *                                   - time: When the action occurred
+   * @throws {InvariantError} When the activity cannot be recorded in the database
+   * @returns {Promise<string>} The generated ID of the newly created activity record
    */
-  async getPlaylistSongActivities(playlistId) {
+  async addCollaboratorActivity({
+    playlistId, targetUserId, userId, action, details = {},
+  }, client = this._pool) {
+    const id = `ps-activities-${nanoid(16)}`;
+    const time = new Date().toISOString();
+
     const query = {
-      text: `SELECT users.username, songs.title, playlist_song_activities.action, playlist_song_activities.time FROM playlist_song_activities
+      text: `INSERT INTO playlist_song_activities
+      (id, playlist_id, user_id, target_user_id, action, time, payload)
+      VALUES($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+      values: [id, playlistId, userId, targetUserId, action, time, JSON.stringify(details)],
+    };
+
+    const result = await client.query(query);
+
+    if (!result.rows.length) {
+      throw new InvariantError('Playlist song activity gagal ditambahkan');
+    }
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * Records an activity when the details of a playlist are edited.
+   *
+   * @param {object} payload - The activity data
+   * @param {string} payload.playlistId - The ID of the playlist
+   * @param {string} payload.userId - The ID of the user performing the action
+   * @param {string} payload.action - One of 'rename', 'describe', 'cover', 'rules',
+   *                                  'freeze', 'revert', or 'duplicates'
+   * @param {object} [payload.details] - Structured details of the event, e.g. the new name
+   * @param {object} [client] - A pg client to record the activity inside an open transaction
+   *
+   * @throws {InvariantError} When the activity cannot be recorded in the database
+   * @returns {Promise<string>} The generated ID of the newly created activity record
+   */
+  async addPlaylistActivity({
+    playlistId, userId, action, details = {},
+  }, client = this._pool) {
+    const id = `ps-activities-${nanoid(16)}`;
+    const time = new Date().toISOString();
+
+    const query = {
+      text: `INSERT INTO playlist_song_activities (id, playlist_id, user_id, action, time, payload)
+      VALUES($1, $2, $3, $4, $5, $6) RETURNING id`,
+      values: [id, playlistId, userId, action, time, JSON.stringify(details)],
+    };
+
+    const result = await client.query(query);
+
+    if (!result.rows.length) {
+      throw new InvariantError('Playlist song activity gagal ditambahkan');
+    }
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * Retrieves a page of activities of a playlist in chronological order using cursor
+   * pagination. Activities recorded at the same time are ordered by the sequence they
+   * were recorded in, so the order is stable across pages. Includes the user who
+   * performed the action and the song or collaborator that was affected.
+   *
+   * @param {string} playlistId - The ID of the playlist to get activities for
+   * @param {object} options - The filter and pagination options
+   * @param {string} [options.userId] - Only activities performed by this user
+   * @param {Array<string>} [options.actions] - Only activities of these actions
+   * @param {Date} [options.from] - Only activities at or after this time
+   * @param {Date} [options.to] - Only activities at or before this time
+   * @param {number} options.limit - The maximum number of activities to return
+   * @param {string} [options.cursor] - Opaque cursor returned by the previous page
+   * @param {string} [options.sort] - Either "time" (oldest first) or "-time" (newest first)
+   *
+   * @throws {InvariantError} When the cursor is invalid
+   * @returns {Promise<object>} Object containing:
+   *                           - activities: Array of activities, each containing id, userId,
+   *                             username, songId, title, target (the username of the
+   *                             collaborator affected), action, payload, and time
+   *                           - meta: Object containing nextCursor and total
+   */
+  async getPlaylistSongActivities(playlistId, {
+    userId, actions, from, to, limit, cursor, sort,
+  }) {
+    const sortFields = parseSort(sort, SORTABLE_COLUMNS, TIE_BREAKER);
+    const values = [playlistId];
+    const conditions = ['playlist_song_activities.playlist_id = $1'];
+
+    if (userId) {
+      values.push(userId);
+      conditions.push(`playlist_song_activities.user_id = $${values.length}`);
+    }
+
+    if (actions && actions.length) {
+      values.push(actions);
+      conditions.push(`playlist_song_activities.action = ANY($${values.length})`);
+    }
+
+    if (from) {
+      values.push(from.toISOString());
+      conditions.push(`playlist_song_activities.time >= $${values.length}`);
+    }
+
+    if (to) {
+      values.push(to.toISOString());
+      conditions.push(`playlist_song_activities.time <= $${values.length}`);
+    }
+
+    const countResult = await this._pool.query(
+      `SELECT COUNT(*) AS total FROM playlist_song_activities
+      WHERE ${conditions.join(' AND ')}`,
+      values,
+    );
+
+    if (cursor) {
+      conditions.push(buildKeysetCondition(sortFields, decodeCursor(cursor, sortFields), values));
+    }
+
+    values.push(limit + 1);
+
+    const result = await this._pool.query(
+      `SELECT playlist_song_activities.id, playlist_song_activities.user_id AS "userId",
+      users.username, playlist_song_activities.song_id AS "songId", songs.title,
+      targets.username AS target, playlist_song_activities.action,
+      playlist_song_activities.payload,
+      to_char(playlist_song_activities.time, '${TIME_FORMAT}') AS time,
+      playlist_song_activities.seq
+      FROM playlist_song_activities
       LEFT JOIN users ON users.id = playlist_song_activities.user_id
       LEFT JOIN songs ON songs.id = playlist_song_activities.song_id
-      WHERE playlist_song_activities.playlist_id = $1`,
-      values: [playlistId],
-    };
+      LEFT JOIN users AS targets ON targets.id = playlist_song_activities.target_user_id
+      WHERE ${conditions.join(' AND ')}
+      ${buildOrderBy(sortFields)}
+      LIMIT $${values.length}`,
+      values,
+    );
 
-    const result = await this._pool.query(query);
-    return result.rows;
+    const { items, nextCursor } = buildPage(result.rows, limit, sortFields);
+
+    return {
+      activities: items.map(({ seq, ...activity }) => activity),
+      meta: {
+        nextCursor,
+        total: Number(countResult.rows[0].total),
+      },
+    };
   }
 }
 
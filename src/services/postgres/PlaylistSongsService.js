@@ -2,59 +2,373 @@ const { Pool } = require('pg');
 const { nanoid } = require('nanoid');
 const InvariantError = require('../../exceptions/InvariantError');
 const NotFoundError = require('../../exceptions/NotFoundError');
+const { buildSmartPlaylistQuery } = require('../../utils/smartPlaylistRules');
+
+/**
+ * Locks the playlist row so that concurrent position changes on the same playlist
+ * are serialized, and returns the current number of entries.
+ * The songs of a smart playlist come from its rules, so they cannot be changed manually.
+ *
+ * @param {object} client - A pg client inside an open transaction
+ * @param {string} playlistId - The unique identifier of the playlist
+ *
+ * @throws {InvariantError} When the playlist is a smart playlist
+ * @returns {Promise<number>} The number of entries in the playlist
+ */
+const lockPlaylist = async (client, playlistId) => {
+  const playlistResult = await client.query({
+    text: 'SELECT type FROM playlists WHERE id = $1 FOR UPDATE',
+    values: [playlistId],
+  });
+
+  if (playlistResult.rows.length && playlistResult.rows[0].type === 'smart') {
+    throw new InvariantError('Lagu smart playlist ditentukan oleh aturan dan tidak dapat diubah manual');
+  }
+
+  const result = await client.query({
+    text: 'SELECT COUNT(*) AS total FROM playlist_songs WHERE playlist_id = $1',
+    values: [playlistId],
+  });
+
+  return Number(result.rows[0].total);
+};
+
+/**
+ * Verifies that every given song exists in the catalog.
+ *
+ * @param {object} client - A pg client or pool
+ * @param {Array<string>} songIds - The IDs of the songs
+ *
+ * @throws {NotFoundError} When any of the songs does not exist, listing the missing IDs
+ * @returns {Promise<void>}
+ */
+const verifySongsExist = async (client, songIds) => {
+  const result = await client.query({
+    text: 'SELECT id FROM songs WHERE id = ANY($1)',
+    values: [songIds],
+  });
+
+  const found = new Set(result.rows.map((row) => row.id));
+  const missing = songIds.filter((songId) => !found.has(songId));
+
+  if (missing.length) {
+    throw new NotFoundError(`Lagu tidak ditemukan: ${missing.join(', ')}`);
+  }
+};
+
+/**
+ * Verifies that none of the given songs is already in the playlist, unless the playlist
+ * allows the same song more than once.
+ *
+ * @param {object} client - A pg client inside an open transaction
+ * @param {string} playlistId - The unique identifier of the playlist
+ * @param {Array<string>} songIds - The IDs of the songs about to be added
+ *
+ * @throws {InvariantError} When the playlist rejects duplicates and already holds any
+ *                          of the songs, listing them
+ * @returns {Promise<void>}
+ */
+const verifyDuplicatesAllowed = async (client, playlistId, songIds) => {
+  const result = await client.query({
+    text: `SELECT DISTINCT playlist_songs.song_id FROM playlist_songs
+    JOIN playlists ON playlists.id = playlist_songs.playlist_id
+    WHERE playlist_songs.playlist_id = $1 AND NOT playlists.allow_duplicates
+    AND playlist_songs.song_id = ANY($2)`,
+    values: [playlistId, songIds],
+  });
+
+  if (result.rows.length) {
+    throw new InvariantError(`Lagu sudah ada di playlist: ${result.rows.map((row) => row.song_id).join(', ')}`);
+  }
+};
+
+/**
+ * Rebuilds an earlier song order of a playlist by undoing activities, newest first.
+ * Positions recorded in the activity payloads are used where available; older
+ * activities without them fall back to the last occurrence of the song (for adds)
+ * or the end of the playlist (for deletes), and moves without them are ignored.
+ * A revert is undone by restoring the song order it replaced, so the song activities
+ * it recorded itself are skipped.
+ *
+ * @param {Array<string>} songIds - The current song IDs in playlist order
+ * @param {Array<object>} activities - The activities to undo, newest first, each
+ *                                     containing action, songId, and payload
+ *
+ * @throws {InvariantError} When the playlist was still a smart playlist at that time
+ * @returns {Array<string>} The song IDs in playlist order before the activities
+ */
+const rewindSongIds = (songIds, activities) => activities.reduce((songs, activity) => {
+  const { action, songId, payload } = activity;
+
+  if (payload.revert) {
+    return songs;
+  }
+
+  switch (action) {
+    case 'add': {
+      const index = payload.position && songs[payload.position - 1] === songId
+        ? payload.position - 1
+        : songs.lastIndexOf(songId);
+
+      return index === -1 ? songs : [...songs.slice(0, index), ...songs.slice(index + 1)];
+    }
+    case 'delete': {
+      const positions = payload.positions || (payload.position ? [payload.position] : []);
+
+      if (!positions.length) {
+        return [...songs, songId];
+      }
+
+      return positions.reduce((restored, position) => [
+        ...restored.slice(0, position - 1),
+        songId,
+        ...restored.slice(position - 1),
+      ], songs);
+    }
+    case 'move': {
+      const { from, to } = payload;
+
+      if (!from || !to || songs[to - 1] !== songId) {
+        return songs;
+      }
+
+      const remaining = [...songs.slice(0, to - 1), ...songs.slice(to)];
+      return [...remaining.slice(0, from - 1), songId, ...remaining.slice(from - 1)];
+    }
+    case 'revert':
+      return [...payload.previousSongIds];
+    case 'freeze':
+      throw new InvariantError('Playlist masih berupa smart playlist pada waktu tersebut');
+    default:
+      return songs;
+  }
+}, [...songIds]);
+
+/**
+ * Reads the song order of a regular playlist at a point in time, by undoing the
+ * activities recorded after it in the order they were written.
+ *
+ * @param {object} client - A pg client or pool
+ * @param {string} playlistId - The unique identifier of the playlist
+ * @param {Date} at - The point in time
+ *
+ * @throws {NotFoundError} When the playlist does not exist
+ * @throws {InvariantError} When the playlist is, or was at that time, a smart playlist
+ * @returns {Promise<Array<string>>} The song IDs in playlist order at that time
+ */
+const readSongIdsAt = async (client, playlistId, at) => {
+  const playlistResult = await client.query({
+    text: 'SELECT type FROM playlists WHERE id = $1',
+    values: [playlistId],
+  });
+
+  if (!playlistResult.rows.length) {
+    throw new NotFoundError('Playlist tidak ditemukan');
+  }
+
+  if (playlistResult.rows[0].type === 'smart') {
+    throw new InvariantError('Lagu smart playlist ditentukan oleh aturan dan tidak memiliki riwayat');
+  }
+
+  const songsResult = await client.query({
+    text: 'SELECT song_id FROM playlist_songs WHERE playlist_id = $1 ORDER BY position',
+    values: [playlistId],
+  });
+
+  const activitiesResult = await client.query({
+    text: `SELECT action, song_id AS "songId", payload FROM playlist_song_activities
+    WHERE playlist_id = $1 AND time > $2
+    ORDER BY seq DESC`,
+    values: [playlistId, at.toISOString()],
+  });
+
+  return rewindSongIds(songsResult.rows.map((row) => row.song_id), activitiesResult.rows);
+};
 
 /**
  * Service class to handle all playlist song-related database operations.
+ * Every entry has a 1-based position that is kept contiguous within its playlist.
  * Uses PostgreSQL for data persistence and nanoid for unique ID generation.
  */
 class PlaylistSongsService {
-  constructor(songsService) {
+  /**
+   * Creates a new instance of PlaylistSongsService.
+   *
+   * @param {object} songsService - Instance of SongsService for song verification
+   * @param {object} playlistSongActivitiesService - Instance of PlaylistSongActivitiesService
+   *                                                 used to record batch changes, moves,
+   *                                                 and freezes in the same transaction
+   */
+  constructor(songsService, playlistSongActivitiesService) {
     this._pool = new Pool();
     this._songsService = songsService;
+    this._playlistSongActivitiesService = playlistSongActivitiesService;
   }
 
   /**
-   * Adds a song to a playlist.
+   * Adds a song to a playlist, either at the end or at the given position.
+   * Entries at or after the given position are shifted down by one.
    *
    * @param {string} playlistId - The unique identifier of the playlist
    * @param {string} songId - The unique identifier of the song
+   * @param {number} [position] - The 1-based position to insert at; positions past the
+   *                              end of the playlist append the song
+   * @param {string} userId - The ID of the user adding the song
+   * @param {string} [note] - A note about the entry
    *
-   * @throws {InvariantError} When the song cannot be added to the playlist
+   * @throws {InvariantError} When the song cannot be added to the playlist, or is already
+   *                          in a playlist that rejects duplicates
    * @throws {NotFoundError} When the song does not exist
-   * @returns {Promise<string>} The generated ID of the newly added playlist song entry
+   * @returns {Promise<object>} Object containing the generated ID of the new playlist
+   *                            song entry and the position it was inserted at
    */
-  async addSongToPlaylist(playlistId, songId) {
+  async addSongToPlaylist(playlistId, songId, position, userId, note = null) {
     await this._songsService.verifySongExists(songId);
 
     const id = `playlist-songs-${nanoid(16)}`;
+    const client = await this._pool.connect();
 
-    const query = {
-      text: 'INSERT INTO playlist_songs VALUES($1, $2, $3) RETURNING id',
-      values: [id, playlistId, songId],
-    };
+    try {
+      await client.query('BEGIN');
 
-    const result = await this._pool.query(query);
+      const total = await lockPlaylist(client, playlistId);
+      await verifyDuplicatesAllowed(client, playlistId, [songId]);
+
+      const targetPosition = position ? Math.min(position, total + 1) : total + 1;
+
+      await client.query({
+        text: 'UPDATE playlist_songs SET position = position + 1 WHERE playlist_id = $1 AND position >= $2',
+        values: [playlistId, targetPosition],
+      });
+
+      const result = await client.query({
+        text: `INSERT INTO playlist_songs (id, playlist_id, song_id, position, added_by, added_at, note)
+        VALUES($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+        values: [
+          id,
+          playlistId,
+          songId,
+          targetPosition,
+          userId,
+          new Date().toISOString(),
+          note,
+        ],
+      });
 
-    if (!result.rows.length) {
-      throw new InvariantError('Lagu gagal ditambahkan ke playlist');
+      if (!result.rows.length) {
+        throw new InvariantError('Lagu gagal ditambahkan ke playlist');
+      }
+
+      await client.query('COMMIT');
+
+      return { id: result.rows[0].id, position: targetPosition };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
+  }
+
+  /**
+   * Adds many songs to a playlist in a single transaction, keeping their given order,
+   * either at the end or starting at the given position. Every song is verified before
+   * anything is written, and the 'add' activities are recorded in the same transaction.
+   *
+   * @param {string} playlistId - The unique identifier of the playlist
+   * @param {Array<string>} songIds - The unique identifiers of the songs, in order
+   * @param {number} [position] - The 1-based position of the first song; positions past
+   *                              the end of the playlist append the songs
+   * @param {string} userId - The ID of the user adding the songs
+   *
+   * @throws {NotFoundError} When any of the songs does not exist
+   * @throws {InvariantError} When the songs cannot be added to the playlist, or any of them
+   *                          is already in a playlist that rejects duplicates
+   * @returns {Promise<Array<string>>} The generated IDs of the new playlist song entries
+   */
+  async addSongsToPlaylist(playlistId, songIds, position, userId) {
+    await verifySongsExist(this._pool, songIds);
+
+    const ids = songIds.map(() => `playlist-songs-${nanoid(16)}`);
+    const client = await this._pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const total = await lockPlaylist(client, playlistId);
+      await verifyDuplicatesAllowed(client, playlistId, songIds);
+
+      const targetPosition = position ? Math.min(position, total + 1) : total + 1;
+
+      await client.query({
+        text: 'UPDATE playlist_songs SET position = position + $3 WHERE playlist_id = $1 AND position >= $2',
+        values: [playlistId, targetPosition, songIds.length],
+      });
+
+      const result = await client.query({
+        text: `INSERT INTO playlist_songs (id, playlist_id, song_id, position, added_by, added_at)
+        SELECT entry.id, $1, entry.song_id, $2::INT + entry.ordinal::INT - 1, $5, $6
+        FROM unnest($3::TEXT[], $4::TEXT[]) WITH ORDINALITY AS entry(id, song_id, ordinal)
+        RETURNING id`,
+        values: [playlistId, targetPosition, ids, songIds, userId, new Date().toISOString()],
+      });
+
+      if (result.rows.length !== songIds.length) {
+        throw new InvariantError('Lagu gagal ditambahkan ke playlist');
+      }
+
+      await this._playlistSongActivitiesService.addPlaylistSongActivities({
+        playlistId,
+        songIds,
+        userId,
+        action: 'add',
+        details: songIds.map((songId, index) => ({ position: targetPosition + index })),
+      }, client);
 
-    return result.rows[0].id;
+      await client.query('COMMIT');
+
+      return ids;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
   }
 
   /**
-   * Retrieves songs from a specific playlist.
+   * Retrieves songs from a specific playlist in playlist order.
+   * The songs of a smart playlist are selected by evaluating its rules.
    *
    * @param {string} playlistId - The unique identifier of the playlist
    *
-   * @returns {Promise<Array<object>>} Array of songs in the playlist,
-   *                                   each containing id, title, and performer
+   * @returns {Promise<Array<object>>} Array of songs in the playlist, each containing id,
+   *                                   title, performer, position, and the entry's addedBy
+   *                                   (username), addedAt, and note; the entry fields of
+   *                                   smart playlist songs are null
    */
   async getSongsFromPlaylist(playlistId) {
+    const playlistResult = await this._pool.query({
+      text: 'SELECT type, rules, owner FROM playlists WHERE id = $1',
+      values: [playlistId],
+    });
+
+    if (playlistResult.rows.length && playlistResult.rows[0].type === 'smart') {
+      const { rules, owner } = playlistResult.rows[0];
+      const smartResult = await this._pool.query(buildSmartPlaylistQuery(rules, owner));
+      return smartResult.rows.map((song) => ({
+        ...song, addedBy: null, addedAt: null, note: null,
+      }));
+    }
+
     const query = {
-      text: `SELECT songs.id, songs.title, songs.performer FROM songs
+      text: `SELECT songs.id, songs.title, songs.performer, playlist_songs.position,
+      users.username AS "addedBy", playlist_songs.added_at AS "addedAt", playlist_songs.note
+      FROM songs
       JOIN playlist_songs ON playlist_songs.song_id = songs.id
-      WHERE playlist_songs.playlist_id = $1`,
+      LEFT JOIN users ON users.id = playlist_songs.added_by
+      WHERE playlist_songs.playlist_id = $1
+      ORDER BY playlist_songs.position`,
       values: [playlistId],
     };
 
@@ -63,26 +377,450 @@ class PlaylistSongsService {
   }
 
   /**
-   * Removes a song from a playlist.
+   * Retrieves songs from a specific playlist in playlist order, together with the
+   * catalog details needed to export the playlist to a file.
+   *
+   * @param {string} playlistId - The unique identifier of the playlist
+   *
+   * @returns {Promise<Array<object>>} Array of songs in the playlist, each containing id,
+   *                                   title, performer, album, year, genre, duration,
+   *                                   and position
+   */
+  async getSongDetailsFromPlaylist(playlistId) {
+    const songs = await this.getSongsFromPlaylist(playlistId);
+
+    const result = await this._pool.query({
+      text: `SELECT songs.id, albums.name AS album, songs.year, songs.genre, songs.duration
+      FROM songs
+      LEFT JOIN albums ON albums.id = songs.album_id
+      WHERE songs.id = ANY($1)`,
+      values: [songs.map((song) => song.id)],
+    });
+
+    const details = new Map(result.rows.map((row) => [row.id, row]));
+
+    return songs.map((song) => ({
+      id: song.id,
+      title: song.title,
+      performer: song.performer,
+      album: details.get(song.id).album,
+      year: details.get(song.id).year,
+      genre: details.get(song.id).genre,
+      duration: details.get(song.id).duration,
+      position: song.position,
+    }));
+  }
+
+  /**
+   * Removes a song from a playlist and closes the gap it leaves behind.
    *
    * @param {string} playlistId - The unique identifier of the playlist
    * @param {string} songId - The unique identifier of the song
    *
    * @throws {NotFoundError} When the song does not exist in the playlist
-   * @returns {Promise<void>}
+   * @returns {Promise<Array<number>>} The positions the song was removed from
    */
   async deleteSongFromPlaylist(playlistId, songId) {
     await this._songsService.verifySongExists(songId);
 
-    const query = {
-      text: 'DELETE FROM playlist_songs WHERE playlist_id = $1 AND song_id = $2 RETURNING id',
-      values: [playlistId, songId],
-    };
+    const client = await this._pool.connect();
 
-    const result = await this._pool.query(query);
+    try {
+      await client.query('BEGIN');
+      await lockPlaylist(client, playlistId);
+
+      const result = await client.query({
+        text: 'DELETE FROM playlist_songs WHERE playlist_id = $1 AND song_id = $2 RETURNING position',
+        values: [playlistId, songId],
+      });
+
+      if (!result.rows.length) {
+        throw new NotFoundError('Lagu gagal dihapus dari playlist. Id tidak ditemukan');
+      }
+
+      await client.query({
+        text: `UPDATE playlist_songs SET position = ordered.position
+        FROM (
+          SELECT id, ROW_NUMBER() OVER (ORDER BY position) AS position
+          FROM playlist_songs WHERE playlist_id = $1
+        ) AS ordered
+        WHERE playlist_songs.id = ordered.id`,
+        values: [playlistId],
+      });
+
+      await client.query('COMMIT');
+
+      return result.rows.map((row) => row.position).sort((a, b) => a - b);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Removes many songs from a playlist in a single transaction and closes the gaps they
+   * leave behind. Every song is verified before anything is removed, and the 'delete'
+   * activities are recorded in the same transaction.
+   *
+   * @param {string} playlistId - The unique identifier of the playlist
+   * @param {Array<string>} songIds - The unique identifiers of the songs
+   * @param {string} userId - The ID of the user removing the songs
+   *
+   * @throws {NotFoundError} When any of the songs does not exist or is not in the playlist
+   * @returns {Promise<void>}
+   */
+  async deleteSongsFromPlaylist(playlistId, songIds, userId) {
+    await verifySongsExist(this._pool, songIds);
+
+    const client = await this._pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await lockPlaylist(client, playlistId);
+
+      const result = await client.query({
+        text: `DELETE FROM playlist_songs WHERE playlist_id = $1 AND song_id = ANY($2)
+        RETURNING song_id, position`,
+        values: [playlistId, songIds],
+      });
+
+      const removed = new Set(result.rows.map((row) => row.song_id));
+      const missing = songIds.filter((songId) => !removed.has(songId));
+
+      if (missing.length) {
+        throw new NotFoundError(`Lagu gagal dihapus dari playlist. Id tidak ditemukan: ${missing.join(', ')}`);
+      }
+
+      await client.query({
+        text: `UPDATE playlist_songs SET position = ordered.position
+        FROM (
+          SELECT id, ROW_NUMBER() OVER (ORDER BY position) AS position
+          FROM playlist_songs WHERE playlist_id = $1
+        ) AS ordered
+        WHERE playlist_songs.id = ordered.id`,
+        values: [playlistId],
+      });
+
+      // One activity per removed entry, last position first, so that replaying the
+      // history backwards reinserts the entries in ascending position order.
+      const removedEntries = [...result.rows].sort((a, b) => b.position - a.position);
+
+      await this._playlistSongActivitiesService.addPlaylistSongActivities({
+        playlistId,
+        songIds: removedEntries.map((entry) => entry.song_id),
+        userId,
+        action: 'delete',
+        details: removedEntries.map((entry) => ({ position: entry.position })),
+      }, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Rebuilds the songs of a regular playlist as they were at a point in time from its
+   * activity log. Songs that have since been removed from the catalog are left out.
+   *
+   * @param {string} playlistId - The unique identifier of the playlist
+   * @param {Date} at - The point in time
+   *
+   * @throws {NotFoundError} When the playlist does not exist
+   * @throws {InvariantError} When the playlist is, or was at that time, a smart playlist
+   * @returns {Promise<Array<object>>} Array of songs in playlist order, each containing
+   *                                   id, title, performer, and position
+   */
+  async getPlaylistSnapshot(playlistId, at) {
+    const songIds = await readSongIdsAt(this._pool, playlistId, at);
+
+    const result = await this._pool.query({
+      text: 'SELECT id, title, performer FROM songs WHERE id = ANY($1)',
+      values: [songIds],
+    });
+
+    const songs = new Map(result.rows.map((row) => [row.id, row]));
+
+    return songIds
+      .filter((songId) => songs.has(songId))
+      .map((songId, index) => ({ ...songs.get(songId), position: index + 1 }));
+  }
+
+  /**
+   * Restores the songs of a regular playlist to how they were at a point in time, in a
+   * single transaction. Songs still in the playlist keep their entry details; when the
+   * playlist rejects duplicates, only the first occurrence of a song is restored.
+   * The songs that come back or go away are recorded as 'add' and
+   * 'delete' activities, followed by a 'revert' activity holding the replaced song order,
+   * so that the revert itself can be looked past in later snapshots.
+   *
+   * @param {string} playlistId - The unique identifier of the playlist
+   * @param {Date} at - The point in time to restore
+   * @param {string} userId - The ID of the user reverting the playlist
+   *
+   * @throws {NotFoundError} When the playlist does not exist
+   * @throws {InvariantError} When the playlist is, or was at that time, a smart playlist
+   * @returns {Promise<number>} The number of songs in the restored playlist
+   */
+  async revertPlaylist(playlistId, at, userId) {
+    const client = await this._pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await lockPlaylist(client, playlistId);
+
+      const currentResult = await client.query({
+        text: `SELECT id, song_id, added_by, added_at::TEXT AS added_at, note FROM playlist_songs
+        WHERE playlist_id = $1 ORDER BY position`,
+        values: [playlistId],
+      });
+      const previousSongIds = currentResult.rows.map((row) => row.song_id);
+
+      const settingsResult = await client.query({
+        text: 'SELECT allow_duplicates FROM playlists WHERE id = $1',
+        values: [playlistId],
+      });
+      const allowDuplicates = settingsResult.rows[0].allow_duplicates;
+
+      const snapshotSongIds = await readSongIdsAt(client, playlistId, at);
+
+      const catalogResult = await client.query({
+        text: 'SELECT id FROM songs WHERE id = ANY($1)',
+        values: [snapshotSongIds],
+      });
+      const inCatalog = new Set(catalogResult.rows.map((row) => row.id));
+      const songIds = snapshotSongIds.filter((songId, index) => inCatalog.has(songId)
+        && (allowDuplicates || snapshotSongIds.indexOf(songId) === index));
+
+      // Entries that survive the revert keep their ID, added_by, added_at, and note.
+      const unused = [...currentResult.rows];
+      const addedAt = new Date().toISOString();
+      const entries = songIds.map((songId) => {
+        const index = unused.findIndex((entry) => entry.song_id === songId);
+
+        if (index !== -1) {
+          return unused.splice(index, 1)[0];
+        }
+
+        return {
+          id: `playlist-songs-${nanoid(16)}`,
+          song_id: songId,
+          added_by: userId,
+          added_at: addedAt,
+          note: null,
+          isNew: true,
+        };
+      });
+
+      await client.query({
+        text: 'DELETE FROM playlist_songs WHERE playlist_id = $1',
+        values: [playlistId],
+      });
+
+      await client.query({
+        text: `INSERT INTO playlist_songs (id, playlist_id, song_id, position, added_by, added_at, note)
+        SELECT entry.id, $1, entry.song_id, entry.ordinal::INT, entry.added_by, entry.added_at,
+        entry.note
+        FROM unnest($2::TEXT[], $3::TEXT[], $4::TEXT[], $5::TIMESTAMP[], $6::TEXT[])
+        WITH ORDINALITY AS entry(id, song_id, added_by, added_at, note, ordinal)`,
+        values: [
+          playlistId,
+          entries.map((entry) => entry.id),
+          entries.map((entry) => entry.song_id),
+          entries.map((entry) => entry.added_by),
+          entries.map((entry) => entry.added_at),
+          entries.map((entry) => entry.note),
+        ],
+      });
+
+      const removedSongIds = unused.map((entry) => entry.song_id);
+      const addedSongIds = entries.filter((entry) => entry.isNew).map((entry) => entry.song_id);
+
+      if (removedSongIds.length) {
+        await this._playlistSongActivitiesService.addPlaylistSongActivities({
+          playlistId,
+          songIds: removedSongIds,
+          userId,
+          action: 'delete',
+          details: removedSongIds.map(() => ({ revert: true })),
+        }, client);
+      }
+
+      if (addedSongIds.length) {
+        await this._playlistSongActivitiesService.addPlaylistSongActivities({
+          playlistId,
+          songIds: addedSongIds,
+          userId,
+          action: 'add',
+          details: addedSongIds.map(() => ({ revert: true })),
+        }, client);
+      }
+
+      await this._playlistSongActivitiesService.addPlaylistActivity({
+        playlistId,
+        userId,
+        action: 'revert',
+        details: { at: at.toISOString(), previousSongIds },
+      }, client);
+
+      await client.query('COMMIT');
+
+      return songIds.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Freezes a smart playlist into a regular playlist holding the songs its rules
+   * currently select, and records a 'freeze' activity in the same transaction.
+   *
+   * @param {string} playlistId - The unique identifier of the playlist
+   * @param {string} userId - The ID of the user freezing the playlist
+   *
+   * @throws {NotFoundError} When no smart playlist is found with the given ID
+   * @returns {Promise<number>} The number of songs in the frozen playlist
+   */
+  async freezeSmartPlaylist(playlistId, userId) {
+    const client = await this._pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const playlistResult = await client.query({
+        text: "SELECT rules, owner FROM playlists WHERE id = $1 AND type = 'smart' FOR UPDATE",
+        values: [playlistId],
+      });
+
+      if (!playlistResult.rows.length) {
+        throw new NotFoundError('Smart playlist tidak ditemukan');
+      }
+
+      const { rules, owner } = playlistResult.rows[0];
+      const { rows: entries } = await client.query(buildSmartPlaylistQuery(rules, owner));
+
+      await client.query({
+        text: `INSERT INTO playlist_songs (id, playlist_id, song_id, position, added_by, added_at)
+        SELECT entry.id, $1, entry.song_id, entry.position, $5, $6
+        FROM unnest($2::TEXT[], $3::TEXT[], $4::INT[]) AS entry(id, song_id, position)`,
+        values: [
+          playlistId,
+          entries.map(() => `playlist-songs-${nanoid(16)}`),
+          entries.map(({ id }) => id),
+          entries.map(({ position }) => position),
+          userId,
+          new Date().toISOString(),
+        ],
+      });
+
+      await client.query({
+        text: "UPDATE playlists SET type = 'regular', rules = NULL WHERE id = $1",
+        values: [playlistId],
+      });
+
+      await this._playlistSongActivitiesService.addPlaylistActivity({
+        playlistId,
+        userId,
+        action: 'freeze',
+        details: { songCount: entries.length },
+      }, client);
+
+      await client.query('COMMIT');
+
+      return entries.length;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Moves one or many songs to new positions in a single transaction.
+   * Moves are applied in the given order, so later moves see the result of earlier ones;
+   * the resulting positions are then written with one update.
+   * When a song appears more than once, its first occurrence is moved.
+   * Every move that changes a position is recorded as a 'move' activity.
+   *
+   * @param {string} playlistId - The unique identifier of the playlist
+   * @param {Array<object>} moves - The moves to apply
+   * @param {string} moves[].songId - The unique identifier of the song to move
+   * @param {number} moves[].position - The 1-based target position; positions past the end
+   *                                    of the playlist move the song to the end
+   * @param {string} userId - The ID of the user performing the reorder
+   *
+   * @throws {NotFoundError} When a song is not in the playlist
+   * @returns {Promise<void>}
+   */
+  async moveSongsInPlaylist(playlistId, moves, userId) {
+    const client = await this._pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await lockPlaylist(client, playlistId);
+
+      const entriesResult = await client.query({
+        text: 'SELECT id, song_id, position FROM playlist_songs WHERE playlist_id = $1 ORDER BY position',
+        values: [playlistId],
+      });
+
+      const entries = [...entriesResult.rows];
+      const moved = [];
+
+      moves.forEach(({ songId, position }) => {
+        const index = entries.findIndex((entry) => entry.song_id === songId);
+
+        if (index === -1) {
+          throw new NotFoundError(`Lagu ${songId} tidak ditemukan di playlist`);
+        }
+
+        const targetIndex = Math.min(position, entries.length) - 1;
+
+        if (targetIndex !== index) {
+          entries.splice(targetIndex, 0, ...entries.splice(index, 1));
+          moved.push({ songId, details: { from: index + 1, to: targetIndex + 1 } });
+        }
+      });
+
+      const changed = entries
+        .map((entry, index) => ({ id: entry.id, from: entry.position, to: index + 1 }))
+        .filter((entry) => entry.from !== entry.to);
+
+      if (changed.length) {
+        await client.query({
+          text: `UPDATE playlist_songs SET position = entry.position
+          FROM unnest($2::TEXT[], $3::INT[]) AS entry(id, position)
+          WHERE playlist_songs.id = entry.id AND playlist_songs.playlist_id = $1`,
+          values: [playlistId, changed.map((entry) => entry.id), changed.map((entry) => entry.to)],
+        });
+      }
+
+      if (moved.length) {
+        await this._playlistSongActivitiesService.addPlaylistSongActivities({
+          playlistId,
+          songIds: moved.map((move) => move.songId),
+          userId,
+          action: 'move',
+          details: moved.map((move) => move.details),
+        }, client);
+      }
 
-    if (!result.rows.length) {
-      throw new NotFoundError('Lagu gagal dihapus dari playlist. Id tidak ditemukan');
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
   }
 }
@@ -3,15 +3,116 @@ const { nanoid } = require('nanoid');
 const InvariantError = require('../../exceptions/InvariantError');
 const NotFoundError = require('../../exceptions/NotFoundError');
 const AuthorizationError = require('../../exceptions/AuthorizationError');
+const { COLLABORATOR_ROLES } = require('../../utils/auth');
+const { buildSmartPlaylistQuery } = require('../../utils/smartPlaylistRules');
+
+/**
+ * Verifies that a user can receive ownership of a playlist: they must already
+ * collaborate on it and must not be its current owner.
+ *
+ * @param {object} client - A pg client or pool
+ * @param {string} playlistId - The unique identifier of the playlist
+ * @param {string} userId - The ID of the recipient
+ * @param {boolean} [lock=false] - Whether to lock the playlist row for the transfer
+ *
+ * @throws {NotFoundError} When no playlist is found with the given ID
+ * @throws {InvariantError} When the recipient is the owner or not a collaborator
+ * @returns {Promise<object>} The playlist owner and pending owner
+ */
+const verifyTransferRecipient = async (client, playlistId, userId, lock = false) => {
+  const playlistResult = await client.query({
+    text: `SELECT owner, pending_owner FROM playlists WHERE id = $1${lock ? ' FOR UPDATE' : ''}`,
+    values: [playlistId],
+  });
+
+  if (!playlistResult.rows.length) {
+    throw new NotFoundError('Playlist tidak ditemukan');
+  }
+
+  const { owner, pending_owner: pendingOwner } = playlistResult.rows[0];
+
+  if (owner === userId) {
+    throw new InvariantError('Pengguna sudah menjadi pemilik playlist');
+  }
+
+  const collaborationResult = await client.query({
+    text: 'SELECT id FROM collaborations WHERE playlist_id = $1 AND user_id = $2',
+    values: [playlistId, userId],
+  });
+
+  if (!collaborationResult.rows.length) {
+    throw new InvariantError('Kepemilikan hanya dapat dialihkan ke kolaborator playlist');
+  }
+
+  return { owner, pendingOwner };
+};
+
+/**
+ * Hands ownership of a locked playlist to a collaborator. The new owner becomes an
+ * admin, and the previous owner stays on as an admin collaborator.
+ *
+ * @param {object} client - A pg client inside an open transaction
+ * @param {string} playlistId - The unique identifier of the playlist
+ * @param {string} previousOwner - The ID of the current owner
+ * @param {string} newOwner - The ID of the new owner
+ * @returns {Promise<void>}
+ */
+const applyTransfer = async (client, playlistId, previousOwner, newOwner) => {
+  await client.query({
+    text: 'UPDATE playlists SET owner = $1, pending_owner = NULL WHERE id = $2',
+    values: [newOwner, playlistId],
+  });
+
+  await client.query({
+    text: 'UPDATE collaborations SET role = $1 WHERE playlist_id = $2 AND user_id = $3',
+    values: [COLLABORATOR_ROLES.ADMIN, playlistId, newOwner],
+  });
+
+  await client.query({
+    text: `INSERT INTO collaborations (id, playlist_id, user_id, role, created_at)
+    VALUES($1, $2, $3, $4, $5)
+    ON CONFLICT (playlist_id, user_id) DO UPDATE SET role = EXCLUDED.role`,
+    values: [
+      `collab-${nanoid(16)}`,
+      playlistId,
+      previousOwner,
+      COLLABORATOR_ROLES.ADMIN,
+      new Date().toISOString(),
+    ],
+  });
+};
 
 /**
  * Service class to handle all playlist-related database operations.
  * Uses PostgreSQL for data persistence and nanoid for unique ID generation.
  */
 class PlaylistsService {
-  constructor(collaborationsService) {
+  constructor(collaborationsService, playlistSongActivitiesService) {
     this._pool = new Pool();
     this._collaborationsService = collaborationsService;
+    this._playlistSongActivitiesService = playlistSongActivitiesService;
+  }
+
+  /**
+   * Hands ownership of a locked playlist to a collaborator and records the
+   * 'owner_transfer' activity, inside the caller's transaction.
+   *
+   * @param {object} client - A pg client inside an open transaction
+   * @param {string} id - The unique identifier of the playlist
+   * @param {string} previousOwner - The ID of the current owner
+   * @param {string} newOwner - The ID of the new owner
+   * @returns {Promise<void>}
+   */
+  async _transfer(client, id, previousOwner, newOwner) {
+    await applyTransfer(client, id, previousOwner, newOwner);
+
+    await this._playlistSongActivitiesService.addCollaboratorActivity({
+      playlistId: id,
+      targetUserId: newOwner,
+      userId: previousOwner,
+      action: 'owner_transfer',
+      details: { previousOwner, newOwner },
+    }, client);
   }
 
   /**
@@ -19,17 +120,32 @@ class PlaylistsService {
    *
    * @param {object} payload - The playlist data from client request
    * @param {string} payload.name - The name of the playlist
+   * @param {string} [payload.description] - The description of the playlist
+   * @param {object} [payload.rules] - Smart playlist rules; when given, the playlist is a
+   *                                   smart playlist whose songs are selected by the rules
+   * @param {boolean} [payload.allowDuplicates=true] - Whether a song can be added more than once
    * @param {string} payload.owner - The owner ID of the playlist
    *
    * @throws {InvariantError} When the playlist cannot be added to the database
    * @returns {Promise<string>} The generated ID of the newly created playlist
    */
-  async addPlaylist({ name, owner }) {
+  async addPlaylist({
+    name, description = null, rules, allowDuplicates = true, owner,
+  }) {
     const id = `playlist-${nanoid(16)}`;
 
     const query = {
-      text: 'INSERT INTO playlists VALUES($1, $2, $3) RETURNING id',
-      values: [id, name, owner],
+      text: `INSERT INTO playlists (id, name, owner, description, type, rules, allow_duplicates)
+      VALUES($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+      values: [
+        id,
+        name,
+        owner,
+        description,
+        rules ? 'smart' : 'regular',
+        rules ? JSON.stringify(rules) : null,
+        allowDuplicates,
+      ],
     };
 
     const result = await this._pool.query(query);
@@ -38,21 +154,117 @@ class PlaylistsService {
       throw new InvariantError('Playlist gagal ditambahkan');
     }
 
-    await this._collaborationsService.addCollaboration({ playlistId: id, userId: owner });
+    await this._collaborationsService.addCollaboration({
+      playlistId: id,
+      userId: owner,
+      role: COLLABORATOR_ROLES.ADMIN,
+    });
 
     return result.rows[0].id;
   }
 
+  /**
+   * Copies a playlist into a new regular playlist owned by another user, in a single
+   * transaction. The songs keep their current order; the songs of a smart playlist are
+   * copied as its rules currently select them. The copied entries are recorded as added
+   * by the new owner.
+   *
+   * @param {string} sourceId - The unique identifier of the playlist to copy
+   * @param {object} payload - The fork data
+   * @param {string} [payload.name] - The name of the copy, defaults to the source name
+   * @param {string} payload.owner - The owner ID of the copy
+   *
+   * @throws {NotFoundError} When no playlist is found with the given ID
+   * @returns {Promise<string>} The generated ID of the new playlist
+   */
+  async forkPlaylist(sourceId, { name, owner }) {
+    const id = `playlist-${nanoid(16)}`;
+    const client = await this._pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const sourceResult = await client.query({
+        text: `SELECT name, description, type, rules, owner, allow_duplicates FROM playlists
+        WHERE id = $1 FOR SHARE`,
+        values: [sourceId],
+      });
+
+      if (!sourceResult.rows.length) {
+        throw new NotFoundError('Playlist tidak ditemukan');
+      }
+
+      const source = sourceResult.rows[0];
+
+      await client.query({
+        text: `INSERT INTO playlists (id, name, owner, description, forked_from, allow_duplicates)
+        VALUES($1, $2, $3, $4, $5, $6)`,
+        values: [
+          id,
+          name || source.name,
+          owner,
+          source.description,
+          sourceId,
+          source.allow_duplicates,
+        ],
+      });
+
+      await client.query({
+        text: `INSERT INTO collaborations (id, playlist_id, user_id, role, created_at)
+        VALUES($1, $2, $3, $4, $5)`,
+        values: [
+          `collab-${nanoid(16)}`,
+          id,
+          owner,
+          COLLABORATOR_ROLES.ADMIN,
+          new Date().toISOString(),
+        ],
+      });
+
+      const songsResult = source.type === 'smart'
+        ? await client.query(buildSmartPlaylistQuery(source.rules, source.owner))
+        : await client.query({
+          text: 'SELECT song_id AS id, position FROM playlist_songs WHERE playlist_id = $1 ORDER BY position',
+          values: [sourceId],
+        });
+
+      await client.query({
+        text: `INSERT INTO playlist_songs (id, playlist_id, song_id, position, added_by, added_at)
+        SELECT entry.id, $1, entry.song_id, entry.position, $5, $6
+        FROM unnest($2::TEXT[], $3::TEXT[], $4::INT[]) AS entry(id, song_id, position)`,
+        values: [
+          id,
+          songsResult.rows.map(() => `playlist-songs-${nanoid(16)}`),
+          songsResult.rows.map((song) => song.id),
+          songsResult.rows.map((song) => song.position),
+          owner,
+          new Date().toISOString(),
+        ],
+      });
+
+      await client.query('COMMIT');
+
+      return id;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   /**
    * Retrieves playlists owned by or shared with a specific user.
    *
    * @param {string} owner - The ID of the user
    *
-   * @returns {Promise<Array<object>>} Array of playlists containing id, name, and owner's username
+   * @returns {Promise<Array<object>>} Array of playlists containing id, name, type,
+   *                                   visibility, and owner's username
    */
   async getPlaylists(owner) {
     const query = {
-      text: `SELECT playlists.id, playlists.name, users.username FROM playlists
+      text: `SELECT playlists.id, playlists.name, playlists.type, playlists.visibility,
+      users.username FROM playlists
       LEFT JOIN users ON users.id = playlists.owner
       LEFT JOIN collaborations ON collaborations.playlist_id = playlists.id
       WHERE playlists.owner = $1 OR collaborations.user_id = $1`,
@@ -69,11 +281,18 @@ class PlaylistsService {
    * @param {string} id - The unique identifier of the playlist
    *
    * @throws {NotFoundError} When no playlist is found with the given ID
-   * @returns {Promise<object>} The complete playlist data, including the owner's username
+   * @returns {Promise<object>} The playlist id, name, owner, description, coverUrl, type,
+   *                            rules, visibility, allowDuplicates, forkedFrom, forkCount,
+   *                            and owner's username
    */
   async getPlaylistById(id) {
     const query = {
-      text: `SELECT playlists.*, users.username FROM playlists
+      text: `SELECT playlists.id, playlists.name, playlists.owner, playlists.description,
+      playlists.cover AS "coverUrl", playlists.type, playlists.rules, playlists.visibility,
+      playlists.allow_duplicates AS "allowDuplicates", playlists.forked_from AS "forkedFrom",
+      (SELECT COUNT(*) FROM playlists AS forks WHERE forks.forked_from = playlists.id)::INT
+        AS "forkCount",
+      users.username FROM playlists
       LEFT JOIN users ON users.id = playlists.owner
       WHERE playlists.id = $1`,
       values: [id],
@@ -88,6 +307,260 @@ class PlaylistsService {
     return result.rows[0];
   }
 
+  /**
+   * Retrieves a playlist for anonymous readers. Public playlists are always readable;
+   * unlisted playlists are readable only with their current share token.
+   *
+   * @param {string} id - The unique identifier of the playlist
+   * @param {string} [token] - The share token of an unlisted playlist
+   *
+   * @throws {NotFoundError} When the playlist does not exist or is not readable
+   *                         without authentication
+   * @returns {Promise<object>} The playlist id, name, description, coverUrl, type,
+   *                            forkedFrom, forkCount, and owner's username
+   */
+  async getPublicPlaylistById(id, token) {
+    const query = {
+      text: `SELECT playlists.id, playlists.name, playlists.description,
+      playlists.cover AS "coverUrl", playlists.type, playlists.forked_from AS "forkedFrom",
+      (SELECT COUNT(*) FROM playlists AS forks WHERE forks.forked_from = playlists.id)::INT
+        AS "forkCount",
+      users.username FROM playlists
+      LEFT JOIN users ON users.id = playlists.owner
+      WHERE playlists.id = $1 AND (
+        playlists.visibility = 'public'
+        OR (playlists.visibility = 'unlisted' AND playlists.share_token = $2)
+      )`,
+      values: [id, token || null],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Playlist tidak ditemukan');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Updates the name, description, and duplicate setting of a playlist. Duplicates
+   * can only be disallowed while the playlist has no song more than once.
+   *
+   * @param {string} id - The unique identifier of the playlist
+   * @param {object} payload - The playlist data from client request
+   * @param {string} payload.name - The new name of the playlist
+   * @param {string|null} [payload.description] - The new description of the playlist
+   * @param {boolean} [payload.allowDuplicates] - Whether a song can be added more than once,
+   *                                             unchanged when omitted
+   *
+   * @throws {NotFoundError} When no playlist is found with the given ID
+   * @throws {InvariantError} When disallowing duplicates while the playlist has some
+   * @returns {Promise<Array<string>>} The fields whose value changed: 'name', 'description',
+   *                                   and/or 'allowDuplicates'
+   */
+  async editPlaylistById(id, { name, description = null, allowDuplicates }) {
+    const client = await this._pool.connect();
+    let result;
+
+    try {
+      await client.query('BEGIN');
+
+      result = await client.query({
+        text: `UPDATE playlists SET name = $1, description = $2,
+        allow_duplicates = COALESCE($3, playlists.allow_duplicates)
+        FROM (SELECT name, description, allow_duplicates FROM playlists WHERE id = $4 FOR UPDATE)
+          AS previous
+        WHERE playlists.id = $4
+        RETURNING previous.name AS "previousName", previous.description AS "previousDescription",
+        previous.allow_duplicates AS "previousAllowDuplicates"`,
+        values: [name, description, allowDuplicates ?? null, id],
+      });
+
+      if (!result.rows.length) {
+        throw new NotFoundError('Gagal memperbarui playlist. Id tidak ditemukan');
+      }
+
+      if (allowDuplicates === false && result.rows[0].previousAllowDuplicates) {
+        const duplicateResult = await client.query({
+          text: `SELECT song_id FROM playlist_songs WHERE playlist_id = $1
+          GROUP BY song_id HAVING COUNT(*) > 1`,
+          values: [id],
+        });
+
+        if (duplicateResult.rows.length) {
+          throw new InvariantError(`Playlist masih memiliki lagu ganda: ${duplicateResult.rows.map((row) => row.song_id).join(', ')}`);
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const { previousName, previousDescription, previousAllowDuplicates } = result.rows[0];
+    const changedFields = [];
+
+    if (previousName !== name) {
+      changedFields.push('name');
+    }
+
+    if (previousDescription !== description) {
+      changedFields.push('description');
+    }
+
+    if (allowDuplicates !== undefined && previousAllowDuplicates !== allowDuplicates) {
+      changedFields.push('allowDuplicates');
+    }
+
+    return changedFields;
+  }
+
+  /**
+   * Replaces the rules of a smart playlist.
+   *
+   * @param {string} id - The unique identifier of the playlist
+   * @param {object} rules - The validated smart playlist rules
+   *
+   * @throws {NotFoundError} When no smart playlist is found with the given ID
+   * @returns {Promise<void>}
+   */
+  async editPlaylistRulesById(id, rules) {
+    const query = {
+      text: "UPDATE playlists SET rules = $1 WHERE id = $2 AND type = 'smart' RETURNING id",
+      values: [JSON.stringify(rules), id],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Gagal memperbarui aturan. Smart playlist tidak ditemukan');
+    }
+  }
+
+  /**
+   * Sets the cover URL of a playlist.
+   *
+   * @param {string} id - The unique identifier of the playlist
+   * @param {string} url - The URL of the playlist cover image
+   *
+   * @throws {NotFoundError} When no playlist is found with the given ID
+   * @returns {Promise<string|null>} The URL of the previous cover, if any
+   */
+  async editPlaylistCoverById(id, url) {
+    const query = {
+      text: `UPDATE playlists SET cover = $1
+      FROM (SELECT cover FROM playlists WHERE id = $2 FOR UPDATE) AS previous
+      WHERE playlists.id = $2
+      RETURNING previous.cover`,
+      values: [url, id],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Gagal menambahkan sampul playlist. Id tidak ditemukan');
+    }
+
+    return result.rows[0].cover;
+  }
+
+  /**
+   * Changes the visibility of a playlist. Making a playlist unlisted issues a share
+   * token when it does not have one yet.
+   *
+   * @param {string} id - The unique identifier of the playlist
+   * @param {string} visibility - One of 'private', 'unlisted', or 'public'
+   *
+   * @throws {NotFoundError} When no playlist is found with the given ID
+   * @returns {Promise<object>} Object containing visibility and shareToken
+   */
+  async editPlaylistVisibilityById(id, visibility) {
+    const query = {
+      text: `UPDATE playlists SET visibility = $1,
+      share_token = CASE WHEN $1 = 'unlisted' THEN COALESCE(share_token, $2) ELSE share_token END
+      WHERE id = $3 RETURNING visibility, share_token`,
+      values: [visibility, nanoid(32), id],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Gagal memperbarui visibilitas playlist. Id tidak ditemukan');
+    }
+
+    return {
+      visibility: result.rows[0].visibility,
+      shareToken: result.rows[0].share_token,
+    };
+  }
+
+  /**
+   * Issues a new share token for a playlist, invalidating the previous one.
+   *
+   * @param {string} id - The unique identifier of the playlist
+   *
+   * @throws {NotFoundError} When no playlist is found with the given ID
+   * @returns {Promise<string>} The new share token
+   */
+  async rotatePlaylistShareToken(id) {
+    const query = {
+      text: 'UPDATE playlists SET share_token = $1 WHERE id = $2 RETURNING share_token',
+      values: [nanoid(32), id],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Gagal membuat tautan berbagi. Id tidak ditemukan');
+    }
+
+    return result.rows[0].share_token;
+  }
+
+  /**
+   * Revokes the share token of a playlist, so existing share links stop working.
+   *
+   * @param {string} id - The unique identifier of the playlist
+   *
+   * @throws {NotFoundError} When no playlist is found with the given ID
+   * @returns {Promise<void>}
+   */
+  async deletePlaylistShareToken(id) {
+    const query = {
+      text: 'UPDATE playlists SET share_token = NULL WHERE id = $1 RETURNING id',
+      values: [id],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Gagal mencabut tautan berbagi. Id tidak ditemukan');
+    }
+  }
+
+  /**
+   * Retrieves the IDs of every user who sees a playlist in their library: the owner
+   * and the collaborators.
+   *
+   * @param {string} id - The unique identifier of the playlist
+   * @returns {Promise<Array<string>>} The user IDs
+   */
+  async getPlaylistMemberIds(id) {
+    const query = {
+      text: `SELECT owner AS "userId" FROM playlists WHERE id = $1
+      UNION
+      SELECT user_id FROM collaborations WHERE playlist_id = $1`,
+      values: [id],
+    };
+
+    const result = await this._pool.query(query);
+    return result.rows.map((row) => row.userId);
+  }
+
   /**
    * Removes a playlist from the database.
    *
@@ -109,6 +582,119 @@ class PlaylistsService {
     }
   }
 
+  /**
+   * Hands ownership of a playlist to one of its collaborators immediately, recording
+   * the transfer in the activity log in the same transaction.
+   *
+   * @param {string} id - The unique identifier of the playlist
+   * @param {string} userId - The ID of the new owner
+   *
+   * @throws {NotFoundError} When no playlist is found with the given ID
+   * @throws {InvariantError} When the recipient is the owner or not a collaborator
+   * @returns {Promise<string>} The ID of the previous owner
+   */
+  async transferPlaylistOwnership(id, userId) {
+    const client = await this._pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { owner } = await verifyTransferRecipient(client, id, userId, true);
+      await this._transfer(client, id, owner, userId);
+
+      await client.query('COMMIT');
+
+      return owner;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Records a pending ownership transfer that the recipient has to accept.
+   * A new request replaces any earlier pending transfer.
+   *
+   * @param {string} id - The unique identifier of the playlist
+   * @param {string} userId - The ID of the proposed owner
+   *
+   * @throws {NotFoundError} When no playlist is found with the given ID
+   * @throws {InvariantError} When the recipient is the owner or not a collaborator
+   * @returns {Promise<void>}
+   */
+  async requestPlaylistTransfer(id, userId) {
+    await verifyTransferRecipient(this._pool, id, userId);
+
+    await this._pool.query({
+      text: 'UPDATE playlists SET pending_owner = $1 WHERE id = $2',
+      values: [userId, id],
+    });
+  }
+
+  /**
+   * Accepts the pending ownership transfer of a playlist, recording the transfer in the
+   * activity log in the same transaction.
+   *
+   * @param {string} id - The unique identifier of the playlist
+   * @param {string} userId - The ID of the user accepting; must be the proposed owner
+   *
+   * @throws {NotFoundError} When no playlist is found with the given ID, or no transfer
+   *                         to the user is pending
+   * @throws {InvariantError} When the user is no longer a collaborator
+   * @returns {Promise<string>} The ID of the previous owner
+   */
+  async acceptPlaylistTransfer(id, userId) {
+    const client = await this._pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const { owner, pendingOwner } = await verifyTransferRecipient(client, id, userId, true);
+
+      if (pendingOwner !== userId) {
+        throw new NotFoundError('Tidak ada transfer kepemilikan yang menunggu konfirmasi Anda');
+      }
+
+      await this._transfer(client, id, owner, userId);
+
+      await client.query('COMMIT');
+
+      return owner;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Cancels or declines the pending ownership transfer of a playlist.
+   * Either the owner or the proposed owner may do so.
+   *
+   * @param {string} id - The unique identifier of the playlist
+   * @param {string} userId - The ID of the owner or the proposed owner
+   *
+   * @throws {NotFoundError} When no transfer involving the user is pending
+   * @returns {Promise<void>}
+   */
+  async deletePlaylistTransfer(id, userId) {
+    const query = {
+      text: `UPDATE playlists SET pending_owner = NULL
+      WHERE id = $1 AND pending_owner IS NOT NULL AND (owner = $2 OR pending_owner = $2)
+      RETURNING id`,
+      values: [id, userId],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Tidak ada transfer kepemilikan yang menunggu konfirmasi');
+    }
+  }
+
   /**
    * Verifies whether a user is the owner of a playlist.
    *
@@ -136,24 +722,56 @@ class PlaylistsService {
   }
 
   /**
-   * Verifies whether a user has access to a playlist (either as owner or collaborator).
+   * Verifies that a user is not the owner of a playlist, so that the owner's own
+   * collaboration cannot be downgraded or removed by a co-admin.
+   *
+   * @param {string} id - The unique identifier of the playlist
+   * @param {string} userId - The user ID to verify
+   *
+   * @throws {NotFoundError} When no playlist is found with the given ID
+   * @throws {InvariantError} When the user is the owner
+   */
+  async verifyNotPlaylistOwner(id, userId) {
+    const query = {
+      text: 'SELECT owner FROM playlists WHERE id = $1',
+      values: [id],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Playlist tidak ditemukan');
+    }
+
+    if (result.rows[0].owner === userId) {
+      throw new InvariantError('Kolaborasi pemilik playlist tidak dapat diubah');
+    }
+  }
+
+  /**
+   * Verifies whether a user has access to a playlist with at least the given
+   * collaborator role. The owner always has full access.
    *
    * @param {string} id - The unique identifier of the playlist
    * @param {string} userId - The user ID to verify access
+   * @param {string} [role='viewer'] - The minimum collaborator role required:
+   *                                   'viewer' to read, 'editor' to change songs,
+   *                                   or 'admin' to manage the playlist and its collaborators
    *
    * @throws {NotFoundError} When no playlist is found with the given ID
-   * @throws {AuthorizationError} When the user has no access to the playlist
+   * @throws {AuthorizationError} When the user has no access or holds a lower role
    */
-  async verifyPlaylistAccess(id, userId) {
+  async verifyPlaylistAccess(id, userId, role = COLLABORATOR_ROLES.VIEWER) {
     try {
       await this.verifyPlaylistOwner(id, userId);
+      return;
     } catch (error) {
       if (error instanceof NotFoundError) {
         throw error;
       }
     }
 
-    await this._collaborationsService.verifyCollaborator({ playlistId: id, userId });
+    await this._collaborationsService.verifyCollaborator({ playlistId: id, userId, role });
   }
 }
 
@@ -0,0 +1,116 @@
+const { Pool } = require('pg');
+
+const WORD_SIMILARITY_THRESHOLD = 0.3;
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, HighlightAll=TRUE';
+const LYRICS_HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=1, MaxWords=20, MinWords=8';
+
+const HTML_ESCAPES = [['&', '&amp;'], ['<', '&lt;'], ['>', '&gt;'], ['"', '&quot;'], ["'", '&#39;']];
+
+/**
+ * Wraps a SQL text expression so that it evaluates to the HTML-escaped text. Snippets are
+ * highlighted over the escaped text, so the <mark> tags are their only markup.
+ *
+ * @param {string} expression - A SQL text expression
+ * @returns {string} SQL expression of the escaped text
+ */
+const escapeHtml = (expression) => HTML_ESCAPES.reduce(
+  (escaped, [character, entity]) => `replace(${escaped}, '${character.replace("'", "''")}', '${entity}')`,
+  expression,
+);
+
+/**
+ * Service class to run full-text searches across songs, albums, and artists.
+ * Matches come from the weighted tsvector columns, and pg_trgm word similarity
+ * catches misspelled terms (e.g. "bohemain") that full-text search alone would miss.
+ * Uses PostgreSQL for data persistence.
+ */
+class SearchService {
+  constructor() {
+    this._pool = new Pool();
+  }
+
+  /**
+   * Searches the catalog and returns ranked results grouped by type.
+   *
+   * @param {object} options - The search options
+   * @param {string} options.q - The search terms, in web search syntax
+   * @param {Array<string>} options.types - The types to search: songs, albums, and/or artists
+   * @param {number} options.limit - The maximum number of results per type
+   *
+   * @returns {Promise<object>} Object containing a ranked array for each requested type;
+   *                           every result has a score and a highlighted snippet, as
+   *                           escaped HTML with matches wrapped in <mark> tags
+   */
+  async search({ q, types, limit }) {
+    const client = await this._pool.connect();
+    const results = {};
+
+    try {
+      await client.query('BEGIN');
+      await client.query(`SET LOCAL pg_trgm.word_similarity_threshold = ${WORD_SIMILARITY_THRESHOLD}`);
+
+      if (types.includes('songs')) {
+        const songsResult = await client.query({
+          text: `SELECT songs.id, songs.title, songs.performer, songs.year, songs.album_id AS "albumId",
+          ts_headline('simple', ${escapeHtml("songs.title || ' - ' || songs.performer")}, query, $3)
+            AS highlight,
+          CASE WHEN to_tsvector('simple', COALESCE(songs.lyrics, '')) @@ query
+            THEN ts_headline('simple', ${escapeHtml('songs.lyrics')}, query, $4) END AS "lyricsSnippet",
+          GREATEST(
+            ts_rank(songs.search_vector, query),
+            word_similarity($1, songs.title),
+            word_similarity($1, songs.performer) * 0.8
+          ) AS score
+          FROM songs, websearch_to_tsquery('simple', $1) AS query
+          WHERE songs.search_vector @@ query OR $1 <% songs.title OR $1 <% songs.performer
+          ORDER BY score DESC, songs.title, songs.id
+          LIMIT $2`,
+          values: [q, limit, HEADLINE_OPTIONS, LYRICS_HEADLINE_OPTIONS],
+        });
+
+        results.songs = songsResult.rows;
+      }
+
+      if (types.includes('albums')) {
+        const albumsResult = await client.query({
+          text: `SELECT albums.id, albums.name, albums.year,
+          ts_headline('simple', ${escapeHtml('albums.name')}, query, $3) AS highlight,
+          GREATEST(ts_rank(albums.search_vector, query), word_similarity($1, albums.name)) AS score
+          FROM albums, websearch_to_tsquery('simple', $1) AS query
+          WHERE albums.search_vector @@ query OR $1 <% albums.name
+          ORDER BY score DESC, albums.name, albums.id
+          LIMIT $2`,
+          values: [q, limit, HEADLINE_OPTIONS],
+        });
+
+        results.albums = albumsResult.rows;
+      }
+
+      if (types.includes('artists')) {
+        const artistsResult = await client.query({
+          text: `SELECT artists.id, artists.name,
+          ts_headline('simple', ${escapeHtml('artists.name')}, query, $3) AS highlight,
+          GREATEST(ts_rank(artists.search_vector, query), word_similarity($1, artists.name)) AS score
+          FROM artists, websearch_to_tsquery('simple', $1) AS query
+          WHERE artists.search_vector @@ query OR $1 <% artists.name
+          ORDER BY score DESC, artists.name, artists.id
+          LIMIT $2`,
+          values: [q, limit, HEADLINE_OPTIONS],
+        });
+
+        results.artists = artistsResult.rows;
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return results;
+  }
+}
+
+module.exports = SearchService;
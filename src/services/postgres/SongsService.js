@@ -3,6 +3,25 @@ const { nanoid } = require('nanoid');
 const InvariantError = require('../../exceptions/InvariantError');
 const NotFoundError = require('../../exceptions/NotFoundError');
 const { mapDBToSongModel, mapDBToSongsModel } = require('../../utils');
+const {
+  parseSort, buildOrderBy, decodeCursor, buildKeysetCondition, buildPage,
+} = require('../../utils/pagination');
+const {
+  linkPrimaryArtists, relinkPrimaryArtist, buildPerformerCondition,
+} = require('../../utils/songArtists');
+
+const SORTABLE_COLUMNS = {
+  title: 'title',
+  year: { column: 'year', type: 'integer' },
+  genre: 'genre',
+  performer: 'performer',
+};
+
+// Only the optional columns can be empty; title, year, genre, and performer are required.
+const FILLABLE_COLUMNS = {
+  duration: 'duration',
+  albumId: 'album_id',
+};
 
 /**
  * Service class to handle all song-related database operations.
@@ -14,7 +33,8 @@ class SongsService {
   }
 
   /**
-   * Creates and adds a new song to the database.
+   * Creates and adds a new song to the database, linking it to the artist named by its
+   * performer as the primary artist, in a single transaction.
    *
    * @param {object} payload - The song data from client request
    * @param {string} payload.title - The title of the song
@@ -23,44 +43,80 @@ class SongsService {
    * @param {string} payload.performer - The performer/artist of the song
    * @param {number} [payload.duration] - The duration of the song in seconds (optional)
    * @param {string} [payload.albumId] - The ID of the album this song belongs to (optional)
+   * @param {string} [payload.lyrics] - The lyrics of the song (optional)
    *
    * @throws {InvariantError} When the song cannot be added to the database
    * @returns {Promise<string>} The generated ID of the newly created song
    */
   async addSong({
-    title, year, genre, performer, duration, albumId,
+    title, year, genre, performer, duration, albumId, lyrics,
   }) {
     const id = `song-${nanoid(16)}`;
+    const client = await this._pool.connect();
 
-    const query = {
-      text: 'INSERT INTO songs VALUES($1, $2, $3, $4, $5, $6, $7) RETURNING id',
-      values: [id, title, year, genre, performer, duration, albumId],
-    };
+    try {
+      await client.query('BEGIN');
 
-    const result = await this._pool.query(query);
+      const result = await client.query({
+        text: `INSERT INTO songs (id, title, year, genre, performer, duration, album_id, lyrics)
+        VALUES($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+        values: [id, title, year, genre, performer, duration, albumId, lyrics],
+      });
 
-    if (!result.rows.length) {
-      throw new InvariantError('Lagu gagal ditambahkan');
+      if (!result.rows.length) {
+        throw new InvariantError('Lagu gagal ditambahkan');
+      }
+
+      await linkPrimaryArtists(client, [{ id, performer }]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
 
-    return result.rows[0].id;
+    return id;
   }
 
   /**
-   * Retrieves songs from the database with optional filtering.
+   * Retrieves a page of songs from the database with optional filtering,
+   * using cursor pagination.
    *
-   * @param {object} filters - The filter criteria
-   * @param {string} [filters.title] - Filter songs by title (case-insensitive partial match)
-   * @param {string} [filters.performer] - Filter songs by performer (case-insensitive partial
-   *                                       match)
+   * @param {object} options - The filter and pagination options
+   * @param {string} [options.title] - Filter songs by title (case-insensitive partial match)
+   * @param {string} [options.performer] - Filter songs by the name of their primary or
+   *                                       featured artists (case-insensitive partial match)
+   * @param {string} [options.genre] - Filter songs by genre (case-insensitive exact match)
+   * @param {string} [options.albumId] - Filter songs by album
+   * @param {number} [options.yearFrom] - Minimum release year (inclusive)
+   * @param {number} [options.yearTo] - Maximum release year (inclusive)
+   * @param {number} [options.durationMin] - Minimum duration in seconds (inclusive)
+   * @param {number} [options.durationMax] - Maximum duration in seconds (inclusive)
+   * @param {number} options.limit - The maximum number of songs to return
+   * @param {string} [options.cursor] - Opaque cursor returned by the previous page
+   * @param {string} [options.sort] - Sort expression, e.g. "year,-title"
    *
-   * @returns {Promise<Array<object>>} Array of songs matching the filter criteria,
-   *                                   each containing id, title, and performer
+   * @throws {InvariantError} When the sort expression or cursor is invalid
+   * @returns {Promise<object>} Object containing:
+   *                           - songs: Array of songs, each containing id, title, and performer
+   *                           - meta: Object containing nextCursor and total
    */
-  async getSongs({ title, performer }) {
-    let query = 'SELECT id, title, performer FROM songs';
+  async getSongs({
+    title,
+    performer,
+    genre,
+    albumId,
+    yearFrom,
+    yearTo,
+    durationMin,
+    durationMax,
+    limit,
+    cursor,
+    sort,
+  }) {
+    const sortFields = parseSort(sort, SORTABLE_COLUMNS);
     const values = [];
-
     const conditions = [];
 
     if (title) {
@@ -69,16 +125,68 @@ class SongsService {
     }
 
     if (performer) {
-      values.push(`%${performer}%`);
-      conditions.push(`LOWER(performer) LIKE LOWER($${values.length})`);
+      conditions.push(buildPerformerCondition(performer, values));
+    }
+
+    if (genre) {
+      values.push(genre);
+      conditions.push(`LOWER(genre) = LOWER($${values.length})`);
+    }
+
+    if (albumId) {
+      values.push(albumId);
+      conditions.push(`album_id = $${values.length}`);
+    }
+
+    if (yearFrom !== undefined) {
+      values.push(yearFrom);
+      conditions.push(`year >= $${values.length}`);
+    }
+
+    if (yearTo !== undefined) {
+      values.push(yearTo);
+      conditions.push(`year <= $${values.length}`);
+    }
+
+    if (durationMin !== undefined) {
+      values.push(durationMin);
+      conditions.push(`duration >= $${values.length}`);
+    }
+
+    if (durationMax !== undefined) {
+      values.push(durationMax);
+      conditions.push(`duration <= $${values.length}`);
+    }
+
+    const countWhere = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    const countResult = await this._pool.query(
+      `SELECT COUNT(*) AS total FROM songs${countWhere}`,
+      values,
+    );
+
+    if (cursor) {
+      conditions.push(buildKeysetCondition(sortFields, decodeCursor(cursor, sortFields), values));
     }
 
+    let query = 'SELECT id, title, year, genre, performer FROM songs';
+
     if (conditions.length > 0) {
       query += ` WHERE ${conditions.join(' AND ')}`;
     }
 
+    values.push(limit + 1);
+    query += ` ${buildOrderBy(sortFields)} LIMIT $${values.length}`;
+
     const result = await this._pool.query(query, values);
-    return result.rows.map(mapDBToSongsModel);
+    const { items, nextCursor } = buildPage(result.rows, limit, sortFields);
+
+    return {
+      songs: items.map(mapDBToSongsModel),
+      meta: {
+        nextCursor,
+        total: Number(countResult.rows[0].total),
+      },
+    };
   }
 
   /**
@@ -127,7 +235,8 @@ class SongsService {
   }
 
   /**
-   * Updates an existing song's information in the database.
+   * Updates an existing song's information in the database. When the performer changes,
+   * the primary artist link follows it, in the same transaction.
    *
    * @param {string} id - The unique identifier of the song to update
    * @param {object} payload - The updated song data
@@ -137,23 +246,39 @@ class SongsService {
    * @param {string} payload.genre - The new genre
    * @param {number} [payload.duration] - The new duration in seconds
    * @param {string} [payload.albumId] - The new album ID
+   * @param {string} [payload.lyrics] - The new lyrics
    *
    * @throws {NotFoundError} When no song is found with the given ID
    * @returns {Promise<void>}
    */
   async editSongById(id, {
-    title, year, performer, genre, duration, albumId,
+    title, year, performer, genre, duration, albumId, lyrics,
   }) {
     const updatedAt = new Date().toISOString();
-    const query = {
-      text: 'UPDATE songs SET title = $1, year = $2, performer = $3, genre = $4, duration = $5, album_id = $6, updated_at = $7 WHERE id = $8 RETURNING id',
-      values: [title, year, performer, genre, duration, albumId, updatedAt, id],
-    };
+    const client = await this._pool.connect();
 
-    const result = await this._pool.query(query);
+    try {
+      await client.query('BEGIN');
 
-    if (!result.rows.length) {
-      throw new NotFoundError('Gagal memperbarui lagu. Id tidak ditemukan');
+      const result = await client.query({
+        text: `UPDATE songs SET title = $1, year = $2, performer = $3, genre = $4, duration = $5,
+        album_id = $6, lyrics = $7, updated_at = $8
+        FROM (SELECT performer AS previous_performer FROM songs WHERE id = $9 FOR UPDATE) AS previous
+        WHERE songs.id = $9 RETURNING previous.previous_performer`,
+        values: [title, year, performer, genre, duration, albumId, lyrics, updatedAt, id],
+      });
+
+      if (!result.rows.length) {
+        throw new NotFoundError('Gagal memperbarui lagu. Id tidak ditemukan');
+      }
+
+      await relinkPrimaryArtist(client, id, result.rows[0].previous_performer, performer);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
   }
 
@@ -163,11 +288,12 @@ class SongsService {
    * @param {string} id - The unique identifier of the song to delete
    *
    * @throws {NotFoundError} When no song is found with the given ID
-   * @returns {Promise<void>}
+   * @returns {Promise<string|null>} The filename of the song's stored audio, if any,
+   *                                 so that the caller can remove it from storage
    */
   async deleteSongById(id) {
     const query = {
-      text: 'DELETE FROM songs WHERE id = $1 RETURNING id',
+      text: 'DELETE FROM songs WHERE id = $1 RETURNING id, audio',
       values: [id],
     };
 
@@ -176,6 +302,112 @@ class SongsService {
     if (!result.rows.length) {
       throw new NotFoundError('Gagal dihapus. Id tidak ditemukan');
     }
+
+    return result.rows[0].audio;
+  }
+
+  /**
+   * Stores the audio file reference of a song.
+   *
+   * @param {string} id - The unique identifier of the song
+   * @param {object} audio - The stored audio data
+   * @param {string} audio.filename - The filename of the audio in storage
+   * @param {string} audio.contentType - The MIME type of the audio
+   *
+   * @throws {NotFoundError} When no song is found with the given ID
+   * @returns {Promise<string|null>} The filename of the audio that was replaced, if any
+   */
+  async editSongAudioById(id, { filename, contentType }) {
+    const query = {
+      text: `UPDATE songs SET audio = $1, audio_type = $2, updated_at = $3
+      FROM (SELECT audio AS previous_audio FROM songs WHERE id = $4 FOR UPDATE) AS previous
+      WHERE songs.id = $4 RETURNING previous.previous_audio`,
+      values: [filename, contentType, new Date().toISOString(), id],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Gagal mengunggah audio. Id tidak ditemukan');
+    }
+
+    return result.rows[0].previous_audio;
+  }
+
+  /**
+   * Fills the optional fields of a song that are empty with the given metadata.
+   * Fields that already have a value are never overwritten.
+   *
+   * @param {string} id - The unique identifier of the song
+   * @param {object} metadata - Candidate values keyed by song model field
+   *                            (duration, albumId)
+   *
+   * @throws {NotFoundError} When no song is found with the given ID
+   * @returns {Promise<Array<string>>} The names of the fields that were filled
+   */
+  async fillMissingSongMetadataById(id, metadata) {
+    const result = await this._pool.query({
+      text: 'SELECT * FROM songs WHERE id = $1',
+      values: [id],
+    });
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Lagu tidak ditemukan');
+    }
+
+    const song = result.rows[0];
+    const filled = Object.keys(FILLABLE_COLUMNS).filter((field) => {
+      const current = song[FILLABLE_COLUMNS[field]];
+      const candidate = metadata[field];
+
+      return current === null && candidate !== null && candidate !== undefined;
+    });
+
+    if (!filled.length) {
+      return filled;
+    }
+
+    const values = filled.map((field) => metadata[field]);
+    const assignments = filled.map((field, index) => `${FILLABLE_COLUMNS[field]} = $${index + 1}`);
+
+    values.push(new Date().toISOString(), id);
+
+    await this._pool.query({
+      text: `UPDATE songs SET ${assignments.join(', ')}, updated_at = $${values.length - 1} WHERE id = $${values.length}`,
+      values,
+    });
+
+    return filled;
+  }
+
+  /**
+   * Retrieves the stored audio reference of a song.
+   *
+   * @param {string} id - The unique identifier of the song
+   *
+   * @throws {NotFoundError} When the song does not exist or has no audio
+   * @returns {Promise<object>} Object containing filename and contentType
+   */
+  async getSongAudioById(id) {
+    const query = {
+      text: 'SELECT audio, audio_type FROM songs WHERE id = $1',
+      values: [id],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Lagu tidak ditemukan');
+    }
+
+    if (!result.rows[0].audio) {
+      throw new NotFoundError('Audio lagu tidak ditemukan');
+    }
+
+    return {
+      filename: result.rows[0].audio,
+      contentType: result.rows[0].audio_type,
+    };
   }
 
   /**
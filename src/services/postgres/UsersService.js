@@ -73,11 +73,11 @@ class UsersService {
    * @param {string} id - The unique identifier of the user
    *
    * @throws {NotFoundError} When no user is found with the given ID
-   * @returns {Promise<object>} The user data (id, username, fullname)
+   * @returns {Promise<object>} The user data (id, username, fullname, bio, avatarUrl)
    */
   async getUserById(id) {
     const query = {
-      text: 'SELECT id, username, fullname FROM users WHERE id = $1',
+      text: 'SELECT id, username, fullname, bio, avatar AS "avatarUrl" FROM users WHERE id = $1',
       values: [id],
     };
 
@@ -90,6 +90,95 @@ class UsersService {
     return result.rows[0];
   }
 
+  /**
+   * Updates the profile of a user.
+   *
+   * @param {string} id - The unique identifier of the user
+   * @param {object} payload - The profile data from client request
+   * @param {string} payload.fullname - The new full name of the user
+   * @param {string|null} [payload.bio] - The new bio of the user
+   *
+   * @throws {NotFoundError} When no user is found with the given ID
+   * @returns {Promise<void>}
+   */
+  async editUserProfile(id, { fullname, bio = null }) {
+    const query = {
+      text: 'UPDATE users SET fullname = $1, bio = $2 WHERE id = $3 RETURNING id',
+      values: [fullname, bio || null, id],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Gagal memperbarui profil. User tidak ditemukan');
+    }
+  }
+
+  /**
+   * Sets the avatar URL of a user.
+   *
+   * @param {string} id - The unique identifier of the user
+   * @param {string} url - The URL of the avatar image
+   *
+   * @throws {NotFoundError} When no user is found with the given ID
+   * @returns {Promise<string|null>} The URL of the previous avatar, if any
+   */
+  async editUserAvatar(id, url) {
+    const query = {
+      text: `UPDATE users SET avatar = $1
+      FROM (SELECT avatar FROM users WHERE id = $2 FOR UPDATE) AS previous
+      WHERE users.id = $2
+      RETURNING previous.avatar`,
+      values: [url, id],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Gagal mengunggah avatar. User tidak ditemukan');
+    }
+
+    return result.rows[0].avatar;
+  }
+
+  /**
+   * Changes the password of a user after checking their current password.
+   *
+   * @param {string} id - The unique identifier of the user
+   * @param {string} currentPassword - The current password of the user
+   * @param {string} newPassword - The new password (will be hashed)
+   *
+   * @throws {NotFoundError} When no user is found with the given ID
+   * @throws {InvariantError} When the current password is wrong, or the new password
+   *                          is the same as the current one
+   * @returns {Promise<void>}
+   */
+  async changeUserPassword(id, currentPassword, newPassword) {
+    const result = await this._pool.query({
+      text: 'SELECT password FROM users WHERE id = $1',
+      values: [id],
+    });
+
+    if (!result.rows.length) {
+      throw new NotFoundError('User tidak ditemukan');
+    }
+
+    const { password: hashedPassword } = result.rows[0];
+
+    if (!await bcrypt.compare(currentPassword, hashedPassword)) {
+      throw new InvariantError('Password saat ini salah');
+    }
+
+    if (currentPassword === newPassword) {
+      throw new InvariantError('Password baru harus berbeda dari password saat ini');
+    }
+
+    await this._pool.query({
+      text: 'UPDATE users SET password = $1 WHERE id = $2',
+      values: [await bcrypt.hash(newPassword, 10), id],
+    });
+  }
+
   /**
    * Verifies user credentials for authentication.
    *
@@ -120,6 +209,80 @@ class UsersService {
 
     return id;
   }
+
+  /**
+   * Retrieves the roles granted to a user.
+   *
+   * @param {string} id - The unique identifier of the user
+   *
+   * @throws {NotFoundError} When no user is found with the given ID
+   * @returns {Promise<Array<string>>} The roles of the user
+   */
+  async getUserRoles(id) {
+    const query = {
+      text: 'SELECT roles FROM users WHERE id = $1',
+      values: [id],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('User tidak ditemukan');
+    }
+
+    return result.rows[0].roles;
+  }
+
+  /**
+   * Grants a role to a user. Granting a role the user already has is a no-op.
+   *
+   * @param {string} id - The unique identifier of the user
+   * @param {string} role - The role to grant
+   *
+   * @throws {NotFoundError} When no user is found with the given ID
+   * @returns {Promise<Array<string>>} The updated roles of the user
+   */
+  async addRoleToUser(id, role) {
+    const query = {
+      text: `UPDATE users SET roles = CASE WHEN $1::TEXT = ANY(roles) THEN roles ELSE array_append(roles, $1::TEXT) END
+      WHERE id = $2 RETURNING roles`,
+      values: [role, id],
+    };
+
+    const result = await this._pool.query(query);
+
+    if (!result.rows.length) {
+      throw new NotFoundError('Gagal menambahkan role. User tidak ditemukan');
+    }
+
+    return result.rows[0].roles;
+  }
+
+  /**
+   * Revokes a role from a user.
+   *
+   * @param {string} id - The unique identifier of the user
+   * @param {string} role - The role to revoke
+   *
+   * @throws {NotFoundError} When no user is found with the given ID
+   * @throws {InvariantError} When the user does not have the role
+   * @returns {Promise<Array<string>>} The updated roles of the user
+   */
+  async deleteRoleFromUser(id, role) {
+    const roles = await this.getUserRoles(id);
+
+    if (!roles.includes(role)) {
+      throw new InvariantError('Gagal menghapus role. User tidak memiliki role tersebut');
+    }
+
+    const query = {
+      text: 'UPDATE users SET roles = array_remove(roles, $1) WHERE id = $2 RETURNING roles',
+      values: [role, id],
+    };
+
+    const result = await this._pool.query(query);
+    return result.rows[0].roles;
+  }
 }
 
 module.exports = UsersService;
@@ -1,4 +1,5 @@
 const fs = require('fs');
+const path = require('path');
 
 class StorageService {
   constructor(folder) {
@@ -9,18 +10,26 @@ class StorageService {
     }
   }
 
+  get folder() {
+    return this._folder;
+  }
+
   writeFile(file, meta) {
-    const filename = +new Date() + meta.filename;
-    const path = `${this._folder}/${filename}`;
+    const filename = +new Date() + path.basename(meta.filename);
+    const filePath = `${this._folder}/${filename}`;
 
-    const fileStream = fs.createWriteStream(path);
+    const fileStream = fs.createWriteStream(filePath);
 
     return new Promise((resolve, reject) => {
       fileStream.on('error', (error) => reject(error));
+      fileStream.on('finish', () => resolve(filename));
       file.pipe(fileStream);
-      file.on('end', () => resolve(filename));
     });
   }
+
+  deleteFile(filename) {
+    return fs.promises.rm(`${this._folder}/${path.basename(filename)}`, { force: true });
+  }
 }
 
 module.exports = StorageService;
@@ -1,10 +1,15 @@
 const Jwt = require('@hapi/jwt');
+const { nanoid } = require('nanoid');
 const config = require('../utils/config');
 const InvariantError = require('../exceptions/InvariantError');
 
 const TokenManager = {
   generateAccessToken: (payload) => Jwt.token.generate(payload, config.jwt.accessKey),
-  generateRefreshToken: (payload) => Jwt.token.generate(payload, config.jwt.refreshKey),
+  // The random jti keeps refresh tokens issued within the same second distinct.
+  generateRefreshToken: (payload) => Jwt.token.generate(
+    { ...payload, jti: nanoid(16) },
+    config.jwt.refreshKey,
+  ),
   verifyRefreshToken: (refreshToken) => {
     try {
       const artifacts = Jwt.token.decode(refreshToken);
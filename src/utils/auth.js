@@ -0,0 +1,82 @@
+const NotFoundError = require('../exceptions/NotFoundError');
+
+const AUTH_STRATEGY = 'openmusic-app_jwt';
+
+const ROLES = {
+  LISTENER: 'listener',
+  CURATOR: 'curator',
+  ADMIN: 'admin',
+};
+
+const COLLABORATOR_ROLES = {
+  VIEWER: 'viewer',
+  EDITOR: 'editor',
+  ADMIN: 'admin',
+};
+
+const COLLABORATOR_ROLE_RANKS = [
+  COLLABORATOR_ROLES.VIEWER,
+  COLLABORATOR_ROLES.EDITOR,
+  COLLABORATOR_ROLES.ADMIN,
+];
+
+/**
+ * Builds a route-level auth configuration that only lets through authenticated users
+ * holding at least one of the given roles. Roles are exposed to Hapi as the credentials
+ * scope, so a missing role results in a 403 response.
+ *
+ * @param {...string} roles - The roles allowed to access the route
+ * @returns {Object} Hapi route auth configuration
+ */
+const requireRoles = (...roles) => ({
+  strategy: AUTH_STRATEGY,
+  scope: roles,
+});
+
+/**
+ * Builds an onCredentials extension that replaces the roles carried by the access token
+ * with the roles currently stored for the user, on routes restricted by requireRoles.
+ * A revoked role therefore stops working immediately instead of when the token expires.
+ *
+ * @param {Object} usersService - The user service used to read the current roles
+ * @returns {Function} Hapi extension method
+ */
+const verifyRolesFromDatabase = (usersService) => async (request, h) => {
+  const { auth } = request.route.settings;
+
+  if (auth && auth.access && auth.access.some((access) => access.scope)) {
+    try {
+      request.auth.credentials.scope = await usersService.getUserRoles(
+        request.auth.credentials.id,
+      );
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) {
+        throw error;
+      }
+
+      request.auth.credentials.scope = [];
+    }
+  }
+
+  return h.continue;
+};
+
+/**
+ * Checks whether a playlist collaborator role grants the permissions of another role.
+ * Roles are ordered viewer < editor < admin, and each role includes the ones below it.
+ *
+ * @param {string} role - The role held by the collaborator
+ * @param {string} requiredRole - The minimum role required
+ * @returns {boolean} Whether the role is at least the required role
+ */
+const hasCollaboratorRole = (role, requiredRole) => COLLABORATOR_ROLE_RANKS.indexOf(role)
+  >= COLLABORATOR_ROLE_RANKS.indexOf(requiredRole);
+
+module.exports = {
+  AUTH_STRATEGY,
+  ROLES,
+  COLLABORATOR_ROLES,
+  requireRoles,
+  verifyRolesFromDatabase,
+  hasCollaboratorRole,
+};
@@ -0,0 +1,104 @@
+const { promisify } = require('util');
+const { parse } = require('csv-parse');
+const InvariantError = require('../exceptions/InvariantError');
+
+const parseCsvContent = promisify(parse);
+
+const NUMERIC_FIELDS = ['year', 'duration'];
+
+/**
+ * Removes empty CSV cells and converts numeric cells, so that CSV rows
+ * look like the JSON payloads accepted by the album and song schemas.
+ *
+ * @param {object} record - A CSV record keyed by column name
+ * @returns {object} The normalized record
+ */
+const normalizeCsvRecord = (record) => Object.entries(record).reduce((row, [key, value]) => {
+  const trimmed = value.trim();
+
+  if (trimmed === '') {
+    return row;
+  }
+
+  return {
+    ...row,
+    [key]: NUMERIC_FIELDS.includes(key) && !Number.isNaN(Number(trimmed))
+      ? Number(trimmed)
+      : trimmed,
+  };
+}, {});
+
+/**
+ * Parses a CSV catalog file. Every record needs a `type` column set to `album` or `song`;
+ * the remaining columns are the album or song fields.
+ *
+ * @param {string} content - The file content
+ * @returns {Promise<Array<object>>} Rows, each containing line, type, and data
+ */
+const parseCsv = async (content) => {
+  let records;
+
+  try {
+    records = await parseCsvContent(content, {
+      columns: (header) => header.map((column) => column.trim()),
+      skip_empty_lines: true,
+      bom: true,
+      info: true,
+    });
+  } catch (error) {
+    throw new InvariantError(`Berkas CSV tidak valid: ${error.message}`);
+  }
+
+  return records.map(({ record, info }) => {
+    const { type, ...data } = normalizeCsvRecord(record);
+    return { line: info.lines, type, data };
+  });
+};
+
+/**
+ * Parses a JSON catalog file of the form `{ "albums": [...], "songs": [...] }`.
+ *
+ * @param {string} content - The file content
+ * @returns {Array<object>} Rows, each containing line (1-based index within its list),
+ *                          type, and data
+ */
+const parseJson = (content) => {
+  let catalog;
+
+  try {
+    catalog = JSON.parse(content);
+  } catch (error) {
+    throw new InvariantError(`Berkas JSON tidak valid: ${error.message}`);
+  }
+
+  if (!catalog || typeof catalog !== 'object' || Array.isArray(catalog)) {
+    throw new InvariantError('Berkas JSON harus berupa objek dengan properti albums dan/atau songs');
+  }
+
+  const { albums = [], songs = [] } = catalog;
+
+  if (!Array.isArray(albums) || !Array.isArray(songs)) {
+    throw new InvariantError('Properti albums dan songs harus berupa array');
+  }
+
+  return [
+    ...albums.map((data, index) => ({ line: index + 1, type: 'album', data })),
+    ...songs.map((data, index) => ({ line: index + 1, type: 'song', data })),
+  ];
+};
+
+/**
+ * Parses an uploaded catalog file into album and song rows.
+ *
+ * @param {Buffer} buffer - The file content
+ * @param {string} format - Either 'csv' or 'json'
+ *
+ * @throws {InvariantError} When the file cannot be parsed
+ * @returns {Promise<Array<object>>} Rows, each containing line, type, and data
+ */
+const parseCatalogFile = async (buffer, format) => {
+  const content = buffer.toString('utf8');
+  return format === 'csv' ? parseCsv(content) : parseJson(content);
+};
+
+module.exports = { parseCatalogFile };
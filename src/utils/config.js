@@ -2,6 +2,8 @@ const config = {
   server: {
     host: process.env.HOST,
     port: process.env.PORT,
+    publicUrl: (process.env.PUBLIC_URL || `http://${process.env.HOST}:${process.env.PORT}`)
+      .replace(/\/+$/, ''),
   },
   jwt: {
     accessKey: process.env.ACCESS_TOKEN_KEY,
@@ -11,6 +13,9 @@ const config = {
   mq: {
     server: process.env.RABBITMQ_SERVER,
   },
+  collaboration: {
+    invitationAge: process.env.INVITATION_AGE || 7 * 24 * 60 * 60,
+  },
   redis: {
     host: process.env.REDIS_SERVER,
   },
@@ -21,7 +21,8 @@ const mapDBToSongModel = ({
   genre,
   performer,
   duration,
-  albumId,
+  album_id: albumId,
+  lyrics,
 }) => ({
   id,
   title,
@@ -30,6 +31,7 @@ const mapDBToSongModel = ({
   performer,
   duration,
   albumId,
+  lyrics,
 });
 
 module.exports = { mapDBtoAlbumModel, mapDBToSongsModel, mapDBToSongModel };
@@ -0,0 +1,189 @@
+const InvariantError = require('../exceptions/InvariantError');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Checks that a cursor value has the type of its sort column, so that a crafted cursor
+ * is rejected before it reaches the query. Null is accepted for nullable columns.
+ *
+ * @param {*} value - A value decoded from a cursor
+ * @param {string} type - The column type: 'text', 'integer', or 'timestamp'
+ * @returns {boolean} Whether the value can be compared with the column
+ */
+const isCursorValue = (value, type) => {
+  if (value === null) {
+    return true;
+  }
+
+  switch (type) {
+    case 'integer':
+      return Number.isSafeInteger(value) || (typeof value === 'string' && /^-?\d{1,18}$/.test(value));
+    case 'timestamp':
+      return typeof value === 'string'
+        && ISO_TIMESTAMP_PATTERN.test(value)
+        && !Number.isNaN(Date.parse(value));
+    default:
+      return typeof value === 'string';
+  }
+};
+
+/**
+ * Parses a sort expression such as "year,-name" into an ordered list of sort fields.
+ * A leading "-" means descending order. A unique column, the primary key by default,
+ * is always appended as the final tie-breaker so that the ordering is total and
+ * therefore stable across pages.
+ *
+ * @param {string} [sort] - Comma separated list of sort keys
+ * @param {object} sortableColumns - Map of public sort keys to database columns, either
+ *                                   as a column name (a text column) or as an object
+ *                                   containing column and type
+ * @param {object} [tieBreaker] - The unique sort field, containing key, column, and type
+ *
+ * @throws {InvariantError} When a sort key is not supported
+ * @returns {Array<object>} Sort fields, each containing key, column, type, and direction
+ */
+const parseSort = (sort, sortableColumns, tieBreaker = { key: 'id', column: 'id', type: 'text' }) => {
+  const keys = sort ? sort.split(',') : [];
+
+  const fields = keys.map((rawKey) => {
+    const descending = rawKey.startsWith('-');
+    const key = descending ? rawKey.slice(1) : rawKey;
+
+    if (!Object.prototype.hasOwnProperty.call(sortableColumns, key)) {
+      throw new InvariantError(`Tidak dapat mengurutkan berdasarkan ${key}`);
+    }
+
+    const definition = sortableColumns[key];
+    const { column, type = 'text' } = typeof definition === 'string'
+      ? { column: definition }
+      : definition;
+
+    return {
+      key, column, type, direction: descending ? 'DESC' : 'ASC',
+    };
+  });
+
+  fields.push({ ...tieBreaker, direction: 'ASC' });
+
+  return fields;
+};
+
+/**
+ * Serializes sort fields back into the canonical sort expression.
+ *
+ * @param {Array<object>} sortFields - Sort fields produced by parseSort
+ * @returns {string} The canonical sort expression
+ */
+const stringifySort = (sortFields) => sortFields
+  .map(({ key, direction }) => (direction === 'DESC' ? `-${key}` : key))
+  .join(',');
+
+/**
+ * Builds the ORDER BY clause for the given sort fields.
+ *
+ * @param {Array<object>} sortFields - Sort fields produced by parseSort
+ * @returns {string} ORDER BY clause
+ */
+const buildOrderBy = (sortFields) => `ORDER BY ${sortFields
+  .map(({ column, direction }) => `${column} ${direction}`)
+  .join(', ')}`;
+
+/**
+ * Encodes the position of a row into an opaque cursor.
+ *
+ * @param {object} row - The last row of the current page, containing every sort key
+ * @param {Array<object>} sortFields - Sort fields produced by parseSort
+ * @returns {string} Base64url encoded cursor
+ */
+const encodeCursor = (row, sortFields) => Buffer.from(JSON.stringify({
+  sort: stringifySort(sortFields),
+  values: sortFields.map(({ key }) => row[key]),
+})).toString('base64url');
+
+/**
+ * Decodes an opaque cursor and checks that it was issued for the same sort order and
+ * that every value has the type of its sort column.
+ *
+ * @param {string} cursor - Cursor received from the client
+ * @param {Array<object>} sortFields - Sort fields produced by parseSort
+ *
+ * @throws {InvariantError} When the cursor is malformed or was issued for another sort order
+ * @returns {Array<*>} The sort values of the row the cursor points to
+ */
+const decodeCursor = (cursor, sortFields) => {
+  let decoded;
+
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new InvariantError('Cursor tidak valid');
+  }
+
+  if (
+    !decoded
+    || typeof decoded !== 'object'
+    || decoded.sort !== stringifySort(sortFields)
+    || !Array.isArray(decoded.values)
+    || decoded.values.length !== sortFields.length
+    || !sortFields.every(({ type }, index) => isCursorValue(decoded.values[index], type))
+  ) {
+    throw new InvariantError('Cursor tidak valid');
+  }
+
+  return decoded.values;
+};
+
+/**
+ * Builds a keyset condition selecting the rows that come after the cursor position.
+ * The cursor values are appended to the given values array.
+ *
+ * @param {Array<object>} sortFields - Sort fields produced by parseSort
+ * @param {Array<*>} cursorValues - Values decoded from the cursor
+ * @param {Array<*>} values - Query parameter values to append to
+ * @returns {string} SQL condition
+ */
+const buildKeysetCondition = (sortFields, cursorValues, values) => {
+  const offset = values.length;
+  values.push(...cursorValues);
+
+  const branches = sortFields.map((field, index) => {
+    const equalities = sortFields
+      .slice(0, index)
+      .map(({ column }, previous) => `${column} = $${offset + previous + 1}`);
+    const operator = field.direction === 'DESC' ? '<' : '>';
+
+    return `(${[...equalities, `${field.column} ${operator} $${offset + index + 1}`].join(' AND ')})`;
+  });
+
+  return `(${branches.join(' OR ')})`;
+};
+
+/**
+ * Trims the extra look-ahead row fetched to detect a next page and computes the next cursor.
+ *
+ * @param {Array<object>} rows - Rows fetched with a limit of `limit + 1`
+ * @param {number} limit - Requested page size
+ * @param {Array<object>} sortFields - Sort fields produced by parseSort
+ * @returns {object} Object containing the page rows and nextCursor (null on the last page)
+ */
+const buildPage = (rows, limit, sortFields) => {
+  const items = rows.slice(0, limit);
+  const nextCursor = rows.length > limit
+    ? encodeCursor(items[items.length - 1], sortFields)
+    : null;
+
+  return { items, nextCursor };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseSort,
+  buildOrderBy,
+  decodeCursor,
+  buildKeysetCondition,
+  buildPage,
+};
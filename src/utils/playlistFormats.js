@@ -0,0 +1,385 @@
+const InvariantError = require('../exceptions/InvariantError');
+const config = require('./config');
+
+const PLAYLIST_FORMATS = {
+  m3u8: { contentType: 'audio/x-mpegurl; charset=utf-8', extension: 'm3u8' },
+  xspf: { contentType: 'application/xspf+xml; charset=utf-8', extension: 'xspf' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+};
+
+const STREAM_URL_PATTERN = /\/songs\/([^/?#]+)\/stream/;
+
+// The Char production of XML 1.0: every other code point is forbidden in a document.
+const XML_CHAR_RANGES = [
+  [0x9, 0xA],
+  [0xD, 0xD],
+  [0x20, 0xD7FF],
+  [0xE000, 0xFFFD],
+  [0x10000, 0x10FFFF],
+];
+
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+};
+
+const CSV_COLUMNS = ['position', 'id', 'title', 'performer', 'album', 'year', 'genre', 'duration'];
+
+/**
+ * Builds the streaming URL of a song.
+ *
+ * @param {string} songId - The ID of the song
+ * @returns {string} The URL of the song's audio stream
+ */
+const buildStreamUrl = (songId) => `${config.server.publicUrl}/songs/${songId}/stream`;
+
+/**
+ * Escapes text for use inside XML elements.
+ *
+ * @param {*} value - The value to escape
+ * @returns {string} The escaped text
+ */
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Formats a value as a CSV cell, quoting it when it contains a delimiter, quote, or newline.
+ *
+ * @param {*} value - The value to format
+ * @returns {string} The CSV cell
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Flattens text onto a single line, so that values cannot start new M3U directives.
+ *
+ * @param {*} value - The value to flatten
+ * @returns {string} The text with line breaks replaced by spaces
+ */
+const toM3uText = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+const m3u8Chunks = (playlist, songs) => [
+  `#EXTM3U\n#PLAYLIST:${toM3uText(playlist.name)}\n`,
+  ...songs.map((song) => [
+    `#EXTINF:${song.duration ?? -1},${toM3uText(`${song.performer} - ${song.title}`)}\n`,
+    `${buildStreamUrl(song.id)}\n`,
+  ].join('')),
+];
+
+const xspfTrack = (song) => [
+  '    <track>\n',
+  `      <location>${escapeXml(buildStreamUrl(song.id))}</location>\n`,
+  `      <identifier>${escapeXml(song.id)}</identifier>\n`,
+  `      <title>${escapeXml(song.title)}</title>\n`,
+  `      <creator>${escapeXml(song.performer)}</creator>\n`,
+  song.album ? `      <album>${escapeXml(song.album)}</album>\n` : '',
+  song.duration !== null && song.duration !== undefined
+    ? `      <duration>${song.duration * 1000}</duration>\n`
+    : '',
+  '    </track>\n',
+].join('');
+
+const xspfChunks = (playlist, songs) => [
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>\n',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">\n',
+    `  <title>${escapeXml(playlist.name)}</title>\n`,
+    playlist.description ? `  <annotation>${escapeXml(playlist.description)}</annotation>\n` : '',
+    '  <trackList>\n',
+  ].join(''),
+  ...songs.map(xspfTrack),
+  '  </trackList>\n</playlist>\n',
+];
+
+const csvChunks = (playlist, songs) => [
+  `${CSV_COLUMNS.join(',')}\r\n`,
+  ...songs.map((song) => `${CSV_COLUMNS.map((column) => toCsvCell(song[column])).join(',')}\r\n`),
+];
+
+const jsonChunks = (playlist, songs) => [
+  `{"playlist":${JSON.stringify({
+    id: playlist.id,
+    name: playlist.name,
+    description: playlist.description,
+    username: playlist.username,
+  }).slice(0, -1)},"songs":[`,
+  ...songs.map((song, index) => `${index ? ',' : ''}${JSON.stringify(song)}`),
+  ']}}\n',
+];
+
+/**
+ * Replaces XML entities and character references with the characters they stand for.
+ *
+ * @param {string} text - The escaped text
+ *
+ * @throws {InvariantError} When a character reference is not a character allowed in XML
+ * @returns {string} The unescaped text
+ */
+const unescapeXml = (text) => text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+  if (name[0] === '#') {
+    const codePoint = name[1].toLowerCase() === 'x'
+      ? parseInt(name.slice(2), 16)
+      : Number(name.slice(1));
+
+    if (!XML_CHAR_RANGES.some(([min, max]) => codePoint >= min && codePoint <= max)) {
+      throw new InvariantError(`Berkas XSPF tidak valid: referensi karakter ${entity} tidak dikenal`);
+    }
+
+    return String.fromCodePoint(codePoint);
+  }
+
+  return XML_ENTITIES[name] ?? entity;
+});
+
+/**
+ * Builds an imported entry from an "performer - title" label, as written by most players
+ * in M3U files. Labels without a separator are taken as the title alone.
+ *
+ * @param {string} label - The entry label
+ * @returns {object} Object containing title and performer
+ */
+const splitLabel = (label) => {
+  const separator = label.indexOf(' - ');
+
+  if (separator === -1) {
+    return { title: label.trim(), performer: null };
+  }
+
+  return {
+    title: label.slice(separator + 3).trim(),
+    performer: label.slice(0, separator).trim(),
+  };
+};
+
+/**
+ * Takes the file name of a location without its extension, e.g. "Artist - Title" from
+ * "/music/Artist%20-%20Title.mp3".
+ *
+ * @param {string} location - The entry location
+ * @returns {string} The decoded file name
+ */
+const basenameOf = (location) => {
+  const basename = location.split(/[\\/]/).pop().replace(/\.[^.]*$/, '');
+
+  try {
+    return decodeURIComponent(basename);
+  } catch (error) {
+    return basename;
+  }
+};
+
+/**
+ * Reads the song ID from a location pointing to this API's song stream endpoint.
+ *
+ * @param {string} [location] - The entry location
+ * @returns {string|null} The song ID, or null for any other location
+ */
+const songIdFromLocation = (location) => {
+  const match = STREAM_URL_PATTERN.exec(location || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Parses an M3U or M3U8 playlist. Entries are labelled by their #EXTINF line, or by
+ * the file name of their location when the line is missing.
+ *
+ * @param {string} content - The file content
+ * @returns {object} Object containing the playlist name and its entries
+ */
+const parseM3u = (content) => {
+  const entries = [];
+  let name = null;
+  let label = null;
+
+  content.split(/\r?\n/).map((line) => line.trim()).forEach((line) => {
+    if (!line || line === '#EXTM3U') {
+      return;
+    }
+
+    if (line.startsWith('#PLAYLIST:')) {
+      name = line.slice('#PLAYLIST:'.length).trim() || null;
+    } else if (line.startsWith('#EXTINF:')) {
+      const comma = line.indexOf(',');
+      label = comma === -1 ? null : line.slice(comma + 1);
+    } else if (!line.startsWith('#')) {
+      entries.push({
+        ...splitLabel(label || basenameOf(line)),
+        songId: songIdFromLocation(line),
+      });
+      label = null;
+    }
+  });
+
+  return { name, entries };
+};
+
+/**
+ * Parses an XSPF playlist. Only the track elements needed for matching are read:
+ * title, creator, location, and identifier.
+ *
+ * @param {string} content - The file content
+ *
+ * @throws {InvariantError} When the file is not an XSPF playlist
+ * @returns {object} Object containing the playlist name and its entries
+ */
+const parseXspf = (content) => {
+  if (!/<playlist[\s>]/.test(content)) {
+    throw new InvariantError('Berkas XSPF tidak valid: elemen playlist tidak ditemukan');
+  }
+
+  const readElement = (xml, element) => {
+    const match = new RegExp(`<${element}(?:\\s[^>]*)?>([\\s\\S]*?)</${element}>`).exec(xml);
+    return match ? unescapeXml(match[1].trim()) : null;
+  };
+
+  const xml = content.replace(/<!--[\s\S]*?-->/g, '');
+  const header = xml.split(/<trackList[\s>]/)[0];
+  const tracks = xml.match(/<track[\s>][\s\S]*?<\/track>/g) || [];
+
+  return {
+    name: readElement(header, 'title'),
+    entries: tracks.map((track) => {
+      const title = readElement(track, 'title');
+      const location = readElement(track, 'location');
+      const identifier = readElement(track, 'identifier');
+
+      return {
+        ...(title
+          ? { title, performer: readElement(track, 'creator') }
+          : splitLabel(basenameOf(location || ''))),
+        songId: songIdFromLocation(location) || songIdFromLocation(identifier) || identifier,
+      };
+    }),
+  };
+};
+
+/**
+ * Parses a JSON playlist, either as written by the playlist export
+ * (`{ "playlist": { "name": ..., "songs": [...] } }`), as `{ "name": ..., "songs": [...] }`,
+ * or as a bare array of songs. Songs are read by id, title, and performer.
+ *
+ * @param {string} content - The file content
+ *
+ * @throws {InvariantError} When the file is not a JSON playlist
+ * @returns {object} Object containing the playlist name and its entries
+ */
+const parseJson = (content) => {
+  let document;
+
+  try {
+    document = JSON.parse(content);
+  } catch (error) {
+    throw new InvariantError(`Berkas JSON tidak valid: ${error.message}`);
+  }
+
+  const playlist = Array.isArray(document) ? { songs: document } : (document?.playlist || document);
+
+  if (!playlist || typeof playlist !== 'object' || !Array.isArray(playlist.songs)) {
+    throw new InvariantError('Berkas JSON harus berisi array songs');
+  }
+
+  // Postgres text cannot hold NUL, which JSON allows as "\u0000".
+  const readString = (value) => (typeof value === 'string' ? value.replace(/\0/g, '') : null);
+
+  return {
+    name: readString(playlist.name),
+    entries: playlist.songs.map((song) => ({
+      title: readString(song?.title)?.trim() ?? '',
+      performer: readString(song?.performer)?.trim() ?? null,
+      songId: readString(song?.id),
+    })),
+  };
+};
+
+const PARSERS = {
+  m3u: parseM3u,
+  m3u8: parseM3u,
+  xspf: parseXspf,
+  json: parseJson,
+};
+
+/**
+ * Detects the format of an uploaded playlist file from its extension or content type.
+ *
+ * @param {Object} meta - The multipart file metadata
+ * @returns {string|null} Either 'm3u', 'm3u8', 'xspf', 'json', or null when unknown
+ */
+const detectPlaylistFormat = ({ filename = '', headers = {} }) => {
+  const contentType = headers['content-type'] || '';
+  const extension = (/\.(m3u8?|xspf|json)$/i.exec(filename) || [])[1];
+
+  if (extension) {
+    return extension.toLowerCase();
+  }
+
+  if (contentType.includes('mpegurl')) {
+    return 'm3u';
+  }
+
+  if (contentType.includes('xspf')) {
+    return 'xspf';
+  }
+
+  if (contentType.includes('json')) {
+    return 'json';
+  }
+
+  return null;
+};
+
+/**
+ * Parses an uploaded playlist file into the entries to match against the catalog.
+ * NUL characters are dropped, as Postgres text cannot hold them.
+ *
+ * @param {Buffer} buffer - The file content
+ * @param {string} format - One of 'm3u', 'm3u8', 'xspf', or 'json'
+ *
+ * @throws {InvariantError} When the file cannot be parsed
+ * @returns {object} Object containing the playlist name (or null) and its entries,
+ *                   each containing title, performer, and songId (or null)
+ */
+const parsePlaylistFile = (buffer, format) => {
+  const content = buffer.toString('utf8').replace(/^\uFEFF/, '').replace(/\0/g, '');
+  return PARSERS[format](content);
+};
+
+const FORMATTERS = {
+  m3u8: m3u8Chunks,
+  xspf: xspfChunks,
+  csv: csvChunks,
+  json: jsonChunks,
+};
+
+/**
+ * Serializes a playlist in the given format as one chunk per song, so that the result
+ * can be streamed to the client without joining the whole file into one string.
+ *
+ * @param {object} playlist - The playlist, containing id, name, description, and username
+ * @param {Array<object>} songs - The songs in playlist order, each containing id, title,
+ *                                performer, album, year, genre, duration, and position
+ * @param {string} format - One of 'm3u8', 'xspf', 'csv', or 'json'
+ * @returns {Array<string>} The chunks of the serialized playlist
+ */
+const formatPlaylist = (playlist, songs, format) => FORMATTERS[format](playlist, songs);
+
+module.exports = {
+  PLAYLIST_FORMATS,
+  formatPlaylist,
+  detectPlaylistFormat,
+  parsePlaylistFile,
+};
@@ -0,0 +1,110 @@
+const RULE_COLUMNS = {
+  title: 'songs.title',
+  performer: 'songs.performer',
+  genre: 'songs.genre',
+  year: 'songs.year',
+  duration: 'songs.duration',
+  albumId: 'songs.album_id',
+};
+
+const TEXT_FIELDS = ['title', 'performer', 'genre'];
+
+const SORT_COLUMNS = {
+  title: 'songs.title',
+  performer: 'songs.performer',
+  year: 'songs.year',
+};
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Escapes the LIKE wildcards in a value, so that it is matched literally with ESCAPE '\'.
+ *
+ * @param {string} value - The text to look for
+ * @returns {string} The escaped text
+ */
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Builds the SQL condition of a single smart playlist rule condition.
+ * Every value is passed as a query parameter appended to the given values array.
+ *
+ * @param {object} condition - A condition validated by SmartPlaylistRulesSchema
+ * @param {string} userId - The playlist owner, whose album likes are matched
+ * @param {Array<*>} values - Query parameter values to append to
+ * @returns {string} SQL condition
+ */
+const buildRuleCondition = ({ field, operator, value }, userId, values) => {
+  const param = (paramValue) => {
+    values.push(paramValue);
+    return `$${values.length}`;
+  };
+
+  if (field === 'likedAlbum') {
+    const since = new Date(Date.now() - value * DAY_IN_MS).toISOString();
+
+    return `EXISTS (SELECT 1 FROM user_album_likes
+      WHERE user_album_likes.album_id = songs.album_id
+      AND user_album_likes.user_id = ${param(userId)}
+      AND user_album_likes.created_at >= ${param(since)})`;
+  }
+
+  const column = RULE_COLUMNS[field];
+  const isText = TEXT_FIELDS.includes(field);
+
+  switch (operator) {
+    case 'contains':
+      return `LOWER(${column}) LIKE LOWER(${param(`%${escapeLike(value)}%`)}) ESCAPE '\\'`;
+    case 'in':
+      return isText
+        ? `LOWER(${column}) = ANY(${param(value.map((item) => item.toLowerCase()))})`
+        : `${column} = ANY(${param(value)})`;
+    case 'gte':
+      return `${column} >= ${param(value)}`;
+    case 'lte':
+      return `${column} <= ${param(value)}`;
+    case 'between':
+      return `${column} BETWEEN ${param(Math.min(...value))} AND ${param(Math.max(...value))}`;
+    default:
+      return isText ? `LOWER(${column}) = LOWER(${param(value)})` : `${column} = ${param(value)}`;
+  }
+};
+
+/**
+ * Turns smart playlist rules into a parameterized query over the songs catalog.
+ * The selected rows have the same shape as regular playlist entries, with positions
+ * numbered in the rule's sort order.
+ *
+ * @param {object} rules - Rules validated by SmartPlaylistRulesSchema
+ * @param {string} rules.match - 'all' to combine conditions with AND, 'any' for OR
+ * @param {Array<object>} rules.conditions - The conditions, each with field, operator, and value
+ * @param {string} rules.sort - The sort key, optionally prefixed with '-' for descending order
+ * @param {number} rules.limit - The maximum number of songs
+ * @param {string} userId - The playlist owner, whose album likes are matched
+ * @returns {object} Query config containing text and values
+ */
+const buildSmartPlaylistQuery = ({
+  match, conditions, sort, limit,
+}, userId) => {
+  const values = [];
+  const where = conditions
+    .map((condition) => `(${buildRuleCondition(condition, userId, values)})`)
+    .join(match === 'any' ? ' OR ' : ' AND ');
+
+  const descending = sort.startsWith('-');
+  const orderBy = `${SORT_COLUMNS[descending ? sort.slice(1) : sort]} ${descending ? 'DESC' : 'ASC'}, songs.id ASC`;
+
+  values.push(limit);
+
+  return {
+    text: `SELECT songs.id, songs.title, songs.performer,
+    (ROW_NUMBER() OVER (ORDER BY ${orderBy}))::INT AS position
+    FROM songs
+    WHERE ${where}
+    ORDER BY ${orderBy}
+    LIMIT $${values.length}`,
+    values,
+  };
+};
+
+module.exports = { buildSmartPlaylistQuery };
@@ -0,0 +1,95 @@
+const { nanoid } = require('nanoid');
+
+const PERFORMER_ROLES = ['primary', 'featured'];
+
+/**
+ * Links songs to the artists named by their performers as their primary artist.
+ * Artists are matched case-insensitively and created when no artist has that name yet.
+ * The links are inserted by a second statement, which re-selects the artists so that it
+ * also sees an artist another request created at the same time.
+ *
+ * @param {object} client - A pg client or pool
+ * @param {Array<object>} songs - The songs to link, each containing id and performer
+ * @returns {Promise<void>}
+ */
+const linkPrimaryArtists = async (client, songs) => {
+  const links = songs
+    .map(({ id, performer }) => ({ id, name: performer.trim() }))
+    .filter(({ name }) => name);
+
+  if (!links.length) {
+    return;
+  }
+
+  const names = links.map(({ name }) => name);
+
+  await client.query({
+    text: `INSERT INTO artists (id, name)
+    SELECT DISTINCT ON (LOWER(input.name)) input.id, input.name
+    FROM unnest($1::TEXT[], $2::TEXT[]) WITH ORDINALITY AS input(name, id, ordinal)
+    WHERE NOT EXISTS (SELECT 1 FROM artists WHERE LOWER(artists.name) = LOWER(input.name))
+    ORDER BY LOWER(input.name), input.ordinal
+    ON CONFLICT DO NOTHING`,
+    values: [names, links.map(() => `artist-${nanoid(16)}`)],
+  });
+
+  await client.query({
+    text: `INSERT INTO song_artists (id, song_id, artist_id, role)
+    SELECT input.link_id, input.song_id, artists.id, 'primary'
+    FROM unnest($1::TEXT[], $2::TEXT[], $3::TEXT[]) AS input(song_id, name, link_id)
+    JOIN artists ON LOWER(artists.name) = LOWER(input.name)
+    ON CONFLICT DO NOTHING`,
+    values: [
+      links.map(({ id }) => id),
+      names,
+      links.map(() => `song-artist-${nanoid(16)}`),
+    ],
+  });
+};
+
+/**
+ * Moves the primary artist link of a song from the artist of its previous performer to
+ * the artist of its new one. Links added by hand to other artists are kept.
+ *
+ * @param {object} client - A pg client inside an open transaction
+ * @param {string} songId - The ID of the song
+ * @param {string} previousPerformer - The performer of the song before the change
+ * @param {string} performer - The performer of the song after the change
+ * @returns {Promise<void>}
+ */
+const relinkPrimaryArtist = async (client, songId, previousPerformer, performer) => {
+  if (previousPerformer.trim().toLowerCase() !== performer.trim().toLowerCase()) {
+    await client.query({
+      text: `DELETE FROM song_artists USING artists
+      WHERE song_artists.artist_id = artists.id AND song_artists.song_id = $1
+      AND song_artists.role = 'primary' AND LOWER(artists.name) = LOWER($2)`,
+      values: [songId, previousPerformer.trim()],
+    });
+  }
+
+  await linkPrimaryArtists(client, [{ id: songId, performer }]);
+};
+
+/**
+ * Builds the SQL condition matching songs performed, as primary or featured artist,
+ * by an artist whose name contains the given text (case-insensitive).
+ *
+ * @param {string} performer - The text to look for in artist names
+ * @param {Array<*>} values - Query parameter values to append to
+ * @returns {string} SQL condition
+ */
+const buildPerformerCondition = (performer, values) => {
+  values.push(`%${performer}%`, PERFORMER_ROLES);
+
+  return `EXISTS (SELECT 1 FROM song_artists
+    JOIN artists ON artists.id = song_artists.artist_id
+    WHERE song_artists.song_id = songs.id
+    AND LOWER(artists.name) LIKE LOWER($${values.length - 1})
+    AND song_artists.role = ANY($${values.length}::TEXT[]))`;
+};
+
+module.exports = {
+  linkPrimaryArtists,
+  relinkPrimaryArtist,
+  buildPerformerCondition,
+};
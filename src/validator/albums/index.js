@@ -1,5 +1,5 @@
 const InvariantError = require('../../exceptions/InvariantError');
-const { AlbumPayloadSchema, ImageHeadersSchema } = require('./schema');
+const { AlbumPayloadSchema, ImageHeadersSchema, AlbumsQuerySchema } = require('./schema');
 
 const AlbumsValidator = {
   validateAlbumPayload: (payload) => {
@@ -16,6 +16,16 @@ const AlbumsValidator = {
       throw new InvariantError(validationResult.error.message);
     }
   },
+
+  validateAlbumsQuery: (query) => {
+    const validationResult = AlbumsQuerySchema.validate(query);
+
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+
+    return validationResult.value;
+  },
 };
 
 module.exports = AlbumsValidator;
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('../../utils/pagination');
 
 const CONSTRAINTS = {
   year: {
@@ -30,4 +31,11 @@ const ImageHeadersSchema = Joi.object({
     .required(),
 }).unknown();
 
-module.exports = { AlbumPayloadSchema, ImageHeadersSchema };
+const AlbumsQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(MAX_LIMIT)
+    .default(DEFAULT_LIMIT),
+  cursor: Joi.string(),
+  sort: Joi.string(),
+});
+
+module.exports = { AlbumPayloadSchema, ImageHeadersSchema, AlbumsQuerySchema };
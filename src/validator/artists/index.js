@@ -0,0 +1,42 @@
+const InvariantError = require('../../exceptions/InvariantError');
+const {
+  ArtistPayloadSchema,
+  ArtistSongPayloadSchema,
+  ArtistAlbumPayloadSchema,
+  ArtistsQuerySchema,
+} = require('./schema');
+
+const ArtistsValidator = {
+  validateArtistPayload: (payload) => {
+    const validationResult = ArtistPayloadSchema.validate(payload);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+  },
+  validateArtistSongPayload: (payload) => {
+    const validationResult = ArtistSongPayloadSchema.validate(payload);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+
+    return validationResult.value;
+  },
+  validateArtistAlbumPayload: (payload) => {
+    const validationResult = ArtistAlbumPayloadSchema.validate(payload);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+
+    return validationResult.value;
+  },
+  validateArtistsQuery: (query) => {
+    const validationResult = ArtistsQuerySchema.validate(query);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+
+    return validationResult.value;
+  },
+};
+
+module.exports = ArtistsValidator;
@@ -0,0 +1,33 @@
+const Joi = require('joi');
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('../../utils/pagination');
+
+const ARTIST_ROLES = ['primary', 'featured', 'composer'];
+
+const ArtistPayloadSchema = Joi.object({
+  name: Joi.string().max(255).required(),
+});
+
+const ArtistSongPayloadSchema = Joi.object({
+  songId: Joi.string().required(),
+  role: Joi.string().valid(...ARTIST_ROLES).default('primary'),
+});
+
+const ArtistAlbumPayloadSchema = Joi.object({
+  albumId: Joi.string().required(),
+  role: Joi.string().valid(...ARTIST_ROLES).default('primary'),
+});
+
+const ArtistsQuerySchema = Joi.object({
+  name: Joi.string(),
+  limit: Joi.number().integer().min(1).max(MAX_LIMIT)
+    .default(DEFAULT_LIMIT),
+  cursor: Joi.string(),
+  sort: Joi.string(),
+});
+
+module.exports = {
+  ArtistPayloadSchema,
+  ArtistSongPayloadSchema,
+  ArtistAlbumPayloadSchema,
+  ArtistsQuerySchema,
+};
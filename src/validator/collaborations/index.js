@@ -1,5 +1,5 @@
 const InvariantError = require('../../exceptions/InvariantError');
-const { CollaborationPayloadSchema } = require('./schema');
+const { CollaborationPayloadSchema, CollaborationRolePayloadSchema } = require('./schema');
 
 const CollaborationsValidator = {
   validateCollaborationPayload: (payload) => {
@@ -8,6 +8,12 @@ const CollaborationsValidator = {
       throw new InvariantError(validationResult.error.message);
     }
   },
+  validateCollaborationRolePayload: (payload) => {
+    const validationResult = CollaborationRolePayloadSchema.validate(payload);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+  },
 };
 
 module.exports = CollaborationsValidator;
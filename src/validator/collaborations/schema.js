@@ -1,8 +1,16 @@
 const Joi = require('joi');
+const { COLLABORATOR_ROLES } = require('../../utils/auth');
 
 const CollaborationPayloadSchema = Joi.object({
   playlistId: Joi.string().required(),
   userId: Joi.string().required(),
+  role: Joi.string().valid(...Object.values(COLLABORATOR_ROLES)),
 });
 
-module.exports = { CollaborationPayloadSchema };
+const CollaborationRolePayloadSchema = Joi.object({
+  playlistId: Joi.string().required(),
+  userId: Joi.string().required(),
+  role: Joi.string().valid(...Object.values(COLLABORATOR_ROLES)).required(),
+});
+
+module.exports = { CollaborationPayloadSchema, CollaborationRolePayloadSchema };
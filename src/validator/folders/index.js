@@ -0,0 +1,29 @@
+const InvariantError = require('../../exceptions/InvariantError');
+const {
+  FolderPayloadSchema,
+  FolderUpdatePayloadSchema,
+  PlaylistFolderPayloadSchema,
+} = require('./schema');
+
+const FoldersValidator = {
+  validateFolderPayload: (payload) => {
+    const validationResult = FolderPayloadSchema.validate(payload);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+  },
+  validateFolderUpdatePayload: (payload) => {
+    const validationResult = FolderUpdatePayloadSchema.validate(payload);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+  },
+  validatePlaylistFolderPayload: (payload) => {
+    const validationResult = PlaylistFolderPayloadSchema.validate(payload);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+  },
+};
+
+module.exports = FoldersValidator;
@@ -0,0 +1,19 @@
+const Joi = require('joi');
+
+const FolderPayloadSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  parentId: Joi.string().allow(null),
+});
+
+const FolderUpdatePayloadSchema = Joi.object({
+  name: Joi.string().max(100),
+  parentId: Joi.string().allow(null),
+  position: Joi.number().integer().min(1),
+}).min(1);
+
+const PlaylistFolderPayloadSchema = Joi.object({
+  folderId: Joi.string().allow(null).required(),
+  position: Joi.number().integer().min(1),
+});
+
+module.exports = { FolderPayloadSchema, FolderUpdatePayloadSchema, PlaylistFolderPayloadSchema };
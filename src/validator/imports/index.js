@@ -0,0 +1,31 @@
+const InvariantError = require('../../exceptions/InvariantError');
+const { ImportQuerySchema, ImportAlbumRowSchema, ImportSongRowSchema } = require('./schema');
+
+const ImportsValidator = {
+  validateImportQuery: (query) => {
+    const validationResult = ImportQuerySchema.validate(query);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+
+    return validationResult.value;
+  },
+  validateAlbumRow: (row) => {
+    const validationResult = ImportAlbumRowSchema.validate(row);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+
+    return validationResult.value;
+  },
+  validateSongRow: (row) => {
+    const validationResult = ImportSongRowSchema.validate(row);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+
+    return validationResult.value;
+  },
+};
+
+module.exports = ImportsValidator;
@@ -0,0 +1,27 @@
+const Joi = require('joi');
+const { AlbumPayloadSchema } = require('../albums/schema');
+const { SongPayloadSchema } = require('../songs/schema');
+
+const ImportQuerySchema = Joi.object({
+  format: Joi.string().valid('csv', 'json'),
+  dryRun: Joi.boolean().default(false),
+});
+
+// Rows are written with set-based queries, so values the columns cannot hold are
+// rejected per row here instead of failing the whole import.
+const ImportAlbumRowSchema = AlbumPayloadSchema
+  .keys({
+    name: Joi.string().max(255).required(),
+  });
+
+const ImportSongRowSchema = SongPayloadSchema
+  .keys({
+    title: Joi.string().max(255).required(),
+    genre: Joi.string().max(50).required(),
+    performer: Joi.string().max(100).required(),
+    duration: Joi.number().integer().min(0),
+    album: Joi.string(),
+  })
+  .oxor('albumId', 'album');
+
+module.exports = { ImportQuerySchema, ImportAlbumRowSchema, ImportSongRowSchema };
@@ -1,8 +1,25 @@
 const {
   PlaylistsPayloadSchema,
+  PlaylistUpdatePayloadSchema,
   PlaylistSongsPayloadSchema,
   PlaylistSongActivitiesPayloadSchema,
+  PlaylistSongsBatchPayloadSchema,
+  PlaylistSongsBatchDeletePayloadSchema,
+  PlaylistSongsOrderPayloadSchema,
+  PlaylistActivitiesQuerySchema,
+  PlaylistSnapshotQuerySchema,
+  PlaylistRevertPayloadSchema,
+  PlaylistVisibilityPayloadSchema,
+  PlaylistsQuerySchema,
+  PublicPlaylistQuerySchema,
+  PlaylistExportQuerySchema,
+  PlaylistImportQuerySchema,
+  PlaylistImportResolutionsPayloadSchema,
+  PlaylistTransferPayloadSchema,
+  PlaylistRulesPayloadSchema,
+  PlaylistForkPayloadSchema,
 } = require('./schema');
+const { ImageHeadersSchema } = require('../albums/schema');
 const InvariantError = require('../../exceptions/InvariantError');
 
 const PlaylistsValidator = {
@@ -11,6 +28,24 @@ const PlaylistsValidator = {
     if (validationResult.error) {
       throw new InvariantError(validationResult.error.message);
     }
+
+    return validationResult.value;
+  },
+  validatePlaylistUpdatePayload: (payload) => {
+    const validationResult = PlaylistUpdatePayloadSchema.validate(payload);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+
+    return validationResult.value;
+  },
+  validatePlaylistRulesPayload: (payload) => {
+    const validationResult = PlaylistRulesPayloadSchema.validate(payload);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+
+    return validationResult.value;
   },
   validatePlaylistSongPayload: (payload) => {
     const validationResult = PlaylistSongsPayloadSchema.validate(payload);
@@ -24,6 +59,110 @@ const PlaylistsValidator = {
       throw new InvariantError(validationResult.error.message);
     }
   },
+  validatePlaylistSongsBatchPayload: (payload) => {
+    const validationResult = PlaylistSongsBatchPayloadSchema.validate(payload);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+  },
+  validatePlaylistSongsBatchDeletePayload: (payload) => {
+    const validationResult = PlaylistSongsBatchDeletePayloadSchema.validate(payload);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+  },
+  validatePlaylistSongsOrderPayload: (payload) => {
+    const validationResult = PlaylistSongsOrderPayloadSchema.validate(payload);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+  },
+  validatePlaylistActivitiesQuery: (query) => {
+    const validationResult = PlaylistActivitiesQuerySchema.validate(query);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+
+    return validationResult.value;
+  },
+  validatePlaylistSnapshotQuery: (query) => {
+    const validationResult = PlaylistSnapshotQuerySchema.validate(query);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+
+    return validationResult.value;
+  },
+  validatePlaylistRevertPayload: (payload) => {
+    const validationResult = PlaylistRevertPayloadSchema.validate(payload);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+
+    return validationResult.value;
+  },
+  validatePlaylistVisibilityPayload: (payload) => {
+    const validationResult = PlaylistVisibilityPayloadSchema.validate(payload);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+  },
+  validatePlaylistsQuery: (query) => {
+    const validationResult = PlaylistsQuerySchema.validate(query);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+
+    return validationResult.value;
+  },
+  validatePublicPlaylistQuery: (query) => {
+    const validationResult = PublicPlaylistQuerySchema.validate(query);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+  },
+  validatePlaylistExportQuery: (query) => {
+    const validationResult = PlaylistExportQuerySchema.validate(query);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+
+    return validationResult.value;
+  },
+  validatePlaylistImportQuery: (query) => {
+    const validationResult = PlaylistImportQuerySchema.validate(query);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+
+    return validationResult.value;
+  },
+  validatePlaylistImportResolutionsPayload: (payload) => {
+    const validationResult = PlaylistImportResolutionsPayloadSchema.validate(payload);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+  },
+  validatePlaylistForkPayload: (payload) => {
+    const validationResult = PlaylistForkPayloadSchema.validate(payload);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+  },
+  validateImageHeaders: (headers) => {
+    const validationResult = ImageHeadersSchema.validate(headers);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+  },
+  validatePlaylistTransferPayload: (payload) => {
+    const validationResult = PlaylistTransferPayloadSchema.validate(payload);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+
+    return validationResult.value;
+  },
 };
 
 module.exports = PlaylistsValidator;
@@ -1,19 +1,183 @@
 const Joi = require('joi');
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('../../utils/pagination');
+
+const SMART_PLAYLIST_LIMIT = {
+  DEFAULT: 100,
+  MAX: 500,
+};
+
+const ACTIVITY_ACTIONS = [
+  'add',
+  'delete',
+  'move',
+  'rename',
+  'describe',
+  'cover',
+  'rules',
+  'freeze',
+  'collaborator_join',
+  'collaborator_leave',
+  'collaborator_remove',
+  'collaborator_role',
+  'owner_transfer',
+  'revert',
+  'duplicates',
+];
+
+const ruleCondition = (fields, operators, value) => Joi.object({
+  field: Joi.string().valid(...fields).required(),
+  operator: Joi.string().valid(...operators).required(),
+  value: value.required(),
+});
+
+const SmartPlaylistRulesSchema = Joi.object({
+  match: Joi.string().valid('all', 'any').default('all'),
+  conditions: Joi.array()
+    .items(Joi.alternatives().try(
+      ruleCondition(['title', 'performer', 'genre'], ['eq', 'contains'], Joi.string()),
+      ruleCondition(['albumId'], ['eq'], Joi.string()),
+      ruleCondition(['genre', 'albumId'], ['in'], Joi.array().items(Joi.string()).min(1).max(50)),
+      ruleCondition(['year', 'duration'], ['eq', 'gte', 'lte'], Joi.number().integer().min(0)),
+      ruleCondition(
+        ['year', 'duration'],
+        ['between'],
+        Joi.array().items(Joi.number().integer().min(0)).length(2),
+      ),
+      ruleCondition(['likedAlbum'], ['within'], Joi.number().integer().min(1).max(3650)),
+    ))
+    .min(1)
+    .max(20)
+    .required(),
+  sort: Joi.string()
+    .valid('title', '-title', 'performer', '-performer', 'year', '-year')
+    .default('title'),
+  limit: Joi.number().integer().min(1).max(SMART_PLAYLIST_LIMIT.MAX)
+    .default(SMART_PLAYLIST_LIMIT.DEFAULT),
+});
 
 const PlaylistsPayloadSchema = Joi.object({
   name: Joi.string().required(),
+  description: Joi.string().allow('', null),
+  rules: SmartPlaylistRulesSchema,
+  allowDuplicates: Joi.boolean(),
+});
+
+// Rules have their own endpoint, so an update only takes the playlist details.
+const PlaylistUpdatePayloadSchema = PlaylistsPayloadSchema.fork(['rules'], (schema) => schema.forbidden());
+
+const PlaylistRulesPayloadSchema = Joi.object({
+  rules: SmartPlaylistRulesSchema.required(),
 });
 
 const PlaylistSongsPayloadSchema = Joi.object({
   songId: Joi.string().required(),
+  position: Joi.number().integer().min(1),
+  note: Joi.string().max(500).allow('', null),
 });
 
 const PlaylistSongActivitiesPayloadSchema = Joi.object({
   songId: Joi.string().required(),
 });
 
+const PlaylistSongsBatchPayloadSchema = Joi.object({
+  songIds: Joi.array().items(Joi.string()).min(1).max(500)
+    .unique()
+    .required(),
+  position: Joi.number().integer().min(1),
+});
+
+const PlaylistSongsBatchDeletePayloadSchema = Joi.object({
+  songIds: Joi.array().items(Joi.string()).min(1).max(500)
+    .unique()
+    .required(),
+});
+
+const PlaylistSongsOrderPayloadSchema = Joi.object({
+  songs: Joi.array()
+    .items(Joi.object({
+      songId: Joi.string().required(),
+      position: Joi.number().integer().min(1).required(),
+    }))
+    .min(1)
+    .required(),
+});
+
+const PlaylistActivitiesQuerySchema = Joi.object({
+  userId: Joi.string(),
+  action: Joi.string()
+    .pattern(new RegExp(`^(${ACTIVITY_ACTIONS.join('|')})(,(${ACTIVITY_ACTIONS.join('|')}))*$`)),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(MAX_LIMIT)
+    .default(DEFAULT_LIMIT),
+  cursor: Joi.string(),
+  sort: Joi.string().valid('time', '-time').default('time'),
+});
+
+const PlaylistSnapshotQuerySchema = Joi.object({
+  at: Joi.date().iso().required(),
+});
+
+const PlaylistRevertPayloadSchema = Joi.object({
+  at: Joi.date().iso().required(),
+});
+
+const PlaylistVisibilityPayloadSchema = Joi.object({
+  visibility: Joi.string().valid('private', 'unlisted', 'public').required(),
+});
+
+const PlaylistsQuerySchema = Joi.object({
+  view: Joi.string().valid('list', 'tree').default('list'),
+});
+
+const PublicPlaylistQuerySchema = Joi.object({
+  token: Joi.string(),
+});
+
+const PlaylistExportQuerySchema = Joi.object({
+  format: Joi.string().valid('m3u8', 'xspf', 'csv', 'json').default('json'),
+});
+
+const PlaylistImportQuerySchema = Joi.object({
+  format: Joi.string().valid('m3u', 'm3u8', 'xspf', 'json'),
+  name: Joi.string(),
+});
+
+const PlaylistImportResolutionsPayloadSchema = Joi.object({
+  resolutions: Joi.array().items(Joi.object({
+    index: Joi.number().integer().min(1).required(),
+    songId: Joi.string().allow(null).required(),
+  })).min(1).unique('index')
+    .required(),
+});
+
+const PlaylistTransferPayloadSchema = Joi.object({
+  userId: Joi.string().required(),
+  confirmation: Joi.boolean().default(false),
+});
+
+const PlaylistForkPayloadSchema = Joi.object({
+  name: Joi.string(),
+});
+
 module.exports = {
   PlaylistsPayloadSchema,
+  PlaylistUpdatePayloadSchema,
   PlaylistSongsPayloadSchema,
   PlaylistSongActivitiesPayloadSchema,
+  PlaylistSongsBatchPayloadSchema,
+  PlaylistSongsBatchDeletePayloadSchema,
+  PlaylistSongsOrderPayloadSchema,
+  PlaylistActivitiesQuerySchema,
+  PlaylistSnapshotQuerySchema,
+  PlaylistRevertPayloadSchema,
+  PlaylistVisibilityPayloadSchema,
+  PlaylistsQuerySchema,
+  PublicPlaylistQuerySchema,
+  PlaylistExportQuerySchema,
+  PlaylistImportQuerySchema,
+  PlaylistImportResolutionsPayloadSchema,
+  PlaylistTransferPayloadSchema,
+  PlaylistRulesPayloadSchema,
+  PlaylistForkPayloadSchema,
 };
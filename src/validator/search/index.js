@@ -0,0 +1,15 @@
+const InvariantError = require('../../exceptions/InvariantError');
+const { SearchQuerySchema } = require('./schema');
+
+const SearchValidator = {
+  validateSearchQuery: (query) => {
+    const validationResult = SearchQuerySchema.validate(query);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+
+    return validationResult.value;
+  },
+};
+
+module.exports = SearchValidator;
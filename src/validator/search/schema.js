@@ -0,0 +1,15 @@
+const Joi = require('joi');
+
+const SEARCH_TYPES = ['songs', 'albums', 'artists'];
+
+const SearchQuerySchema = Joi.object({
+  q: Joi.string().trim().min(1).max(200)
+    .required(),
+  type: Joi.string()
+    .pattern(new RegExp(`^(${SEARCH_TYPES.join('|')})(,(${SEARCH_TYPES.join('|')}))*$`))
+    .default(SEARCH_TYPES.join(',')),
+  limit: Joi.number().integer().min(1).max(50)
+    .default(10),
+});
+
+module.exports = { SearchQuerySchema };
@@ -1,5 +1,10 @@
 const InvariantError = require('../../exceptions/InvariantError');
-const { SongPayloadSchema } = require('./schema');
+const {
+  SongPayloadSchema,
+  SongsQuerySchema,
+  AudioHeadersSchema,
+  AudioUploadQuerySchema,
+} = require('./schema');
 
 const SongsValidator = {
   validateSongPayload: (payload) => {
@@ -8,6 +13,28 @@ const SongsValidator = {
       throw new InvariantError(validationResult.error.message);
     }
   },
+  validateSongsQuery: (query) => {
+    const validationResult = SongsQuerySchema.validate(query);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+
+    return validationResult.value;
+  },
+  validateAudioHeaders: (headers) => {
+    const validationResult = AudioHeadersSchema.validate(headers);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+  },
+  validateAudioUploadQuery: (query) => {
+    const validationResult = AudioUploadQuerySchema.validate(query);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+
+    return validationResult.value;
+  },
 };
 
 module.exports = SongsValidator;
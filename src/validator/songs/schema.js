@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('../../utils/pagination');
 
 const CONSTRAINTS = {
   year: {
@@ -18,6 +19,52 @@ const SongPayloadSchema = Joi.object({
   performer: Joi.string().required(),
   duration: Joi.number(),
   albumId: Joi.string(),
+  lyrics: Joi.string().allow(''),
 });
 
-module.exports = { SongPayloadSchema };
+const SongsQuerySchema = Joi.object({
+  title: Joi.string(),
+  performer: Joi.string(),
+  genre: Joi.string(),
+  albumId: Joi.string(),
+  yearFrom: Joi.number().integer(),
+  yearTo: Joi.number().integer().when('yearFrom', {
+    is: Joi.exist(),
+    then: Joi.number().min(Joi.ref('yearFrom')),
+  }),
+  durationMin: Joi.number().min(0),
+  durationMax: Joi.number().min(0).when('durationMin', {
+    is: Joi.exist(),
+    then: Joi.number().min(Joi.ref('durationMin')),
+  }),
+  limit: Joi.number().integer().min(1).max(MAX_LIMIT)
+    .default(DEFAULT_LIMIT),
+  cursor: Joi.string(),
+  sort: Joi.string(),
+});
+
+const AudioHeadersSchema = Joi.object({
+  'content-type': Joi.string()
+    .valid(
+      'audio/mpeg',
+      'audio/mp3',
+      'audio/ogg',
+      'audio/flac',
+      'audio/x-flac',
+      'audio/wav',
+      'audio/wave',
+      'audio/x-wav',
+    )
+    .required(),
+}).unknown();
+
+const AudioUploadQuerySchema = Joi.object({
+  dryRun: Joi.boolean().default(false),
+});
+
+module.exports = {
+  SongPayloadSchema,
+  SongsQuerySchema,
+  AudioHeadersSchema,
+  AudioUploadQuerySchema,
+};
@@ -1,5 +1,11 @@
 const InvariantError = require('../../exceptions/InvariantError');
-const { UsersPayloadSchema } = require('./schema');
+const {
+  UsersPayloadSchema,
+  UserRolePayloadSchema,
+  UserProfilePayloadSchema,
+  UserPasswordPayloadSchema,
+} = require('./schema');
+const { ImageHeadersSchema } = require('../albums/schema');
 
 const UsersValidator = {
   validateUsersPayload: (payload) => {
@@ -8,6 +14,30 @@ const UsersValidator = {
       throw new InvariantError(validationResult.error.message);
     }
   },
+  validateUserRolePayload: (payload) => {
+    const validationResult = UserRolePayloadSchema.validate(payload);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+  },
+  validateUserProfilePayload: (payload) => {
+    const validationResult = UserProfilePayloadSchema.validate(payload);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+  },
+  validateUserPasswordPayload: (payload) => {
+    const validationResult = UserPasswordPayloadSchema.validate(payload);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+  },
+  validateImageHeaders: (headers) => {
+    const validationResult = ImageHeadersSchema.validate(headers);
+    if (validationResult.error) {
+      throw new InvariantError(validationResult.error.message);
+    }
+  },
 };
 
 module.exports = UsersValidator;
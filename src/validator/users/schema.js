@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { ROLES } = require('../../utils/auth');
 
 const UsersPayloadSchema = Joi.object({
   username: Joi.string().max(50).required(),
@@ -6,4 +7,23 @@ const UsersPayloadSchema = Joi.object({
   fullname: Joi.string().required(),
 });
 
-module.exports = { UsersPayloadSchema };
+const UserRolePayloadSchema = Joi.object({
+  role: Joi.string().valid(...Object.values(ROLES)).required(),
+});
+
+const UserProfilePayloadSchema = Joi.object({
+  fullname: Joi.string().required(),
+  bio: Joi.string().max(500).allow('', null),
+});
+
+const UserPasswordPayloadSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: Joi.string().required(),
+});
+
+module.exports = {
+  UsersPayloadSchema,
+  UserRolePayloadSchema,
+  UserProfilePayloadSchema,
+  UserPasswordPayloadSchema,
+};
@@ -0,0 +1,89 @@
+const {
+  describe, it, before, after,
+} = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const InvariantError = require('../src/exceptions/InvariantError');
+const AudioMetadataService = require('../src/services/metadata/AudioMetadataService');
+
+const MPEG_FRAME = Buffer.from([0xFF, 0xFB, 0x90, 0x64, 0, 0, 0, 0, 0, 0, 0, 0]);
+
+// An ID3v2 tag header followed by a body of the given size, stored as four 7-bit bytes.
+const id3Tag = (bodySize, flags = 0) => Buffer.concat([
+  Buffer.from([0x49, 0x44, 0x33, 3, 0, flags,
+    Math.floor(bodySize / 2 ** 21) % 128,
+    Math.floor(bodySize / 2 ** 14) % 128,
+    Math.floor(bodySize / 2 ** 7) % 128,
+    bodySize % 128]),
+  Buffer.alloc(bodySize),
+]);
+
+describe('AudioMetadataService.detectContentType', () => {
+  let folder;
+  let count = 0;
+
+  const detect = async (content, declaredType) => {
+    count += 1;
+    const filePath = path.join(folder, `audio-${count}`);
+    await fs.promises.writeFile(filePath, content);
+    return AudioMetadataService.detectContentType(filePath, declaredType);
+  };
+
+  before(async () => {
+    folder = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'open-music-audio-'));
+  });
+
+  after(async () => {
+    await fs.promises.rm(folder, { recursive: true, force: true });
+  });
+
+  it('recognizes Ogg, FLAC, and WAV signatures', async () => {
+    const padding = Buffer.alloc(16);
+
+    assert.strictEqual(await detect(Buffer.concat([Buffer.from('OggS'), padding]), 'audio/ogg'), 'audio/ogg');
+    assert.strictEqual(await detect(Buffer.concat([Buffer.from('fLaC'), padding]), 'audio/flac'), 'audio/flac');
+    assert.strictEqual(
+      await detect(Buffer.concat([Buffer.from('RIFF\0\0\0\0WAVE'), padding]), 'audio/wav'),
+      'audio/wav',
+    );
+  });
+
+  it('recognizes a bare MPEG frame', async () => {
+    assert.strictEqual(await detect(MPEG_FRAME, 'audio/mpeg'), 'audio/mpeg');
+  });
+
+  it('skips an ID3v2 tag to find the MPEG frame after it', async () => {
+    const content = Buffer.concat([id3Tag(300), MPEG_FRAME]);
+    assert.strictEqual(await detect(content, 'audio/mpeg'), 'audio/mpeg');
+  });
+
+  it('skips the footer of an ID3v2 tag that has one', async () => {
+    const content = Buffer.concat([id3Tag(20, 0x10), Buffer.alloc(10), Buffer.from('fLaC'), Buffer.alloc(8)]);
+    assert.strictEqual(await detect(content, 'audio/flac'), 'audio/flac');
+  });
+
+  it('takes an ID3v2 tag without a frame directly after it as MP3', async () => {
+    const content = Buffer.concat([id3Tag(20), Buffer.alloc(12)]);
+    assert.strictEqual(await detect(content, 'audio/mpeg'), 'audio/mpeg');
+  });
+
+  it('accepts alias content types and ignores their case', async () => {
+    assert.strictEqual(await detect(MPEG_FRAME, 'audio/MP3'), 'audio/mpeg');
+    assert.strictEqual(
+      await detect(Buffer.concat([Buffer.from('RIFF\0\0\0\0WAVE'), Buffer.alloc(4)]), 'audio/x-wav'),
+      'audio/wav',
+    );
+  });
+
+  it('rejects content that is not a supported audio format', async () => {
+    await assert.rejects(detect(Buffer.from('<html><body></body></html>'), 'audio/mpeg'), InvariantError);
+    await assert.rejects(detect(Buffer.from('RIFF\0\0\0\0AVI LIST'), 'audio/wav'), InvariantError);
+    await assert.rejects(detect(Buffer.alloc(0), 'audio/mpeg'), InvariantError);
+  });
+
+  it('rejects content that does not match the declared type', async () => {
+    await assert.rejects(detect(MPEG_FRAME, 'audio/ogg'), InvariantError);
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const InvariantError = require('../src/exceptions/InvariantError');
+const { parseCatalogFile } = require('../src/utils/catalogFile');
+
+describe('parseCatalogFile', () => {
+  describe('csv', () => {
+    it('reads rows with their line, type, and normalized fields', async () => {
+      const csv = [
+        '\uFEFFtype, name ,title,year,performer,genre,duration',
+        'album,Viva la Vida,,2008,,,',
+        '',
+        'song,,  Yellow ,2000,Coldplay,Rock,269',
+      ].join('\n');
+
+      assert.deepStrictEqual(await parseCatalogFile(Buffer.from(csv), 'csv'), [
+        { line: 2, type: 'album', data: { name: 'Viva la Vida', year: 2008 } },
+        {
+          line: 4,
+          type: 'song',
+          data: {
+            title: 'Yellow', year: 2000, performer: 'Coldplay', genre: 'Rock', duration: 269,
+          },
+        },
+      ]);
+    });
+
+    it('keeps non-numeric years as text for the schema to reject', async () => {
+      const csv = 'type,title,year\nsong,Yellow,soon\n';
+      const [row] = await parseCatalogFile(Buffer.from(csv), 'csv');
+
+      assert.deepStrictEqual(row.data, { title: 'Yellow', year: 'soon' });
+    });
+
+    it('reads quoted cells with delimiters and line breaks', async () => {
+      const csv = 'type,title,performer\nsong,"Hello, ""World""\nAgain",Band\n';
+      const [row] = await parseCatalogFile(Buffer.from(csv), 'csv');
+
+      assert.deepStrictEqual(row.data, { title: 'Hello, "World"\nAgain', performer: 'Band' });
+    });
+
+    it('rejects malformed CSV', async () => {
+      await assert.rejects(parseCatalogFile(Buffer.from('type,title\nsong,"unclosed\n'), 'csv'), InvariantError);
+      await assert.rejects(parseCatalogFile(Buffer.from('type,title\nsong,Yellow,extra\n'), 'csv'), InvariantError);
+    });
+  });
+
+  describe('json', () => {
+    it('reads albums and songs numbered within their lists', async () => {
+      const json = JSON.stringify({
+        albums: [{ name: 'Parachutes', year: 2000 }],
+        songs: [{ title: 'Yellow' }, { title: 'Trouble' }],
+      });
+
+      assert.deepStrictEqual(await parseCatalogFile(Buffer.from(json), 'json'), [
+        { line: 1, type: 'album', data: { name: 'Parachutes', year: 2000 } },
+        { line: 1, type: 'song', data: { title: 'Yellow' } },
+        { line: 2, type: 'song', data: { title: 'Trouble' } },
+      ]);
+    });
+
+    it('accepts a catalog with only songs', async () => {
+      const rows = await parseCatalogFile(Buffer.from('{"songs":[{"title":"Yellow"}]}'), 'json');
+      assert.deepStrictEqual(rows, [{ line: 1, type: 'song', data: { title: 'Yellow' } }]);
+    });
+
+    it('rejects malformed JSON and catalogs of the wrong shape', async () => {
+      await Promise.all(['{"songs":', '[]', 'null', '{"songs":{}}', '{"albums":"none"}'].map(
+        (content) => assert.rejects(parseCatalogFile(Buffer.from(content), 'json'), InvariantError),
+      ));
+    });
+  });
+});
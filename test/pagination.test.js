@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const InvariantError = require('../src/exceptions/InvariantError');
+const {
+  parseSort, buildOrderBy, decodeCursor, buildKeysetCondition, buildPage,
+} = require('../src/utils/pagination');
+
+const SORTABLE_COLUMNS = {
+  title: 'title',
+  year: { column: 'year', type: 'integer' },
+  createdAt: { column: 'created_at', type: 'timestamp' },
+};
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+describe('parseSort', () => {
+  it('parses directions and appends the id tie-breaker', () => {
+    assert.deepStrictEqual(parseSort('-year,title', SORTABLE_COLUMNS), [
+      {
+        key: 'year', column: 'year', type: 'integer', direction: 'DESC',
+      },
+      {
+        key: 'title', column: 'title', type: 'text', direction: 'ASC',
+      },
+      {
+        key: 'id', column: 'id', type: 'text', direction: 'ASC',
+      },
+    ]);
+  });
+
+  it('appends a custom tie-breaker', () => {
+    const fields = parseSort(undefined, SORTABLE_COLUMNS, { key: 'seq', column: 'seq', type: 'integer' });
+
+    assert.deepStrictEqual(fields, [{
+      key: 'seq', column: 'seq', type: 'integer', direction: 'ASC',
+    }]);
+  });
+
+  it('rejects unknown sort keys', () => {
+    assert.throws(() => parseSort('password', SORTABLE_COLUMNS), InvariantError);
+  });
+});
+
+describe('buildOrderBy', () => {
+  it('orders by every sort field', () => {
+    assert.strictEqual(
+      buildOrderBy(parseSort('-year', SORTABLE_COLUMNS)),
+      'ORDER BY year DESC, id ASC',
+    );
+  });
+});
+
+describe('cursors', () => {
+  const sortFields = parseSort('-year', SORTABLE_COLUMNS);
+
+  it('round-trips the sort values of the last row of a page', () => {
+    const rows = [{ id: 'song-1', year: 2001 }, { id: 'song-2', year: 1999 }, { id: 'song-3', year: 1990 }];
+    const { items, nextCursor } = buildPage(rows, 2, sortFields);
+
+    assert.deepStrictEqual(items, rows.slice(0, 2));
+    assert.deepStrictEqual(decodeCursor(nextCursor, sortFields), [1999, 'song-2']);
+  });
+
+  it('has no next cursor on the last page', () => {
+    assert.strictEqual(buildPage([{ id: 'song-1', year: 2001 }], 2, sortFields).nextCursor, null);
+  });
+
+  it('builds a keyset condition after the cursor position', () => {
+    const values = ['song-filter'];
+    const condition = buildKeysetCondition(sortFields, [1999, 'song-2'], values);
+
+    assert.strictEqual(condition, '((year < $2) OR (year = $2 AND id > $3))');
+    assert.deepStrictEqual(values, ['song-filter', 1999, 'song-2']);
+  });
+
+  it('rejects cursors that are not base64url JSON', () => {
+    assert.throws(() => decodeCursor('not a cursor', sortFields), InvariantError);
+  });
+
+  it('rejects cursors issued for another sort order', () => {
+    const cursor = encode({ sort: 'year,id', values: [1999, 'song-2'] });
+    assert.throws(() => decodeCursor(cursor, sortFields), InvariantError);
+  });
+
+  it('rejects cursors with the wrong number of values', () => {
+    const cursor = encode({ sort: '-year,id', values: [1999] });
+    assert.throws(() => decodeCursor(cursor, sortFields), InvariantError);
+  });
+
+  it('rejects cursor values of the wrong type', () => {
+    [
+      { sort: '-year,id', values: ['1999; DROP TABLE songs', 'song-2'] },
+      { sort: '-year,id', values: [1999.5, 'song-2'] },
+      { sort: '-year,id', values: [1999, 42] },
+      { sort: '-year,id', values: [{ year: 1999 }, 'song-2'] },
+    ].forEach((decoded) => {
+      assert.throws(() => decodeCursor(encode(decoded), sortFields), InvariantError);
+    });
+  });
+
+  it('accepts integer strings and null values', () => {
+    const cursor = encode({ sort: '-year,id', values: ['1999', 'song-2'] });
+    assert.deepStrictEqual(decodeCursor(cursor, sortFields), ['1999', 'song-2']);
+
+    const nullCursor = encode({ sort: '-year,id', values: [null, 'song-2'] });
+    assert.deepStrictEqual(decodeCursor(nullCursor, sortFields), [null, 'song-2']);
+  });
+
+  it('checks timestamp values', () => {
+    const timeFields = parseSort('createdAt', SORTABLE_COLUMNS);
+    const valid = encode({ sort: 'createdAt,id', values: ['2026-01-01T00:00:00.000Z', 'a'] });
+    const invalid = encode({ sort: 'createdAt,id', values: ['2026-13-45T00:00:00Z', 'a'] });
+    const text = encode({ sort: 'createdAt,id', values: ['yesterday', 'a'] });
+
+    assert.deepStrictEqual(decodeCursor(valid, timeFields), ['2026-01-01T00:00:00.000Z', 'a']);
+    assert.throws(() => decodeCursor(invalid, timeFields), InvariantError);
+    assert.throws(() => decodeCursor(text, timeFields), InvariantError);
+  });
+});
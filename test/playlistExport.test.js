@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+process.env.PUBLIC_URL = 'https://music.example.com/';
+
+const { formatPlaylist, parsePlaylistFile } = require('../src/utils/playlistFormats');
+
+const playlist = {
+  id: 'playlist-1',
+  name: 'Road <Trip> & "More"',
+  description: 'Line one\nline two',
+  username: 'dicoding',
+};
+
+const songs = [
+  {
+    position: 1,
+    id: 'song-1',
+    title: 'Rock & Roll\r\n#EXTINF:0,Injected',
+    performer: "Guns N' Roses",
+    album: 'Hits, Vol. "1"',
+    year: 1987,
+    genre: 'Rock',
+    duration: 240,
+  },
+  {
+    position: 2,
+    id: 'song-2',
+    title: 'Quiet',
+    performer: 'Band',
+    album: null,
+    year: 2001,
+    genre: 'Pop',
+    duration: null,
+  },
+];
+
+const format = (type) => formatPlaylist(playlist, songs, type).join('');
+
+describe('formatPlaylist', () => {
+  it('keeps M3U names and labels on one line', () => {
+    assert.strictEqual(format('m3u8'), [
+      '#EXTM3U',
+      '#PLAYLIST:Road <Trip> & "More"',
+      "#EXTINF:240,Guns N' Roses - Rock & Roll #EXTINF:0,Injected",
+      'https://music.example.com/songs/song-1/stream',
+      '#EXTINF:-1,Band - Quiet',
+      'https://music.example.com/songs/song-2/stream',
+      '',
+    ].join('\n'));
+  });
+
+  it('escapes XSPF text and leaves out empty elements', () => {
+    const xml = format('xspf');
+
+    assert.match(xml, /<title>Road &lt;Trip&gt; &amp; &quot;More&quot;<\/title>/);
+    assert.match(xml, /<creator>Guns N&apos; Roses<\/creator>/);
+    assert.match(xml, /<album>Hits, Vol\. &quot;1&quot;<\/album>/);
+    assert.match(xml, /<duration>240000<\/duration>/);
+    assert.strictEqual(xml.match(/<album>/g).length, 1);
+    assert.strictEqual(xml.match(/<duration>/g).length, 1);
+  });
+
+  it('reads back the XSPF values it writes', () => {
+    const { name, entries } = parsePlaylistFile(Buffer.from(format('xspf')), 'xspf');
+
+    assert.strictEqual(name, playlist.name);
+    assert.deepStrictEqual(entries, songs.map((song) => ({
+      title: song.title.trim(),
+      performer: song.performer,
+      songId: song.id,
+    })));
+  });
+
+  it('quotes CSV cells that hold delimiters, quotes, or line breaks', () => {
+    assert.strictEqual(format('csv'), [
+      'position,id,title,performer,album,year,genre,duration',
+      '1,song-1,"Rock & Roll\r\n#EXTINF:0,Injected",Guns N\' Roses,"Hits, Vol. ""1""",1987,Rock,240',
+      '2,song-2,Quiet,Band,,2001,Pop,',
+      '',
+    ].join('\r\n'));
+  });
+
+  it('writes valid JSON with the playlist and its songs', () => {
+    assert.deepStrictEqual(JSON.parse(format('json')), {
+      playlist: {
+        id: playlist.id,
+        name: playlist.name,
+        description: playlist.description,
+        username: playlist.username,
+        songs,
+      },
+    });
+  });
+
+  it('writes valid JSON for an empty playlist', () => {
+    const json = formatPlaylist(playlist, [], 'json').join('');
+    assert.deepStrictEqual(JSON.parse(json).playlist.songs, []);
+  });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const InvariantError = require('../src/exceptions/InvariantError');
+const { parsePlaylistFile } = require('../src/utils/playlistFormats');
+
+const xspf = (title) => Buffer.from(`<?xml version="1.0" encoding="UTF-8"?>
+<playlist version="1" xmlns="http://xspf.org/ns/0/">
+  <trackList>
+    <track><title>${title}</title><creator>Band</creator></track>
+  </trackList>
+</playlist>`);
+
+describe('parsePlaylistFile', () => {
+  it('unescapes entities and character references in XSPF values', () => {
+    const { entries } = parsePlaylistFile(xspf('Rock &amp; Roll &#233;&#x1F3B5;'), 'xspf');
+
+    assert.strictEqual(entries[0].title, 'Rock & Roll é\u{1F3B5}');
+    assert.strictEqual(entries[0].performer, 'Band');
+  });
+
+  it('rejects XSPF character references outside the Unicode range', () => {
+    assert.throws(() => parsePlaylistFile(xspf('Song &#99999999;'), 'xspf'), InvariantError);
+    assert.throws(() => parsePlaylistFile(xspf('Song &#x110000;'), 'xspf'), InvariantError);
+  });
+
+  it('rejects XSPF character references to surrogate code points', () => {
+    assert.throws(() => parsePlaylistFile(xspf('Song &#xD800;'), 'xspf'), InvariantError);
+  });
+
+  it('rejects XSPF character references to characters XML forbids', () => {
+    ['&#0;', '&#x1;', '&#x8;', '&#xB;', '&#xC;', '&#xE;', '&#x1F;', '&#xFFFE;', '&#xFFFF;']
+      .forEach((reference) => {
+        assert.throws(() => parsePlaylistFile(xspf(`A${reference}B`), 'xspf'), InvariantError);
+      });
+  });
+
+  it('keeps XSPF character references to tabs and line breaks', () => {
+    const { entries } = parsePlaylistFile(xspf('A&#x9;B&#xA;C&#xD;D'), 'xspf');
+
+    assert.strictEqual(entries[0].title, 'A\tB\nC\rD');
+  });
+
+  it('drops NUL characters from JSON titles, performers, and song IDs', () => {
+    const { entries } = parsePlaylistFile(Buffer.from(JSON.stringify([
+      { id: 'song-\u00001', title: 'A\u0000B', performer: '\u0000' },
+    ])), 'json');
+
+    assert.deepStrictEqual(entries, [{ title: 'AB', performer: '', songId: 'song-1' }]);
+  });
+
+  it('drops raw NUL bytes from M3U files', () => {
+    const { entries } = parsePlaylistFile(Buffer.from('#EXTM3U\n#EXTINF:-1,Band - A\u0000B\nsong.mp3\n'), 'm3u');
+
+    assert.strictEqual(entries[0].title, 'AB');
+  });
+});
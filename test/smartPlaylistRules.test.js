@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { buildSmartPlaylistQuery } = require('../src/utils/smartPlaylistRules');
+
+const build = (conditions, options = {}) => buildSmartPlaylistQuery({
+  match: 'all', conditions, sort: 'title', limit: 50, ...options,
+}, 'user-1');
+
+const whereOf = ({ text }) => /WHERE ([\s\S]*)\n\s*ORDER BY/.exec(text)[1];
+
+describe('buildSmartPlaylistQuery', () => {
+  it('matches text fields case-insensitively', () => {
+    const query = build([{ field: 'genre', operator: 'eq', value: 'Rock' }]);
+
+    assert.strictEqual(whereOf(query), '(LOWER(songs.genre) = LOWER($1))');
+    assert.deepStrictEqual(query.values, ['Rock', 50]);
+  });
+
+  it('escapes LIKE wildcards in contains values', () => {
+    const query = build([{ field: 'title', operator: 'contains', value: '100%_a\\b' }]);
+
+    assert.strictEqual(whereOf(query), "(LOWER(songs.title) LIKE LOWER($1) ESCAPE '\\')");
+    assert.deepStrictEqual(query.values, ['%100\\%\\_a\\\\b%', 50]);
+  });
+
+  it('lowercases text values of in conditions', () => {
+    const query = build([{ field: 'genre', operator: 'in', value: ['Rock', 'JAZZ'] }]);
+
+    assert.strictEqual(whereOf(query), '(LOWER(songs.genre) = ANY($1))');
+    assert.deepStrictEqual(query.values, [['rock', 'jazz'], 50]);
+  });
+
+  it('keeps the case of album IDs in in conditions', () => {
+    const query = build([{ field: 'albumId', operator: 'in', value: ['album-Ab'] }]);
+
+    assert.strictEqual(whereOf(query), '(songs.album_id = ANY($1))');
+    assert.deepStrictEqual(query.values, [['album-Ab'], 50]);
+  });
+
+  it('orders between bounds and compares numeric fields directly', () => {
+    const query = build([
+      { field: 'year', operator: 'between', value: [2010, 2000] },
+      { field: 'duration', operator: 'lte', value: 300 },
+    ]);
+
+    assert.strictEqual(
+      whereOf(query),
+      '(songs.year BETWEEN $1 AND $2) AND (songs.duration <= $3)',
+    );
+    assert.deepStrictEqual(query.values, [2000, 2010, 300, 50]);
+  });
+
+  it('joins conditions with OR when any condition may match', () => {
+    const query = build([
+      { field: 'genre', operator: 'eq', value: 'Jazz' },
+      { field: 'year', operator: 'gte', value: 2020 },
+    ], { match: 'any' });
+
+    assert.strictEqual(whereOf(query), '(LOWER(songs.genre) = LOWER($1)) OR (songs.year >= $2)');
+  });
+
+  it('matches albums the owner liked within the given number of days', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-31T00:00:00.000Z') });
+
+    const query = build([{ field: 'likedAlbum', operator: 'within', value: 30 }]);
+
+    assert.match(whereOf(query), /user_album_likes\.user_id = \$1/);
+    assert.match(whereOf(query), /user_album_likes\.created_at >= \$2/);
+    assert.deepStrictEqual(query.values, ['user-1', '2026-01-01T00:00:00.000Z', 50]);
+  });
+
+  it('sorts by the rule sort key with the song ID as tie-breaker', () => {
+    const { text, values } = build([{ field: 'genre', operator: 'eq', value: 'Pop' }], {
+      sort: '-year', limit: 10,
+    });
+
+    assert.match(text, /ORDER BY songs\.year DESC, songs\.id ASC\s+LIMIT \$2$/);
+    assert.match(text, /ROW_NUMBER\(\) OVER \(ORDER BY songs\.year DESC, songs\.id ASC\)/);
+    assert.deepStrictEqual(values, ['Pop', 10]);
+  });
+});